@@ -1,63 +1,114 @@
-import { useCallback, useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { StatusBar as ExpoStatusBar } from "expo-status-bar";
 import {
+  Dimensions,
   Platform,
   StatusBar as RNStatusBar,
   StyleSheet,
   Text,
   View,
-  useColorScheme,
 } from "react-native";
 import Constants from "expo-constants";
 import { BlurView } from "expo-blur";
 import MapView, { PROVIDER_GOOGLE } from "react-native-maps";
 
 import AuthModal from "./components/AuthModal";
+import CompareTray from "./components/CompareTray";
+import ComparisonScreen from "./components/ComparisonScreen";
 import CompactSearchBar from "./components/CompactSearchBar";
+import DrawSearchOverlay from "./components/DrawSearchOverlay";
+import FilterPanel from "./components/FilterPanel";
+import LayersSheet from "./components/LayersSheet";
+import MapControls from "./components/MapControls";
 import MapStatusIndicator from "./components/MapStatusIndicator";
+import MeasureOverlay from "./components/MeasureOverlay";
+import MyPropertiesScreen from "./components/MyPropertiesScreen";
+import PlotStatusLegend from "./components/PlotStatusLegend";
+import RadiusResultsScreen from "./components/RadiusResultsScreen";
+import RadiusSearchPanel from "./components/RadiusSearchPanel";
+import ShortlistScreen from "./components/ShortlistScreen";
 import ProfileMenu from "./components/ProfileMenu";
 import SearchOverlay from "./components/SearchOverlay";
+import PropertyDetailSheet from "./components/PropertyDetailSheet";
 import PropertyPriceBadges from "./components/PropertyPriceBadges";
 import useAuthUiState from "./hooks/useAuthUiState";
+import useComparison from "./hooks/useComparison";
+import useDrawSearch from "./hooks/useDrawSearch";
+import useLayerVisibility from "./hooks/useLayerVisibility";
+import useMapFilters from "./hooks/useMapFilters";
 import useSearchUiState from "./hooks/useSearchUiState";
 import useMapOverlays from "./hooks/useMapOverlays";
+import useMeasureTool from "./hooks/useMeasureTool";
+import useRadiusSearch from "./hooks/useRadiusSearch";
 import useNavigationBarTheme from "./hooks/useNavigationBarTheme";
+import useThemePreference from "./hooks/useThemePreference";
 import usePropertyBadges from "./hooks/usePropertyBadges";
 import { useViewportProperties } from "./hooks/useViewportProperties";
 import { usePlacesAutocomplete } from "./hooks/usePlacesAutocomplete";
-import { computePolygonCentroid } from "./utils/mapGeometry";
-import { computeApproximateZoom } from "./utils/mapRegion";
+import { usePropertyDetails } from "./hooks/usePropertyDetails";
+import { useMyProperties } from "./hooks/useMyProperties";
+import { useFavorites } from "./hooks/useFavorites";
+import {
+  closeRing,
+  computePolygonApproxAreaSqM,
+  computePolygonLabelPoint,
+  offsetCoordinate,
+} from "./utils/mapGeometry";
+import {
+  computeApproximateZoom,
+  computeBoundsFromRegion,
+  computeMetersPerPixel,
+  computeScreenZoom,
+  createRegionUnprojector,
+} from "./utils/mapRegion";
+import {
+  filterProperties,
+  filterPropertiesInArea,
+  rankPropertiesByDistance,
+} from "./utils/propertyFilters";
 import {
   AMENITY_LABEL_ZOOM_THRESHOLD,
   AMENITY_POLYGON_ZOOM_THRESHOLD,
   HYBRID_ZOOM_THRESHOLD,
   INITIAL_REGION,
+  DARK_MAP_STYLE,
   LIGHT_MAP_STYLE,
   POLYGON_FOCUS_MAX_ZOOM,
   POLYGON_FOCUS_MIN_ZOOM,
   POLYGON_FOCUS_TARGET_ZOOM,
   PLOT_LABEL_ZOOM_THRESHOLD,
+  PLOT_STATUS_LABEL_ZOOM_THRESHOLD,
   ROAD_LABEL_ZOOM_THRESHOLD,
   computeRegionForZoom,
 } from "./constants/mapConfig";
+import { isLayerEnabled, resolveLayerVisibility } from "./constants/mapLayers";
+import { getThemeColors } from "./constants/theme";
+
+// Passing undefined leaves the previous custom style applied natively, so
+// non-standard map types get an explicit empty style instead.
+const NO_MAP_STYLE = [];
+const CLUSTER_MIN_FIT_SPAN = 0.0002;
+const CLUSTER_EDGE_PADDING = { top: 160, right: 60, bottom: 120, left: 60 };
+// Leaves room for the search bar above and the radius panel below.
+const RADIUS_EDGE_PADDING = { top: 140, right: 40, bottom: 200, left: 40 };
+// Space the radius panel takes above the bottom edge.
+const RADIUS_PANEL_INSET = 176;
+// How close (in screen pixels) a tap must land to pick a plot or road edge.
+const EDGE_TAP_TOLERANCE_PX = 24;
 
 export default function App() {
-  const colorScheme = useColorScheme();
-  const isDark = colorScheme === "dark";
-  const [mapType, setMapType] = useState("standard");
+  const { themePreference, setThemePreference, colorScheme, isDark } =
+    useThemePreference();
+  const colors = getThemeColors(isDark);
+  const [autoMapType, setAutoMapType] = useState("standard");
   const [currentZoom, setCurrentZoom] = useState(null);
+  const [labelZoom, setLabelZoom] = useState(null);
+  const [visibleBounds, setVisibleBounds] = useState(null);
   const [showPolygons, setShowPolygons] = useState(false);
   const [markerViewsFrozen, setMarkerViewsFrozen] = useState(false);
-  const showPlotLabels =
-    typeof currentZoom === "number" && currentZoom >= PLOT_LABEL_ZOOM_THRESHOLD;
-  const showAmenityPolygons =
-    typeof currentZoom === "number" &&
-    currentZoom >= AMENITY_POLYGON_ZOOM_THRESHOLD;
-  const showAmenityLabels =
-    typeof currentZoom === "number" &&
-    currentZoom >= AMENITY_LABEL_ZOOM_THRESHOLD;
-  const showRoadLabels =
-    typeof currentZoom === "number" && currentZoom >= ROAD_LABEL_ZOOM_THRESHOLD;
+  const [myPropertiesVisible, setMyPropertiesVisible] = useState(false);
+  const [shortlistVisible, setShortlistVisible] = useState(false);
+  const [searchedPlace, setSearchedPlace] = useState(null);
   const mobileBffUrl =
     process.env.EXPO_PUBLIC_MOBILE_BFF_URL ||
     Constants.expoConfig?.extra?.mobileBffUrl ||
@@ -65,7 +116,10 @@ export default function App() {
     "http://localhost:5150";
   const {
     userProfile,
+    userId,
     authToken,
+    sessionRestored,
+    authorizedFetch,
     loginPhone,
     loginPassword,
     loginLoading,
@@ -76,6 +130,19 @@ export default function App() {
     handleAuthSubmit,
     handleLogout,
     closeAuthModal,
+    otpCode,
+    otpSession,
+    requestOtp,
+    authMode,
+    authView,
+    authNotice,
+    handleAuthModeChange,
+    handleAuthViewChange,
+    handleRegister,
+    handleResetPassword,
+    requestPasswordReset,
+    handleOtpCodeChange,
+    handleOtpNumberChange,
     profileMenuVisible,
     setProfileMenuVisible,
     authModalVisible,
@@ -96,7 +163,113 @@ export default function App() {
   } = useSearchUiState({
     onOverlayShown: dismissProfileMenu,
   });
+  const {
+    filters,
+    activeFilterCount,
+    filterPanelVisible,
+    showFilterPanel,
+    hideFilterPanel,
+    applyFilters,
+  } = useMapFilters({ onPanelShown: dismissProfileMenu });
+  const {
+    layers,
+    mapTypePreference,
+    setMapTypePreference,
+    layersSheetVisible,
+    showLayersSheet,
+    hideLayersSheet,
+    setLayerMode,
+    resetLayers,
+  } = useLayerVisibility({ onSheetShown: dismissProfileMenu });
+  const {
+    drawMode,
+    draftPath,
+    searchArea,
+    canFinishDrawing,
+    startDrawing,
+    changeDrawMode,
+    setDraftPath,
+    addVertex,
+    undoVertex,
+    finishDrawing,
+    cancelDrawing,
+    clearSearchArea,
+  } = useDrawSearch({ onDrawingStarted: dismissProfileMenu });
+  const {
+    radiusCenter,
+    radiusKm,
+    setRadiusKm,
+    committedRadiusKm,
+    commitRadius,
+    radiusListVisible,
+    startRadiusSearch,
+    clearRadiusSearch,
+    showRadiusList,
+    hideRadiusList,
+  } = useRadiusSearch({ onSearchStarted: dismissProfileMenu });
+  const {
+    measureMode,
+    measurement,
+    selectedEdge,
+    canCloseShape,
+    startMeasuring,
+    changeMeasureMode,
+    addMeasurePoint,
+    undoMeasurePoint,
+    toggleShapeClosed,
+    selectEdgeAt,
+    stopMeasuring,
+  } = useMeasureTool({ onMeasuringStarted: dismissProfileMenu });
+  // Map tools that take over taps and hide the regular map chrome.
+  const mapToolActive = !!drawMode || !!measureMode;
+  const radiusSearch = useMemo(
+    () =>
+      radiusCenter
+        ? { center: radiusCenter.coordinate, radiusMeters: radiusKm * 1000 }
+        : null,
+    [radiusCenter, radiusKm]
+  );
+  const radiusFetchArea = useMemo(
+    () =>
+      radiusCenter
+        ? {
+            center: radiusCenter.coordinate,
+            radiusMeters: committedRadiusKm * 1000,
+          }
+        : null,
+    [committedRadiusKm, radiusCenter]
+  );
+  // Layers left on "auto" follow the zoom thresholds; an explicit on or off
+  // choice wins at every zoom.
+  const zoomReached = (threshold) =>
+    typeof currentZoom === "number" && currentZoom >= threshold;
+  const showPlotLabels = resolveLayerVisibility(
+    layers,
+    "plotLabels",
+    zoomReached(PLOT_LABEL_ZOOM_THRESHOLD)
+  );
+  const showPlotStatusLabels =
+    showPlotLabels && zoomReached(PLOT_STATUS_LABEL_ZOOM_THRESHOLD);
+  const showAmenityPolygons = resolveLayerVisibility(
+    layers,
+    "amenities",
+    zoomReached(AMENITY_POLYGON_ZOOM_THRESHOLD)
+  );
+  const showAmenityLabels = resolveLayerVisibility(
+    layers,
+    "amenities",
+    zoomReached(AMENITY_LABEL_ZOOM_THRESHOLD)
+  );
+  const showRoadLabels = resolveLayerVisibility(
+    layers,
+    "roadLabels",
+    zoomReached(ROAD_LABEL_ZOOM_THRESHOLD)
+  );
+  const showPriceBadges = isLayerEnabled(layers, "priceBadges");
+  const mapType =
+    mapTypePreference === "auto" ? autoMapType : mapTypePreference;
   const mapRef = useRef(null);
+  const currentRegionRef = useRef(INITIAL_REGION);
   const markerFreezeTimeoutRef = useRef(null);
   const thawMarkersTemporarily = useCallback(() => {
     if (markerFreezeTimeoutRef.current) {
@@ -126,16 +299,76 @@ export default function App() {
     []
   );
   const {
-    properties: viewportProperties,
+    properties: fetchedProperties,
     plots: viewportPlots,
     roads: viewportRoads,
     amenities: viewportAmenities,
     loading: viewportLoading,
     error: viewportError,
+    offlineSince: viewportOfflineSince,
     requestViewport,
-  } = useViewportProperties({ baseUrl: mobileBffUrl, authToken });
-  const { propertyBadges, scheduleBadgeUpdate, updatePropertyBadges } =
-    usePropertyBadges(mapRef, viewportProperties);
+  } = useViewportProperties({
+    baseUrl: mobileBffUrl,
+    authToken,
+    userId,
+    fetcher: authorizedFetch,
+    filters,
+    searchArea,
+    radiusSearch: radiusFetchArea,
+    enabled: sessionRestored,
+  });
+  const {
+    favorites,
+    favoriteIds,
+    loading: favoritesLoading,
+    error: favoritesError,
+    toggleFavorite,
+  } = useFavorites({
+    baseUrl: mobileBffUrl,
+    authToken,
+    fetcher: authorizedFetch,
+    enabled: sessionRestored,
+  });
+  const {
+    comparedProperties,
+    comparedIds,
+    canAddToComparison,
+    canOpenComparison,
+    comparisonVisible,
+    toggleCompare,
+    removeFromComparison,
+    clearComparison,
+    openComparison,
+    closeComparison,
+  } = useComparison();
+  // With a radius search active the list is also nearest-first.
+  const viewportProperties = useMemo(() => {
+    const inArea = filterPropertiesInArea(
+      filterProperties(fetchedProperties, filters),
+      searchArea
+    );
+    return radiusSearch
+      ? rankPropertiesByDistance(
+          inArea,
+          radiusSearch.center,
+          radiusSearch.radiusMeters
+        )
+      : inArea;
+  }, [fetchedProperties, filters, radiusSearch, searchArea]);
+  const { propertyBadges, reanchorBadges, scheduleBadgeUpdate } =
+    usePropertyBadges(mapRef, viewportProperties, favoriteIds);
+  const {
+    selectedProperty,
+    details: selectedPropertyDetails,
+    loading: propertyDetailsLoading,
+    error: propertyDetailsError,
+    openProperty,
+    closeProperty,
+  } = usePropertyDetails({
+    baseUrl: mobileBffUrl,
+    authToken,
+    fetcher: authorizedFetch,
+  });
   const mapsApiKey =
     process.env.EXPO_PUBLIC_GOOGLE_MAPS_API_KEY ||
     Constants.expoConfig?.extra?.googleMapsApiKey ||
@@ -172,6 +405,12 @@ export default function App() {
       const data = await response.json();
       const location = data.result?.geometry?.location;
 
+      if (location) {
+        setSearchedPlace({
+          coordinate: { latitude: location.lat, longitude: location.lng },
+          label: suggestion.description,
+        });
+      }
       if (location && mapRef.current) {
         mapRef.current.animateToRegion(
           {
@@ -200,12 +439,52 @@ export default function App() {
     }
   };
 
-  const handleMenuSelection = () => {
+  const {
+    properties: myProperties,
+    loading: myPropertiesLoading,
+    error: myPropertiesError,
+    refresh: refreshMyProperties,
+  } = useMyProperties({
+    baseUrl: mobileBffUrl,
+    authToken,
+    fetcher: authorizedFetch,
+    active: myPropertiesVisible,
+  });
+
+  const handleMenuSelection = (target) => {
     dismissProfileMenu();
+    if (target === "properties") {
+      setMyPropertiesVisible(true);
+    } else if (target === "shortlist") {
+      setShortlistVisible(true);
+    }
   };
 
-  const handlePropertyPolygonPress = useCallback(
-    (polygonPaths) => {
+  useEffect(() => {
+    if (!authToken) {
+      setMyPropertiesVisible(false);
+      setShortlistVisible(false);
+    }
+  }, [authToken]);
+
+  const handleListedPropertySelect = useCallback((property) => {
+    setMyPropertiesVisible(false);
+    setShortlistVisible(false);
+    const center =
+      computePolygonLabelPoint(
+        property?.polygonPaths,
+        property?.polygonHoles
+      ) ?? property?.coordinate;
+    const region = center
+      ? computeRegionForZoom(center, POLYGON_FOCUS_TARGET_ZOOM)
+      : null;
+    if (region && mapRef.current) {
+      mapRef.current.animateToRegion(region, 800);
+    }
+  }, []);
+
+  const focusPolygon = useCallback(
+    (polygonPaths, polygonHoles = null) => {
       const zoom = currentZoom ?? 0;
       const normalizedZoom = Math.round(zoom * 10) / 10;
       if (
@@ -215,7 +494,7 @@ export default function App() {
       ) {
         return;
       }
-      const center = computePolygonCentroid(polygonPaths);
+      const center = computePolygonLabelPoint(polygonPaths, polygonHoles);
       const region = center
         ? computeRegionForZoom(center, POLYGON_FOCUS_TARGET_ZOOM)
         : null;
@@ -227,6 +506,59 @@ export default function App() {
     [currentZoom]
   );
 
+  const handlePropertyPolygonPress = useCallback(
+    (property) => {
+      if (property?.polygonPaths?.length) {
+        focusPolygon(property.polygonPaths, property.polygonHoles);
+      }
+      openProperty(property);
+    },
+    [focusPolygon, openProperty]
+  );
+
+  const handleClusterPress = useCallback(
+    (cluster) => {
+      const coordinates = cluster?.coordinates ?? [];
+      if (!mapRef.current || !coordinates.length) {
+        return;
+      }
+      const latitudes = coordinates.map((point) => point.latitude);
+      const longitudes = coordinates.map((point) => point.longitude);
+      const span = Math.max(
+        Math.max(...latitudes) - Math.min(...latitudes),
+        Math.max(...longitudes) - Math.min(...longitudes)
+      );
+      // Members sharing (almost) one spot cannot be fitted; step in instead.
+      if (span < CLUSTER_MIN_FIT_SPAN) {
+        const region = computeRegionForZoom(
+          coordinates[0],
+          Math.min((currentZoom ?? 0) + 2, POLYGON_FOCUS_MAX_ZOOM)
+        );
+        if (region) {
+          mapRef.current.animateToRegion(region, 600);
+        }
+        return;
+      }
+      mapRef.current.fitToCoordinates(coordinates, {
+        edgePadding: CLUSTER_EDGE_PADDING,
+        animated: true,
+      });
+    },
+    [currentZoom]
+  );
+
+  const handleBadgePress = useCallback(
+    (propertyId) => {
+      const property = viewportProperties.find(
+        (item) => item.id === propertyId
+      );
+      if (property) {
+        openProperty(property);
+      }
+    },
+    [openProperty, viewportProperties]
+  );
+
   useNavigationBarTheme({ isDark, colorScheme });
 
   useEffect(() => {
@@ -238,8 +570,12 @@ export default function App() {
   const updateMapTypeForRegion = useCallback(
     (region) => {
       if (!region) return;
+      currentRegionRef.current = region;
       const zoomLevel = computeApproximateZoom(region);
       setCurrentZoom(zoomLevel);
+      // The map fills the window, so its width gives the on-screen scale.
+      setLabelZoom(computeScreenZoom(region, Dimensions.get("window").width));
+      setVisibleBounds(computeBoundsFromRegion(region));
       const nextShowPolygons = zoomLevel > 16;
       setShowPolygons(nextShowPolygons);
       if (nextShowPolygons) {
@@ -247,7 +583,7 @@ export default function App() {
       } else {
         thawMarkersTemporarily();
       }
-      setMapType((prev) => {
+      setAutoMapType((prev) => {
         const next = zoomLevel >= HYBRID_ZOOM_THRESHOLD ? "hybrid" : "standard";
         return prev === next ? prev : next;
       });
@@ -255,20 +591,172 @@ export default function App() {
     [freezeMarkersImmediately, thawMarkersTemporarily]
   );
 
-  const handleRegionChange = useCallback(() => {
-    scheduleBadgeUpdate();
-  }, [scheduleBadgeUpdate]);
+  // Freehand strokes arrive as screen points while the map is locked, so
+  // the settled region is enough to turn them into coordinates.
+  const strokeToPath = useCallback((points) => {
+    const unproject = createRegionUnprojector(
+      currentRegionRef.current,
+      Dimensions.get("window")
+    );
+    return unproject ? points.map(unproject).filter(Boolean) : [];
+  }, []);
+
+  const handleFreehandStroke = useCallback(
+    (points) => {
+      setDraftPath(strokeToPath(points));
+    },
+    [setDraftPath, strokeToPath]
+  );
+
+  const handleFreehandStrokeEnd = useCallback(
+    (points) => {
+      if (!finishDrawing(strokeToPath(points))) {
+        setDraftPath([]);
+      }
+    },
+    [finishDrawing, setDraftPath, strokeToPath]
+  );
+
+  const measurableEdges = useMemo(() => {
+    if (!measureMode) {
+      return [];
+    }
+    const features = [];
+    if (isLayerEnabled(layers, "plots")) {
+      viewportPlots.forEach((plot) => {
+        const rings = [
+          ...(plot.polygonPaths ?? []),
+          ...(plot.polygonHoles ?? []).flat(),
+        ];
+        features.push({
+          paths: rings.map(closeRing),
+          label: plot.plotNumber ? `Plot ${plot.plotNumber}` : "Plot",
+          areaSqM: computePolygonApproxAreaSqM(
+            plot.polygonPaths,
+            plot.polygonHoles
+          ),
+        });
+      });
+    }
+    if (isLayerEnabled(layers, "roads")) {
+      viewportRoads.forEach((road) => {
+        features.push({
+          paths: road.paths ?? [],
+          label: road.name?.trim() || "Road",
+          areaSqM: null,
+        });
+      });
+    }
+    return features;
+  }, [layers, measureMode, viewportPlots, viewportRoads]);
+
+  const handleMapPress = useCallback(
+    (event) => {
+      const { coordinate } = event.nativeEvent;
+      if (drawMode === "vertices") {
+        addVertex(coordinate);
+      } else if (measureMode === "points") {
+        addMeasurePoint(coordinate);
+      } else if (measureMode === "edges") {
+        const region = currentRegionRef.current;
+        const metersPerPixel = computeMetersPerPixel(
+          region.latitude,
+          computeScreenZoom(region, Dimensions.get("window").width)
+        );
+        selectEdgeAt(
+          coordinate,
+          measurableEdges,
+          EDGE_TAP_TOLERANCE_PX * metersPerPixel
+        );
+      }
+    },
+    [
+      addMeasurePoint,
+      addVertex,
+      drawMode,
+      measurableEdges,
+      measureMode,
+      selectEdgeAt,
+    ]
+  );
+
+  // Fits the whole circle so the viewport fetch covers every result.
+  const fitRadiusSearch = useCallback((center, radiusMeters) => {
+    if (!center || !mapRef.current) {
+      return;
+    }
+    mapRef.current.fitToCoordinates(
+      [
+        offsetCoordinate(center, 0, radiusMeters),
+        offsetCoordinate(center, radiusMeters, 0),
+        offsetCoordinate(center, 0, -radiusMeters),
+        offsetCoordinate(center, -radiusMeters, 0),
+      ],
+      { edgePadding: RADIUS_EDGE_PADDING, animated: true }
+    );
+  }, []);
+
+  const beginRadiusSearch = useCallback(
+    (coordinate, label) => {
+      startRadiusSearch(coordinate, label);
+      fitRadiusSearch(coordinate, radiusKm * 1000);
+    },
+    [fitRadiusSearch, radiusKm, startRadiusSearch]
+  );
+
+  const handleMapLongPress = useCallback(
+    (event) => {
+      if (mapToolActive) {
+        return;
+      }
+      beginRadiusSearch(event.nativeEvent.coordinate, "Dropped pin");
+    },
+    [beginRadiusSearch, mapToolActive]
+  );
+
+  const handleStartRadiusSearch = useCallback(() => {
+    if (searchedPlace) {
+      beginRadiusSearch(searchedPlace.coordinate, searchedPlace.label);
+      return;
+    }
+    const { latitude, longitude } = currentRegionRef.current;
+    beginRadiusSearch({ latitude, longitude }, "Map centre");
+  }, [beginRadiusSearch, searchedPlace]);
+
+  const handleRadiusListSelect = useCallback(
+    (property) => {
+      hideRadiusList();
+      handleListedPropertySelect(property);
+    },
+    [handleListedPropertySelect, hideRadiusList]
+  );
+
+  const handleRegionChange = useCallback(
+    (region) => {
+      scheduleBadgeUpdate(region);
+    },
+    [scheduleBadgeUpdate]
+  );
 
   const handleRegionChangeComplete = useCallback(
     (region) => {
       updateMapTypeForRegion(region);
       requestViewport(region);
-      updatePropertyBadges();
+      reanchorBadges(region);
     },
-    [requestViewport, updateMapTypeForRegion, updatePropertyBadges]
+    [reanchorBadges, requestViewport, updateMapTypeForRegion]
   );
 
+  const handleMapReady = useCallback(() => {
+    reanchorBadges(INITIAL_REGION);
+  }, [reanchorBadges]);
+
+  const initialViewportRequestedRef = useRef(false);
   useEffect(() => {
+    if (initialViewportRequestedRef.current) {
+      return;
+    }
+    initialViewportRequestedRef.current = true;
     updateMapTypeForRegion(INITIAL_REGION);
     requestViewport(INITIAL_REGION, { immediate: true });
   }, [requestViewport, updateMapTypeForRegion]);
@@ -295,10 +783,16 @@ export default function App() {
     roadLabelMarkers,
     amenityPolygons,
     amenityLabelMarkers,
+    hiddenBadgeIds,
+    searchAreaOverlay,
+    radiusOverlay,
+    measureOverlay,
   } = useMapOverlays({
     currentZoom,
+    labelZoom,
     showPolygons,
     showPlotLabels,
+    showPlotStatusLabels,
     showAmenityPolygons,
     showAmenityLabels,
     showRoadLabels,
@@ -307,8 +801,44 @@ export default function App() {
     viewportRoads,
     viewportAmenities,
     markerViewsFrozen,
-    onPropertyPolygonPress: handlePropertyPolygonPress,
+    onPropertyPolygonPress: mapToolActive
+      ? undefined
+      : handlePropertyPolygonPress,
+    favoriteIds,
+    layers,
+    searchArea,
+    drawPath: drawMode ? draftPath : null,
+    radiusSearch,
+    measurement: measureMode === "points" ? measurement : null,
+    measuredEdge: measureMode === "edges" ? selectedEdge : null,
+    visibleBounds,
   });
+  const showRadiusPanel = !!radiusCenter && !overlayVisible && !mapToolActive;
+  const bottomInset = showRadiusPanel ? RADIUS_PANEL_INSET : 0;
+
+  const showPlotStatusLegend = useMemo(
+    () =>
+      !overlayVisible &&
+      isLayerEnabled(layers, "plots") &&
+      viewportPlots.some((plot) => plot.status),
+    [layers, overlayVisible, viewportPlots]
+  );
+
+  // Badges that lost label placement are dropped; a cluster stays while any
+  // of its members is still visible.
+  const visiblePropertyBadges = useMemo(() => {
+    if (!showPriceBadges) {
+      return [];
+    }
+    if (!hiddenBadgeIds.size) {
+      return propertyBadges;
+    }
+    return propertyBadges.filter((badge) =>
+      badge.isCluster
+        ? badge.memberIds.some((id) => !hiddenBadgeIds.has(id))
+        : !hiddenBadgeIds.has(badge.id)
+    );
+  }, [hiddenBadgeIds, propertyBadges, showPriceBadges]);
 
   return (
     <View style={styles.container}>
@@ -319,9 +849,19 @@ export default function App() {
         initialRegion={INITIAL_REGION}
         onRegionChangeComplete={handleRegionChangeComplete}
         onRegionChange={handleRegionChange}
-        onMapReady={updatePropertyBadges}
+        onMapReady={handleMapReady}
+        onPress={handleMapPress}
+        onLongPress={handleMapLongPress}
+        scrollEnabled={drawMode !== "freehand"}
+        zoomEnabled={drawMode !== "freehand"}
         mapType={mapType}
-        customMapStyle={mapType === "standard" ? LIGHT_MAP_STYLE : undefined}
+        customMapStyle={
+          mapType !== "standard"
+            ? NO_MAP_STYLE
+            : isDark
+            ? DARK_MAP_STYLE
+            : LIGHT_MAP_STYLE
+        }
         pitchEnabled={false}
         rotateEnabled={false}
       >
@@ -332,17 +872,22 @@ export default function App() {
         {propertyPolygons}
         {roadPolylines}
         {roadLabelMarkers}
+        {searchAreaOverlay}
+        {radiusOverlay}
+        {measureOverlay}
       </MapView>
-      <PropertyPriceBadges badges={propertyBadges} />
+      <PropertyPriceBadges
+        badges={visiblePropertyBadges}
+        onBadgePress={handleBadgePress}
+        onClusterPress={handleClusterPress}
+      />
       {overlayVisible && (
         <View
           pointerEvents="none"
           style={[
             styles.mapDimmer,
             {
-              backgroundColor: isDark
-                ? "rgba(2, 6, 23, 0.65)"
-                : "rgba(241, 245, 249, 0.60)",
+              backgroundColor: colors.mapDimmer,
             },
           ]}
         />
@@ -371,6 +916,8 @@ export default function App() {
                 recentSearches={recentSearches}
                 onRecentSelect={handleRecentSelect}
                 onClearRecent={handleClearRecent}
+                onOpenFilters={showFilterPanel}
+                activeFilterCount={activeFilterCount}
               />
             </BlurView>
           ) : (
@@ -394,12 +941,14 @@ export default function App() {
                 recentSearches={recentSearches}
                 onRecentSelect={handleRecentSelect}
                 onClearRecent={handleClearRecent}
+                onOpenFilters={showFilterPanel}
+                activeFilterCount={activeFilterCount}
               />
             </View>
           )}
         </View>
       )}
-      {!overlayVisible && (
+      {!overlayVisible && !mapToolActive && (
         <CompactSearchBar
           isDark={isDark}
           searchQuery={searchQuery}
@@ -408,8 +957,53 @@ export default function App() {
           onClearSearch={handleCompactClear}
           userProfile={userProfile}
           onProfilePress={handleProfilePress}
+          onOpenFilters={showFilterPanel}
+          activeFilterCount={activeFilterCount}
+        />
+      )}
+      {!overlayVisible && !mapToolActive && (
+        <MapControls
+          isDark={isDark}
+          topOffset={compactTopOffset + 64}
+          onOpenLayers={showLayersSheet}
+          searchAreaActive={!!searchArea}
+          onStartDrawing={() => startDrawing("freehand")}
+          onClearSearchArea={clearSearchArea}
+          radiusSearchActive={!!radiusCenter}
+          onStartRadiusSearch={handleStartRadiusSearch}
+          onClearRadiusSearch={clearRadiusSearch}
+          onStartMeasuring={() => startMeasuring("points")}
         />
       )}
+      {drawMode ? (
+        <DrawSearchOverlay
+          isDark={isDark}
+          mode={drawMode}
+          topOffset={compactTopOffset}
+          pointCount={draftPath.length}
+          canFinish={canFinishDrawing}
+          onChangeMode={changeDrawMode}
+          onStroke={handleFreehandStroke}
+          onStrokeEnd={handleFreehandStrokeEnd}
+          onUndo={undoVertex}
+          onFinish={() => finishDrawing()}
+          onCancel={cancelDrawing}
+        />
+      ) : null}
+      {measureMode ? (
+        <MeasureOverlay
+          isDark={isDark}
+          mode={measureMode}
+          topOffset={compactTopOffset}
+          measurement={measurement}
+          selectedEdge={selectedEdge}
+          canCloseShape={canCloseShape}
+          onChangeMode={changeMeasureMode}
+          onUndo={undoMeasurePoint}
+          onToggleClosed={toggleShapeClosed}
+          onDone={stopMeasuring}
+        />
+      ) : null}
       <ProfileMenu
         isDark={isDark}
         visible={profileMenuVisible && !!userProfile}
@@ -418,6 +1012,133 @@ export default function App() {
         onDismiss={dismissProfileMenu}
         onLogout={handleLogout}
         onNavigateProperties={() => handleMenuSelection("properties")}
+        onNavigateShortlist={() => handleMenuSelection("shortlist")}
+      />
+      <MyPropertiesScreen
+        isDark={isDark}
+        visible={myPropertiesVisible}
+        topOffset={
+          Platform.OS === "android" ? RNStatusBar.currentHeight ?? 0 : 44
+        }
+        properties={myProperties}
+        loading={myPropertiesLoading}
+        errorMessage={myPropertiesError}
+        onRefresh={refreshMyProperties}
+        onSelect={handleListedPropertySelect}
+        onClose={() => setMyPropertiesVisible(false)}
+      />
+      <ShortlistScreen
+        isDark={isDark}
+        visible={shortlistVisible}
+        topOffset={
+          Platform.OS === "android" ? RNStatusBar.currentHeight ?? 0 : 44
+        }
+        properties={favorites}
+        loading={favoritesLoading}
+        errorMessage={favoritesError}
+        onSelect={handleListedPropertySelect}
+        onRemove={toggleFavorite}
+        onClose={() => setShortlistVisible(false)}
+        comparedIds={comparedIds}
+        canAddToComparison={canAddToComparison}
+        canOpenComparison={canOpenComparison}
+        onToggleCompare={toggleCompare}
+        onOpenComparison={() => {
+          if (!canOpenComparison) {
+            return;
+          }
+          setShortlistVisible(false);
+          openComparison();
+        }}
+      />
+      <PlotStatusLegend
+        isDark={isDark}
+        visible={showPlotStatusLegend}
+        bottomOffset={(comparedProperties.length ? 84 : 24) + bottomInset}
+      />
+      <CompareTray
+        isDark={isDark}
+        count={comparedProperties.length}
+        bottomOffset={24 + bottomInset}
+        onCompare={openComparison}
+        onClear={clearComparison}
+      />
+      {showRadiusPanel ? (
+        <RadiusSearchPanel
+          isDark={isDark}
+          label={radiusCenter.label}
+          radiusKm={radiusKm}
+          resultCount={viewportProperties.length}
+          bottomOffset={Platform.OS === "ios" ? 32 : 16}
+          onChangeRadius={setRadiusKm}
+          onCommitRadius={(value) => {
+            commitRadius(value);
+            fitRadiusSearch(radiusCenter.coordinate, value * 1000);
+          }}
+          onShowList={showRadiusList}
+          onClose={clearRadiusSearch}
+        />
+      ) : null}
+      <RadiusResultsScreen
+        isDark={isDark}
+        visible={radiusListVisible && !!radiusCenter}
+        topOffset={
+          Platform.OS === "android" ? RNStatusBar.currentHeight ?? 0 : 44
+        }
+        label={radiusCenter?.label}
+        radiusKm={radiusKm}
+        properties={viewportProperties}
+        onSelect={handleRadiusListSelect}
+        onClose={hideRadiusList}
+      />
+      <ComparisonScreen
+        isDark={isDark}
+        visible={comparisonVisible}
+        topOffset={
+          Platform.OS === "android" ? RNStatusBar.currentHeight ?? 0 : 44
+        }
+        properties={comparedProperties}
+        amenities={viewportAmenities}
+        roads={viewportRoads}
+        onRemove={removeFromComparison}
+        onClose={closeComparison}
+      />
+      <FilterPanel
+        isDark={isDark}
+        visible={filterPanelVisible}
+        filters={filters}
+        onApply={applyFilters}
+        onClose={hideFilterPanel}
+      />
+      <LayersSheet
+        isDark={isDark}
+        visible={layersSheetVisible}
+        layers={layers}
+        mapType={mapTypePreference}
+        onChangeMapType={setMapTypePreference}
+        themePreference={themePreference}
+        onChangeThemePreference={setThemePreference}
+        bottomOffset={Platform.OS === "ios" ? 24 : 0}
+        onChangeLayer={setLayerMode}
+        onReset={resetLayers}
+        onClose={hideLayersSheet}
+      />
+      <PropertyDetailSheet
+        isDark={isDark}
+        property={selectedProperty}
+        details={selectedPropertyDetails}
+        loading={propertyDetailsLoading}
+        errorMessage={propertyDetailsError}
+        onClose={closeProperty}
+        isFavorite={
+          !!selectedProperty && favoriteIds.has(selectedProperty.propertyId)
+        }
+        onToggleFavorite={toggleFavorite}
+        isCompared={
+          !!selectedProperty && comparedIds.has(selectedProperty.propertyId)
+        }
+        canCompare={canAddToComparison}
+        onToggleCompare={toggleCompare}
       />
       <AuthModal
         isDark={isDark}
@@ -430,20 +1151,43 @@ export default function App() {
         onSubmit={handleAuthSubmit}
         loading={loginLoading}
         errorMessage={loginError}
-        endpoint={`${mobileBffUrl.replace(/\/$/, "")}/mobile/auth/login`}
+        endpoint={`${mobileBffUrl.replace(/\/$/, "")}/mobile/auth/${
+          authMode === "otp" ? "otp" : "login"
+        }`}
+        mode={authMode}
+        onChangeMode={handleAuthModeChange}
+        otpCode={otpCode}
+        otpSession={otpSession}
+        onChangeOtpCode={handleOtpCodeChange}
+        onResendOtp={requestOtp}
+        onChangeOtpNumber={handleOtpNumberChange}
+        view={authView}
+        onChangeView={handleAuthViewChange}
+        noticeMessage={authNotice}
+        onRegister={handleRegister}
+        onRequestPasswordReset={requestPasswordReset}
+        onResetPassword={handleResetPassword}
       />
-      <View
-        pointerEvents="none"
-        style={[styles.mapStatusContainer, { top: compactTopOffset + 8 }]}
-      >
-        <MapStatusIndicator
-          loading={viewportLoading}
-          error={viewportError}
-          propertyCount={viewportProperties.length}
-        />
-      </View>
+      {!mapToolActive && (
+        <View
+          pointerEvents="none"
+          style={[styles.mapStatusContainer, { top: compactTopOffset + 8 }]}
+        >
+          <MapStatusIndicator
+            loading={viewportLoading}
+            error={viewportError}
+            offlineSince={viewportOfflineSince}
+            propertyCount={viewportProperties.length}
+            inDrawnArea={!!searchArea}
+            radiusKm={radiusCenter ? radiusKm : null}
+          />
+        </View>
+      )}
       {currentZoom && (
-        <View style={styles.zoomBadgeContainer} pointerEvents="none">
+        <View
+          style={[styles.zoomBadgeContainer, { bottom: 24 + bottomInset }]}
+          pointerEvents="none"
+        >
           <Text style={styles.zoomBadgeText}>
             Zoom {currentZoom.toFixed(1)}x
           </Text>
@@ -498,7 +1242,6 @@ const styles = StyleSheet.create({
   },
   zoomBadgeContainer: {
     position: "absolute",
-    bottom: 24,
     right: 20,
     backgroundColor: "rgba(15, 23, 42, 0.85)",
     paddingHorizontal: 12,
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import {
   Modal,
   View,
@@ -10,6 +10,22 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 
+import OtpCodeInput from "./OtpCodeInput";
+import PasswordResetForm from "./PasswordResetForm";
+import RegisterForm from "./RegisterForm";
+import { getThemeColors } from "../constants/theme";
+
+const VIEW_TITLES = {
+  login: "Login",
+  register: "Create account",
+  forgot: "Reset password",
+};
+
+const AUTH_MODES = [
+  { key: "password", label: "Password" },
+  { key: "otp", label: "SMS code" },
+];
+
 export default function AuthModal({
   isDark,
   visible,
@@ -22,8 +38,45 @@ export default function AuthModal({
   loading = false,
   errorMessage = null,
   endpoint,
+  mode = "password",
+  onChangeMode,
+  otpCode = "",
+  otpSession = null,
+  onChangeOtpCode,
+  onResendOtp,
+  onChangeOtpNumber,
+  view = "login",
+  onChangeView,
+  noticeMessage = null,
+  onRegister,
+  onRequestPasswordReset,
+  onResetPassword,
 }) {
+  const colors = getThemeColors(isDark);
   const [passwordVisible, setPasswordVisible] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const isOtpMode = mode === "otp";
+  const codeSent = isOtpMode && !!otpSession;
+  const resendSeconds = otpSession
+    ? Math.max(Math.ceil((otpSession.resendAvailableAt - now) / 1000), 0)
+    : 0;
+
+  useEffect(() => {
+    if (!visible || !otpSession) {
+      return undefined;
+    }
+    setNow(Date.now());
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [otpSession, visible]);
+
+  const inputBorderColor = colors.inputBorder;
+  const mutedColor = colors.textMuted;
+  const submitLabel = !isOtpMode
+    ? "Login"
+    : codeSent
+    ? "Verify & login"
+    : "Send code";
 
   return (
     <Modal
@@ -37,115 +90,228 @@ export default function AuthModal({
           <View style={styles.header}>
             <View style={styles.headerTitle}>
               <Ionicons name="person-outline" size={18} color="#fff" />
-              <Text style={styles.headerText}>Login</Text>
+              <Text style={styles.headerText}>{VIEW_TITLES[view]}</Text>
             </View>
             <TouchableOpacity onPress={onClose}>
               <Ionicons name="close" size={22} color="#fff" />
             </TouchableOpacity>
           </View>
-          <View
-            style={[
-              styles.body,
-              { backgroundColor: isDark ? "#0f172a" : "#ffffff" },
-            ]}
-          >
-            <View
-              style={[
-                styles.inputWrapper,
-                {
-                  borderColor: isDark
-                    ? "rgba(148,163,184,0.4)"
-                    : "rgba(15,23,42,0.12)",
-                },
-              ]}
-            >
-              <Ionicons
-                name="call-outline"
-                size={18}
-                color={isDark ? "#94a3b8" : "#64748b"}
+          <View style={[styles.body, { backgroundColor: colors.surface }]}>
+            {view === "register" ? (
+              <RegisterForm
+                isDark={isDark}
+                initialPhone={phone}
+                loading={loading}
+                errorMessage={errorMessage}
+                onSubmit={onRegister}
               />
-              <TextInput
-                style={[
-                  styles.input,
-                  { color: isDark ? "#f8fafc" : "#0f172a" },
-                ]}
-                keyboardType="phone-pad"
-                placeholder="e.g., +1234567890 or 1234567890"
-                placeholderTextColor={isDark ? "#475569" : "#94a3b8"}
-                value={phone}
-                onChangeText={onChangePhone}
+            ) : view === "forgot" ? (
+              <PasswordResetForm
+                isDark={isDark}
+                initialIdentifier={phone}
+                loading={loading}
+                errorMessage={errorMessage}
+                onRequestCode={onRequestPasswordReset}
+                onResetPassword={onResetPassword}
               />
-            </View>
-            <View
-              style={[
-                styles.inputWrapper,
-                {
-                  borderColor: isDark
-                    ? "rgba(148,163,184,0.4)"
-                    : "rgba(15,23,42,0.12)",
-                },
-              ]}
-            >
-              <Ionicons
-                name="lock-closed-outline"
-                size={18}
-                color={isDark ? "#94a3b8" : "#64748b"}
-              />
-              <TextInput
-                style={[
-                  styles.input,
-                  { color: isDark ? "#f8fafc" : "#0f172a" },
-                ]}
-                placeholder="Enter password"
-                placeholderTextColor={isDark ? "#475569" : "#94a3b8"}
-                secureTextEntry={!passwordVisible}
-                value={password}
-                onChangeText={onChangePassword}
-              />
-              <TouchableOpacity
-                onPress={() => setPasswordVisible((prev) => !prev)}
-                accessibilityLabel={
-                  passwordVisible ? "Hide password" : "Show password"
-                }
-              >
-                <Ionicons
-                  name={passwordVisible ? "eye-off-outline" : "eye-outline"}
-                  size={18}
-                  color={isDark ? "#94a3b8" : "#64748b"}
-                />
-              </TouchableOpacity>
-            </View>
-            {errorMessage ? (
-              <Text style={styles.errorText}>{errorMessage}</Text>
-            ) : null}
-            <TouchableOpacity
-              style={[
-                styles.submitButton,
-                loading && styles.submitButtonDisabled,
-              ]}
-              onPress={onSubmit}
-              disabled={loading}
-            >
-              {loading ? (
-                <ActivityIndicator color="#fff" />
-              ) : (
-                <Text style={styles.submitText}>Login</Text>
-              )}
-            </TouchableOpacity>
-            {endpoint ? (
-              <Text
-                style={[
-                  styles.endpointText,
-                  { color: isDark ? "#94a3b8" : "#64748b" },
-                ]}
-              >
-                {endpoint}
+            ) : (
+              <>
+                <View
+                  style={[
+                    styles.modeSwitch,
+                    { backgroundColor: colors.surfaceMuted },
+                  ]}
+                >
+                  {AUTH_MODES.map((option) => {
+                    const selected = option.key === mode;
+                    return (
+                      <TouchableOpacity
+                        key={option.key}
+                        style={[
+                          styles.modeOption,
+                          selected && {
+                            backgroundColor: colors.surface,
+                          },
+                        ]}
+                        onPress={() => onChangeMode?.(option.key)}
+                        disabled={loading}
+                        accessibilityState={{ selected }}
+                      >
+                        <Text
+                          style={[
+                            styles.modeOptionText,
+                            { color: selected ? "#0f766e" : mutedColor },
+                          ]}
+                        >
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                {codeSent ? (
+                  <View style={styles.otpSentRow}>
+                    <Text style={[styles.otpSentText, { color: mutedColor }]}>
+                      Code sent to{" "}
+                      <Text style={{ color: colors.text }}>
+                        {otpSession.phoneNumber}
+                      </Text>
+                    </Text>
+                    <TouchableOpacity
+                      onPress={onChangeOtpNumber}
+                      disabled={loading}
+                    >
+                      <Text style={styles.linkText}>Change</Text>
+                    </TouchableOpacity>
+                  </View>
+                ) : (
+                  <View
+                    style={[
+                      styles.inputWrapper,
+                      { borderColor: inputBorderColor },
+                    ]}
+                  >
+                    <Ionicons
+                      name="call-outline"
+                      size={18}
+                      color={mutedColor}
+                    />
+                    <TextInput
+                      style={[styles.input, { color: colors.text }]}
+                      keyboardType="phone-pad"
+                      placeholder={
+                        isOtpMode
+                          ? "Mobile number, e.g., +919876543210"
+                          : "e.g., +1234567890 or 1234567890"
+                      }
+                      placeholderTextColor={colors.placeholder}
+                      value={phone}
+                      onChangeText={onChangePhone}
+                    />
+                  </View>
+                )}
+                {codeSent ? (
+                  <>
+                    <OtpCodeInput
+                      isDark={isDark}
+                      length={otpSession.codeLength}
+                      value={otpCode}
+                      onChangeText={onChangeOtpCode}
+                      hasError={!!errorMessage}
+                      editable={!loading}
+                    />
+                    <View style={styles.resendRow}>
+                      {resendSeconds > 0 ? (
+                        <Text
+                          style={[styles.resendText, { color: mutedColor }]}
+                        >
+                          Resend code in {formatCountdown(resendSeconds)}
+                        </Text>
+                      ) : (
+                        <TouchableOpacity
+                          onPress={onResendOtp}
+                          disabled={loading}
+                        >
+                          <Text style={styles.linkText}>Resend code</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  </>
+                ) : null}
+                {!isOtpMode ? (
+                  <View
+                    style={[
+                      styles.inputWrapper,
+                      { borderColor: inputBorderColor },
+                    ]}
+                  >
+                    <Ionicons
+                      name="lock-closed-outline"
+                      size={18}
+                      color={colors.textMuted}
+                    />
+                    <TextInput
+                      style={[styles.input, { color: colors.text }]}
+                      placeholder="Enter password"
+                      placeholderTextColor={colors.placeholder}
+                      secureTextEntry={!passwordVisible}
+                      value={password}
+                      onChangeText={onChangePassword}
+                    />
+                    <TouchableOpacity
+                      onPress={() => setPasswordVisible((prev) => !prev)}
+                      accessibilityLabel={
+                        passwordVisible ? "Hide password" : "Show password"
+                      }
+                    >
+                      <Ionicons
+                        name={
+                          passwordVisible ? "eye-off-outline" : "eye-outline"
+                        }
+                        size={18}
+                        color={colors.textMuted}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                ) : null}
+                {!isOtpMode ? (
+                  <TouchableOpacity
+                    style={styles.forgotLink}
+                    onPress={() => onChangeView?.("forgot")}
+                  >
+                    <Text style={styles.linkText}>Forgot password?</Text>
+                  </TouchableOpacity>
+                ) : null}
+                {noticeMessage ? (
+                  <Text style={styles.noticeText}>{noticeMessage}</Text>
+                ) : null}
+                {errorMessage ? (
+                  <Text style={styles.errorText}>{errorMessage}</Text>
+                ) : null}
+                <TouchableOpacity
+                  style={[
+                    styles.submitButton,
+                    loading && styles.submitButtonDisabled,
+                  ]}
+                  onPress={onSubmit}
+                  disabled={loading}
+                >
+                  {loading ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.submitText}>{submitLabel}</Text>
+                  )}
+                </TouchableOpacity>
+                {endpoint ? (
+                  <Text
+                    style={[styles.endpointText, { color: colors.textMuted }]}
+                  >
+                    {endpoint}
+                  </Text>
+                ) : null}
+              </>
+            )}
+            {view === "login" ? (
+              <Text style={styles.footerText}>
+                Don't have an account?{" "}
+                <Text
+                  style={styles.footerLink}
+                  onPress={() => onChangeView?.("register")}
+                >
+                  Register
+                </Text>
               </Text>
-            ) : null}
-            <Text style={styles.footerText}>
-              Don't have an account?{" "}
-              <Text style={styles.footerLink}>Register</Text>
-            </Text>
+            ) : (
+              <Text style={styles.footerText}>
+                {view === "register" ? "Already have an account? " : ""}
+                <Text
+                  style={styles.footerLink}
+                  onPress={() => onChangeView?.("login")}
+                >
+                  {view === "register" ? "Login" : "Back to login"}
+                </Text>
+              </Text>
+            )}
           </View>
         </View>
       </View>
@@ -153,6 +319,12 @@ export default function AuthModal({
   );
 }
 
+function formatCountdown(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
 const styles = StyleSheet.create({
   backdrop: {
     flex: 1,
@@ -195,6 +367,42 @@ const styles = StyleSheet.create({
     paddingVertical: 20,
     gap: 14,
   },
+  modeSwitch: {
+    flexDirection: "row",
+    borderRadius: 10,
+    padding: 3,
+  },
+  modeOption: {
+    flex: 1,
+    borderRadius: 8,
+    paddingVertical: 8,
+    alignItems: "center",
+  },
+  modeOptionText: {
+    fontSize: 14,
+    fontWeight: "700",
+  },
+  otpSentRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+  },
+  otpSentText: {
+    flex: 1,
+    fontSize: 14,
+  },
+  resendRow: {
+    alignItems: "center",
+  },
+  resendText: {
+    fontSize: 13,
+  },
+  linkText: {
+    color: "#0f766e",
+    fontSize: 13,
+    fontWeight: "700",
+  },
   inputWrapper: {
     flexDirection: "row",
     alignItems: "center",
@@ -227,6 +435,15 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 6,
   },
+  forgotLink: {
+    alignSelf: "flex-end",
+    marginTop: -6,
+  },
+  noticeText: {
+    color: "#16a34a",
+    fontSize: 13,
+    fontWeight: "600",
+  },
   errorText: {
     color: "#f87171",
     fontSize: 13,
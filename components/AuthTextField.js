@@ -0,0 +1,64 @@
+import { useState } from "react";
+import { View, TextInput, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import { getThemeColors } from "../constants/theme";
+
+export default function AuthTextField({
+  isDark,
+  icon,
+  secure = false,
+  ...inputProps
+}) {
+  const colors = getThemeColors(isDark);
+  const [revealed, setRevealed] = useState(false);
+  const iconColor = colors.textMuted;
+
+  return (
+    <View
+      style={[
+        styles.inputWrapper,
+        {
+          borderColor: colors.inputBorder,
+        },
+      ]}
+    >
+      <Ionicons name={icon} size={18} color={iconColor} />
+      <TextInput
+        style={[styles.input, { color: colors.text }]}
+        placeholderTextColor={colors.placeholder}
+        secureTextEntry={secure && !revealed}
+        autoCapitalize={secure ? "none" : inputProps.autoCapitalize}
+        {...inputProps}
+      />
+      {secure ? (
+        <TouchableOpacity
+          onPress={() => setRevealed((prev) => !prev)}
+          accessibilityLabel={revealed ? "Hide password" : "Show password"}
+        >
+          <Ionicons
+            name={revealed ? "eye-off-outline" : "eye-outline"}
+            size={18}
+            color={iconColor}
+          />
+        </TouchableOpacity>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  inputWrapper: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    gap: 10,
+  },
+  input: {
+    flex: 1,
+    fontSize: 15,
+  },
+});
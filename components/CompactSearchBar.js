@@ -2,6 +2,8 @@ import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
 import { LinearGradient } from "expo-linear-gradient";
 import { Ionicons } from "@expo/vector-icons";
 
+import { getThemeColors } from "../constants/theme";
+
 export default function CompactSearchBar({
   isDark,
   searchQuery,
@@ -10,17 +12,19 @@ export default function CompactSearchBar({
   onClearSearch,
   userProfile,
   onProfilePress,
+  onOpenFilters,
+  activeFilterCount = 0,
 }) {
+  const colors = getThemeColors(isDark);
+
   return (
     <View pointerEvents="box-none" style={[styles.wrapper, { top: topOffset }]}>
       <View
         style={[
           styles.container,
           {
-            backgroundColor: isDark ? "#0f172a" : "#ffffff",
-            borderColor: isDark
-              ? "rgba(148,163,184,0.2)"
-              : "rgba(15,23,42,0.08)",
+            backgroundColor: colors.surface,
+            borderColor: colors.border,
           },
         ]}
       >
@@ -39,10 +43,7 @@ export default function CompactSearchBar({
         >
           <Text
             numberOfLines={1}
-            style={[
-              styles.queryText,
-              { color: isDark ? "#e2e8f0" : "#4B5563" },
-            ]}
+            style={[styles.queryText, { color: colors.textSecondary }]}
           >
             {searchQuery || "Search for places"}
           </Text>
@@ -53,19 +54,24 @@ export default function CompactSearchBar({
             onPress={onClearSearch}
             accessibilityLabel="Clear search"
           >
-            <Ionicons
-              name="close"
-              size={18}
-              color={isDark ? "#cbd5f5" : "#475569"}
-            />
+            <Ionicons name="close" size={18} color={colors.icon} />
           </TouchableOpacity>
         )}
         <TouchableOpacity
           style={styles.iconButton}
-          onPress={onShowOverlay}
-          accessibilityLabel="Adjust search"
+          onPress={onOpenFilters}
+          accessibilityLabel={
+            activeFilterCount > 0
+              ? `Filters, ${activeFilterCount} active`
+              : "Filters"
+          }
         >
           <Ionicons name="options-outline" size={18} color="#0f766e" />
+          {activeFilterCount > 0 ? (
+            <View style={styles.filterCountBadge}>
+              <Text style={styles.filterCountText}>{activeFilterCount}</Text>
+            </View>
+          ) : null}
         </TouchableOpacity>
         <TouchableOpacity
           style={styles.iconButton}
@@ -75,7 +81,7 @@ export default function CompactSearchBar({
           <Ionicons
             name={userProfile ? "person" : "person-outline"}
             size={18}
-            color={isDark ? "#e2e8f0" : "#475569"}
+            color={colors.textSecondary}
           />
         </TouchableOpacity>
       </View>
@@ -129,4 +135,21 @@ const styles = StyleSheet.create({
     padding: 6,
     borderRadius: 16,
   },
+  filterCountBadge: {
+    position: "absolute",
+    top: 0,
+    right: 0,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 3,
+    backgroundColor: "#0f766e",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  filterCountText: {
+    color: "#fff",
+    fontSize: 10,
+    fontWeight: "700",
+  },
 });
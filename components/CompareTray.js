@@ -0,0 +1,88 @@
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import {
+  COMPARISON_MAX_PROPERTIES,
+  COMPARISON_MIN_PROPERTIES,
+} from "../utils/propertyComparison";
+import { getThemeColors } from "../constants/theme";
+
+export default function CompareTray({
+  isDark,
+  count = 0,
+  bottomOffset = 24,
+  onCompare,
+  onClear,
+}) {
+  const colors = getThemeColors(isDark);
+  if (!count) {
+    return null;
+  }
+  const ready = count >= COMPARISON_MIN_PROPERTIES;
+
+  return (
+    <View
+      style={[
+        styles.container,
+        {
+          bottom: bottomOffset,
+          backgroundColor: colors.surface,
+        },
+      ]}
+    >
+      <Ionicons name="git-compare-outline" size={18} color="#0f766e" />
+      <Text style={[styles.countText, { color: colors.text }]}>
+        {count}/{COMPARISON_MAX_PROPERTIES} selected
+      </Text>
+      <TouchableOpacity
+        style={[styles.compareButton, !ready && styles.compareButtonDisabled]}
+        onPress={onCompare}
+        disabled={!ready}
+      >
+        <Text style={styles.compareText}>
+          {ready ? "Compare" : `Pick ${COMPARISON_MIN_PROPERTIES - count} more`}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={onClear} accessibilityLabel="Clear comparison">
+        <Ionicons name="close" size={18} color={colors.textMuted} />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    alignSelf: "center",
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    borderRadius: 999,
+    paddingVertical: 8,
+    paddingLeft: 14,
+    paddingRight: 12,
+    shadowColor: "#020617",
+    shadowOpacity: 0.2,
+    shadowOffset: { width: 0, height: 6 },
+    shadowRadius: 10,
+    elevation: 8,
+  },
+  countText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  compareButton: {
+    backgroundColor: "#0f766e",
+    borderRadius: 999,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+  },
+  compareButtonDisabled: {
+    backgroundColor: "#94a3b8",
+  },
+  compareText: {
+    color: "#fff",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+});
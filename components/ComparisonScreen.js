@@ -0,0 +1,329 @@
+import { useMemo, useRef } from "react";
+import {
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import MapView, { Marker, Polygon, PROVIDER_GOOGLE } from "react-native-maps";
+import { Ionicons } from "@expo/vector-icons";
+
+import {
+  COMPARISON_COLORS,
+  buildPropertyComparison,
+} from "../utils/propertyComparison";
+import {
+  SQ_FT_PER_SQ_M,
+  formatAreaSqFt,
+  formatDistance,
+  formatLengthFt,
+  formatPriceInr,
+} from "../utils/measurementFormat";
+import { getThemeColors } from "../constants/theme";
+
+const LABEL_COLUMN_WIDTH = 112;
+const VALUE_COLUMN_WIDTH = 150;
+const MINI_MAP_EDGE_PADDING = { top: 32, right: 32, bottom: 32, left: 32 };
+
+const formatPricePerSqFt = (value) => {
+  if (!Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  return `₹${Math.round(value).toLocaleString("en-IN")}/sq ft`;
+};
+
+const COMPARISON_ROWS = [
+  {
+    key: "price",
+    label: "Price",
+    render: (entry) =>
+      entry.priceDisplay || formatPriceInr(entry.price) || "On request",
+  },
+  {
+    key: "pricePerSqFt",
+    label: "Price / sq ft",
+    render: (entry) => formatPricePerSqFt(entry.pricePerSqFt) ?? "—",
+  },
+  {
+    key: "area",
+    label: "Area",
+    render: (entry) =>
+      formatAreaSqFt(
+        Number.isFinite(entry.areaSqFt) ? entry.areaSqFt / SQ_FT_PER_SQ_M : null
+      ) ?? "—",
+  },
+  {
+    key: "type",
+    label: "Type",
+    render: (entry) => entry.propertyType || "—",
+  },
+  {
+    key: "amenities",
+    label: "Nearest amenities",
+    render: (entry) =>
+      entry.nearestAmenities.length
+        ? entry.nearestAmenities
+            .map(
+              (amenity) =>
+                `${amenity.name} · ${formatDistance(amenity.distanceM)}`
+            )
+            .join("\n")
+        : "None in view",
+  },
+  {
+    key: "frontage",
+    label: "Road frontage",
+    render: (entry) => {
+      const length = formatLengthFt(entry.frontage.lengthM);
+      if (!length) {
+        return "No road in view";
+      }
+      return entry.frontage.roadNames.length
+        ? `${length}\n${entry.frontage.roadNames.join(", ")}`
+        : length;
+    },
+  },
+];
+
+export default function ComparisonScreen({
+  isDark,
+  visible,
+  topOffset = 0,
+  properties = [],
+  amenities = [],
+  roads = [],
+  onRemove,
+  onClose,
+}) {
+  const colors = getThemeColors(isDark);
+  const mapRef = useRef(null);
+  const entries = useMemo(
+    () => buildPropertyComparison(properties, { amenities, roads }),
+    [amenities, properties, roads]
+  );
+  const allCoordinates = useMemo(
+    () =>
+      properties.flatMap((property) =>
+        property.polygonPaths?.length
+          ? property.polygonPaths.flat()
+          : property.coordinate
+          ? [property.coordinate]
+          : []
+      ),
+    [properties]
+  );
+  const primaryText = colors.text;
+  const secondaryText = colors.textMuted;
+  const borderColor = colors.border;
+
+  const fitMiniMap = () => {
+    if (mapRef.current && allCoordinates.length) {
+      mapRef.current.fitToCoordinates(allCoordinates, {
+        edgePadding: MINI_MAP_EDGE_PADDING,
+        animated: false,
+      });
+    }
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      visible={visible}
+      onRequestClose={onClose}
+      statusBarTranslucent
+    >
+      <View style={[styles.container, { backgroundColor: colors.background }]}>
+        <View style={[styles.header, { paddingTop: topOffset + 12 }]}>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Back">
+            <Ionicons name="arrow-back" size={22} color="#fff" />
+          </TouchableOpacity>
+          <Text style={styles.headerText}>
+            Compare {properties.length} properties
+          </Text>
+        </View>
+        <ScrollView contentContainerStyle={styles.content}>
+          <View style={styles.miniMap}>
+            {visible ? (
+              <MapView
+                ref={mapRef}
+                provider={PROVIDER_GOOGLE}
+                style={StyleSheet.absoluteFill}
+                onMapReady={fitMiniMap}
+                onLayout={fitMiniMap}
+                toolbarEnabled={false}
+                rotateEnabled={false}
+                pitchEnabled={false}
+              >
+                {properties.map((property, index) => {
+                  const color =
+                    COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+                  if (!property.polygonPaths?.length) {
+                    return property.coordinate ? (
+                      <Marker
+                        key={property.id}
+                        coordinate={property.coordinate}
+                        pinColor={color}
+                      />
+                    ) : null;
+                  }
+                  return property.polygonPaths.map((path, pathIndex) => (
+                    <Polygon
+                      key={`${property.id}-compare-${pathIndex}`}
+                      coordinates={path}
+                      holes={property.polygonHoles?.[pathIndex]}
+                      strokeColor={color}
+                      fillColor={`${color}33`}
+                      strokeWidth={3}
+                    />
+                  ));
+                })}
+              </MapView>
+            ) : null}
+          </View>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            <View>
+              <View style={[styles.row, { borderBottomColor: borderColor }]}>
+                <View style={styles.labelCell} />
+                {entries.map((entry, index) => (
+                  <View key={entry.id} style={styles.valueCell}>
+                    <View style={styles.columnHeader}>
+                      <View
+                        style={[
+                          styles.colorSwatch,
+                          {
+                            backgroundColor:
+                              COMPARISON_COLORS[
+                                index % COMPARISON_COLORS.length
+                              ],
+                          },
+                        ]}
+                      />
+                      <Text
+                        style={[styles.columnTitle, { color: primaryText }]}
+                        numberOfLines={2}
+                      >
+                        {entry.name}
+                      </Text>
+                      <TouchableOpacity
+                        onPress={() => onRemove?.(entry.propertyId)}
+                        accessibilityLabel={`Remove ${entry.name} from comparison`}
+                      >
+                        <Ionicons
+                          name="close-circle"
+                          size={18}
+                          color={secondaryText}
+                        />
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ))}
+              </View>
+              {COMPARISON_ROWS.map((row) => (
+                <View
+                  key={row.key}
+                  style={[styles.row, { borderBottomColor: borderColor }]}
+                >
+                  <Text style={[styles.labelCell, styles.labelText]}>
+                    {row.label.toUpperCase()}
+                  </Text>
+                  {entries.map((entry) => (
+                    <Text
+                      key={entry.id}
+                      style={[
+                        styles.valueCell,
+                        styles.valueText,
+                        { color: primaryText },
+                      ]}
+                    >
+                      {row.render(entry)}
+                    </Text>
+                  ))}
+                </View>
+              ))}
+            </View>
+          </ScrollView>
+          <Text style={[styles.footnote, { color: secondaryText }]}>
+            Amenities and road frontage are measured against the map features
+            currently loaded.
+          </Text>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    backgroundColor: "#0f766e",
+    paddingHorizontal: 18,
+    paddingBottom: 14,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  headerText: {
+    flex: 1,
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "700",
+  },
+  content: {
+    paddingBottom: 32,
+  },
+  miniMap: {
+    height: 220,
+    margin: 16,
+    borderRadius: 14,
+    overflow: "hidden",
+    backgroundColor: "#e2e8f0",
+  },
+  row: {
+    flexDirection: "row",
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+  },
+  labelCell: {
+    width: LABEL_COLUMN_WIDTH,
+  },
+  labelText: {
+    color: "#64748b",
+    fontSize: 11,
+    fontWeight: "700",
+    letterSpacing: 0.6,
+  },
+  valueCell: {
+    width: VALUE_COLUMN_WIDTH,
+    paddingRight: 12,
+  },
+  valueText: {
+    fontSize: 14,
+    fontWeight: "500",
+  },
+  columnHeader: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 6,
+  },
+  colorSwatch: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 4,
+  },
+  columnTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: "700",
+  },
+  footnote: {
+    fontSize: 12,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+});
@@ -0,0 +1,255 @@
+import { useMemo, useRef } from "react";
+import {
+  PanResponder,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import { getThemeColors } from "../constants/theme";
+
+const DRAW_MODES = [
+  { key: "freehand", label: "Freehand", icon: "brush-outline" },
+  { key: "vertices", label: "Tap points", icon: "git-commit-outline" },
+];
+const MIN_STROKE_STEP_PX = 8;
+
+export default function DrawSearchOverlay({
+  isDark,
+  mode,
+  topOffset = 0,
+  pointCount = 0,
+  canFinish = false,
+  onChangeMode,
+  onStroke,
+  onStrokeEnd,
+  onUndo,
+  onFinish,
+  onCancel,
+}) {
+  const colors = getThemeColors(isDark);
+  const strokeRef = useRef([]);
+  const handlersRef = useRef({ onStroke, onStrokeEnd });
+  handlersRef.current = { onStroke, onStrokeEnd };
+
+  // Screen points are handed to the parent, which owns the map projection.
+  const panResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onMoveShouldSetPanResponder: () => true,
+        onPanResponderGrant: (event) => {
+          const { locationX, locationY } = event.nativeEvent;
+          strokeRef.current = [{ x: locationX, y: locationY }];
+          handlersRef.current.onStroke?.(strokeRef.current);
+        },
+        onPanResponderMove: (event) => {
+          const { locationX, locationY } = event.nativeEvent;
+          const last = strokeRef.current[strokeRef.current.length - 1];
+          if (
+            last &&
+            Math.hypot(locationX - last.x, locationY - last.y) <
+              MIN_STROKE_STEP_PX
+          ) {
+            return;
+          }
+          strokeRef.current = [
+            ...strokeRef.current,
+            { x: locationX, y: locationY },
+          ];
+          handlersRef.current.onStroke?.(strokeRef.current);
+        },
+        onPanResponderRelease: () => {
+          handlersRef.current.onStrokeEnd?.(strokeRef.current);
+          strokeRef.current = [];
+        },
+        onPanResponderTerminate: () => {
+          strokeRef.current = [];
+        },
+      }),
+    []
+  );
+
+  const hint =
+    mode === "freehand"
+      ? "Trace around the area you want to search"
+      : pointCount
+      ? `${pointCount} point${pointCount === 1 ? "" : "s"} · tap to add more`
+      : "Tap the map to place each corner";
+
+  return (
+    <View pointerEvents="box-none" style={StyleSheet.absoluteFill}>
+      {mode === "freehand" ? (
+        <View style={StyleSheet.absoluteFill} {...panResponder.panHandlers} />
+      ) : null}
+      <View
+        pointerEvents="box-none"
+        style={[styles.toolbarWrapper, { top: topOffset }]}
+      >
+        <View
+          style={[
+            styles.toolbar,
+            { backgroundColor: colors.surface, borderColor: colors.border },
+          ]}
+        >
+          <View style={styles.modeRow}>
+            {DRAW_MODES.map((option) => {
+              const selected = option.key === mode;
+              return (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[
+                    styles.modeOption,
+                    { borderColor: colors.border },
+                    selected && styles.modeOptionActive,
+                  ]}
+                  onPress={() => onChangeMode?.(option.key)}
+                  accessibilityState={{ selected }}
+                >
+                  <Ionicons
+                    name={option.icon}
+                    size={16}
+                    color={selected ? "#fff" : "#0f766e"}
+                  />
+                  <Text
+                    style={[
+                      styles.modeText,
+                      { color: selected ? "#fff" : colors.text },
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={[styles.hintText, { color: colors.textMuted }]}>
+            {hint}
+          </Text>
+          <View style={styles.actionRow}>
+            <TouchableOpacity
+              style={[styles.secondaryButton, { borderColor: colors.border }]}
+              onPress={onCancel}
+            >
+              <Text style={[styles.secondaryText, { color: colors.text }]}>
+                Cancel
+              </Text>
+            </TouchableOpacity>
+            {mode === "vertices" ? (
+              <>
+                <TouchableOpacity
+                  style={[
+                    styles.secondaryButton,
+                    { borderColor: colors.border },
+                  ]}
+                  onPress={onUndo}
+                  disabled={!pointCount}
+                >
+                  <Text
+                    style={[
+                      styles.secondaryText,
+                      { color: pointCount ? colors.text : colors.placeholder },
+                    ]}
+                  >
+                    Undo
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.primaryButton,
+                    !canFinish && styles.primaryButtonDisabled,
+                  ]}
+                  onPress={onFinish}
+                  disabled={!canFinish}
+                >
+                  <Text style={styles.primaryText}>Search area</Text>
+                </TouchableOpacity>
+              </>
+            ) : null}
+          </View>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  toolbarWrapper: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    alignItems: "center",
+    paddingHorizontal: 16,
+  },
+  toolbar: {
+    width: "100%",
+    maxWidth: 380,
+    borderRadius: 12,
+    borderWidth: 1,
+    padding: 12,
+    gap: 10,
+    shadowColor: "#000",
+    shadowOpacity: 0.15,
+    shadowOffset: { width: 0, height: 6 },
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  modeRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  modeOption: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 8,
+  },
+  modeOptionActive: {
+    backgroundColor: "#0f766e",
+    borderColor: "#0f766e",
+  },
+  modeText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  hintText: {
+    fontSize: 13,
+    textAlign: "center",
+  },
+  actionRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  secondaryButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  secondaryText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  primaryButton: {
+    flex: 2,
+    backgroundColor: "#0f766e",
+    borderRadius: 10,
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  primaryButtonDisabled: {
+    opacity: 0.5,
+  },
+  primaryText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "700",
+  },
+});
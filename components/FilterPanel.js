@@ -0,0 +1,373 @@
+import { useEffect, useState } from "react";
+import {
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import {
+  DEFAULT_PROPERTY_FILTERS,
+  LISTING_KIND_OPTIONS,
+} from "../utils/propertyFilters";
+import { PROPERTY_TYPE_OPTIONS } from "../utils/propertyTypes";
+import { getThemeColors } from "../constants/theme";
+
+const RUPEES_PER_LAKH = 100000;
+
+const toInputValue = (value, divisor = 1) =>
+  Number.isFinite(value) && value > 0 ? String(value / divisor) : "";
+
+const parseInputValue = (text, multiplier = 1) => {
+  const value = Number(String(text).replace(/[^0-9.]/g, ""));
+  return Number.isFinite(value) && value > 0 ? value * multiplier : null;
+};
+
+const createDraft = (filters) => ({
+  propertyTypes: filters?.propertyTypes ?? [],
+  minPrice: toInputValue(filters?.minPrice, RUPEES_PER_LAKH),
+  maxPrice: toInputValue(filters?.maxPrice, RUPEES_PER_LAKH),
+  minAreaSqFt: toInputValue(filters?.minAreaSqFt),
+  maxAreaSqFt: toInputValue(filters?.maxAreaSqFt),
+  ownedOnly: !!filters?.ownedOnly,
+  listingKind: filters?.listingKind ?? "all",
+});
+
+export default function FilterPanel({
+  isDark,
+  visible,
+  filters,
+  onApply,
+  onClose,
+}) {
+  const colors = getThemeColors(isDark);
+  const [draft, setDraft] = useState(() => createDraft(filters));
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(createDraft(filters));
+    }
+  }, [filters, visible]);
+
+  const updateDraft = (key, value) =>
+    setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const togglePropertyType = (key) =>
+    setDraft((prev) => ({
+      ...prev,
+      propertyTypes: prev.propertyTypes.includes(key)
+        ? prev.propertyTypes.filter((entry) => entry !== key)
+        : [...prev.propertyTypes, key],
+    }));
+
+  const handleApply = () => {
+    onApply?.({
+      propertyTypes: draft.propertyTypes,
+      minPrice: parseInputValue(draft.minPrice, RUPEES_PER_LAKH),
+      maxPrice: parseInputValue(draft.maxPrice, RUPEES_PER_LAKH),
+      minAreaSqFt: parseInputValue(draft.minAreaSqFt),
+      maxAreaSqFt: parseInputValue(draft.maxAreaSqFt),
+      ownedOnly: draft.ownedOnly,
+      listingKind: draft.listingKind,
+    });
+  };
+
+  const handleReset = () => setDraft(createDraft(DEFAULT_PROPERTY_FILTERS));
+
+  const primaryText = colors.text;
+  const secondaryText = colors.textMuted;
+  const borderColor = colors.inputBorder;
+
+  const renderRangeInputs = (minKey, maxKey, unitLabel) => (
+    <View style={styles.rangeRow}>
+      {[minKey, maxKey].map((key, index) => (
+        <View key={key} style={[styles.inputWrapper, { borderColor }]}>
+          <TextInput
+            style={[styles.input, { color: primaryText }]}
+            keyboardType="decimal-pad"
+            placeholder={index === 0 ? "Min" : "Max"}
+            placeholderTextColor={colors.placeholder}
+            value={draft[key]}
+            onChangeText={(text) => updateDraft(key, text)}
+          />
+          <Text style={[styles.unitText, { color: secondaryText }]}>
+            {unitLabel}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal
+      transparent
+      animationType="fade"
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <View style={styles.header}>
+            <View style={styles.headerTitle}>
+              <Ionicons name="options-outline" size={18} color="#fff" />
+              <Text style={styles.headerText}>Filters</Text>
+            </View>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={22} color="#fff" />
+            </TouchableOpacity>
+          </View>
+          <ScrollView
+            style={{ backgroundColor: colors.surface }}
+            contentContainerStyle={styles.body}
+            keyboardShouldPersistTaps="handled"
+          >
+            <Text style={[styles.sectionLabel, { color: secondaryText }]}>
+              LISTING
+            </Text>
+            <View style={[styles.segmented, { borderColor }]}>
+              {LISTING_KIND_OPTIONS.map((option) => {
+                const selected = draft.listingKind === option.key;
+                return (
+                  <TouchableOpacity
+                    key={option.key}
+                    style={[styles.segment, selected && styles.segmentActive]}
+                    onPress={() => updateDraft("listingKind", option.key)}
+                  >
+                    <Text
+                      style={[
+                        styles.segmentText,
+                        { color: selected ? "#fff" : primaryText },
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            <Text style={[styles.sectionLabel, { color: secondaryText }]}>
+              PROPERTY TYPE
+            </Text>
+            <View style={styles.chipRow}>
+              {PROPERTY_TYPE_OPTIONS.map((option) => {
+                const selected = draft.propertyTypes.includes(option.key);
+                return (
+                  <TouchableOpacity
+                    key={option.key}
+                    style={[
+                      styles.chip,
+                      { borderColor },
+                      selected && styles.chipActive,
+                    ]}
+                    onPress={() => togglePropertyType(option.key)}
+                  >
+                    <Text
+                      style={[
+                        styles.chipText,
+                        { color: selected ? "#fff" : primaryText },
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            <Text style={[styles.sectionLabel, { color: secondaryText }]}>
+              PRICE
+            </Text>
+            {renderRangeInputs("minPrice", "maxPrice", "₹ L")}
+
+            <Text style={[styles.sectionLabel, { color: secondaryText }]}>
+              AREA
+            </Text>
+            {renderRangeInputs("minAreaSqFt", "maxAreaSqFt", "sq ft")}
+
+            <View style={styles.switchRow}>
+              <Text style={[styles.switchLabel, { color: primaryText }]}>
+                Only properties I own
+              </Text>
+              <Switch
+                value={draft.ownedOnly}
+                onValueChange={(value) => updateDraft("ownedOnly", value)}
+                trackColor={{ true: "#14B8A6" }}
+              />
+            </View>
+
+            <View style={styles.actionRow}>
+              <TouchableOpacity
+                style={[styles.resetButton, { borderColor }]}
+                onPress={handleReset}
+              >
+                <Text style={[styles.resetText, { color: primaryText }]}>
+                  Reset
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.applyButton}
+                onPress={handleApply}
+              >
+                <Text style={styles.applyText}>Apply</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "center",
+    alignItems: "center",
+    paddingHorizontal: 24,
+  },
+  card: {
+    width: "100%",
+    maxWidth: 380,
+    maxHeight: "85%",
+    borderRadius: 16,
+    overflow: "hidden",
+    shadowColor: "#000",
+    shadowOpacity: 0.25,
+    shadowOffset: { width: 0, height: 12 },
+    shadowRadius: 18,
+    elevation: 14,
+  },
+  header: {
+    backgroundColor: "#0f766e",
+    paddingHorizontal: 18,
+    paddingVertical: 14,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  headerTitle: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  headerText: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "700",
+  },
+  body: {
+    paddingHorizontal: 18,
+    paddingVertical: 20,
+    gap: 10,
+  },
+  sectionLabel: {
+    fontSize: 10,
+    letterSpacing: 1,
+    fontWeight: "600",
+    marginTop: 4,
+  },
+  segmented: {
+    flexDirection: "row",
+    borderWidth: 1,
+    borderRadius: 10,
+    overflow: "hidden",
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: 8,
+    alignItems: "center",
+  },
+  segmentActive: {
+    backgroundColor: "#0f766e",
+  },
+  segmentText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  chipActive: {
+    backgroundColor: "#0f766e",
+    borderColor: "#0f766e",
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  rangeRow: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  inputWrapper: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    gap: 6,
+  },
+  input: {
+    flex: 1,
+    fontSize: 15,
+  },
+  unitText: {
+    fontSize: 12,
+    fontWeight: "600",
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginTop: 6,
+  },
+  switchLabel: {
+    fontSize: 15,
+    fontWeight: "500",
+  },
+  actionRow: {
+    flexDirection: "row",
+    gap: 10,
+    marginTop: 10,
+  },
+  resetButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  resetText: {
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  applyButton: {
+    flex: 2,
+    backgroundColor: "#0f766e",
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  applyText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "700",
+  },
+});
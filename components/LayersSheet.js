@@ -0,0 +1,271 @@
+import {
+  Modal,
+  Pressable,
+  StyleSheet,
+  Switch,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import {
+  LAYER_MODE_OPTIONS,
+  MAP_LAYER_OPTIONS,
+  MAP_TYPE_OPTIONS,
+  isLayerEnabled,
+} from "../constants/mapLayers";
+import { THEME_PREFERENCE_OPTIONS, getThemeColors } from "../constants/theme";
+
+export default function LayersSheet({
+  isDark,
+  visible,
+  layers,
+  mapType = "auto",
+  onChangeMapType,
+  themePreference = "system",
+  onChangeThemePreference,
+  bottomOffset = 0,
+  onChangeLayer,
+  onReset,
+  onClose,
+}) {
+  const colors = getThemeColors(isDark);
+  const primaryText = colors.text;
+  const secondaryText = colors.textMuted;
+  const borderColor = colors.border;
+
+  const renderChoiceRow = (options, selectedKey, onSelect) => (
+    <View style={styles.choiceRow}>
+      {options.map((option) => {
+        const selected = option.key === selectedKey;
+        return (
+          <TouchableOpacity
+            key={option.key}
+            style={[
+              styles.choice,
+              { borderColor },
+              selected && styles.choiceActive,
+            ]}
+            onPress={() => onSelect?.(option.key)}
+            accessibilityState={{ selected }}
+          >
+            <Ionicons
+              name={option.icon}
+              size={18}
+              color={selected ? "#fff" : "#0f766e"}
+            />
+            <Text
+              style={[
+                styles.choiceText,
+                { color: selected ? "#fff" : primaryText },
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <Modal
+      transparent
+      animationType="slide"
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <Pressable style={styles.backdrop} onPress={onClose}>
+        <Pressable
+          style={[
+            styles.sheet,
+            {
+              paddingBottom: bottomOffset + 20,
+              backgroundColor: colors.surface,
+              borderColor,
+            },
+          ]}
+        >
+          <View style={[styles.handle, { backgroundColor: colors.handle }]} />
+          <Text style={[styles.title, { color: primaryText }]}>Map type</Text>
+          {renderChoiceRow(MAP_TYPE_OPTIONS, mapType, onChangeMapType)}
+          {mapType === "auto" ? (
+            <Text style={[styles.hintText, { color: secondaryText }]}>
+              Switches to hybrid when you zoom in close.
+            </Text>
+          ) : null}
+          <View style={styles.header}>
+            <Text style={[styles.title, { color: primaryText }]}>
+              Map layers
+            </Text>
+            <TouchableOpacity onPress={onReset}>
+              <Text style={styles.resetText}>Reset</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={[styles.hintText, { color: secondaryText }]}>
+            Auto shows a layer once you zoom in far enough; On shows it at every
+            zoom.
+          </Text>
+          {MAP_LAYER_OPTIONS.map((option) => {
+            const parentOff =
+              !!option.parent && !isLayerEnabled(layers, option.parent);
+            const mode = layers?.[option.key] ?? "auto";
+            return (
+              <View
+                key={option.key}
+                style={[
+                  styles.row,
+                  { borderColor },
+                  option.parent && styles.childRow,
+                  parentOff && styles.rowDisabled,
+                ]}
+              >
+                <Ionicons name={option.icon} size={18} color="#0f766e" />
+                <Text style={[styles.rowLabel, { color: primaryText }]}>
+                  {option.label}
+                </Text>
+                {option.zoomDriven ? (
+                  <View style={[styles.modeRow, { borderColor }]}>
+                    {LAYER_MODE_OPTIONS.map((modeOption) => {
+                      const selected = modeOption.key === mode;
+                      return (
+                        <TouchableOpacity
+                          key={modeOption.key}
+                          style={[
+                            styles.modeChoice,
+                            selected && styles.choiceActive,
+                          ]}
+                          onPress={() =>
+                            onChangeLayer?.(option.key, modeOption.key)
+                          }
+                          disabled={parentOff}
+                          accessibilityLabel={`${option.label}: ${modeOption.label}`}
+                          accessibilityState={{ selected }}
+                        >
+                          <Text
+                            style={[
+                              styles.choiceText,
+                              { color: selected ? "#fff" : primaryText },
+                            ]}
+                          >
+                            {modeOption.label}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                ) : (
+                  <Switch
+                    value={mode !== "off"}
+                    onValueChange={(value) =>
+                      onChangeLayer?.(option.key, value ? "on" : "off")
+                    }
+                    disabled={parentOff}
+                    trackColor={{ true: "#14B8A6" }}
+                  />
+                )}
+              </View>
+            );
+          })}
+          <Text style={[styles.title, { color: primaryText }]}>Appearance</Text>
+          {renderChoiceRow(
+            THEME_PREFERENCE_OPTIONS,
+            themePreference,
+            onChangeThemePreference
+          )}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "flex-end",
+  },
+  sheet: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    borderWidth: 1,
+    paddingHorizontal: 18,
+    paddingTop: 10,
+    gap: 4,
+  },
+  handle: {
+    alignSelf: "center",
+    width: 44,
+    height: 5,
+    borderRadius: 3,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: "700",
+  },
+  choiceRow: {
+    flexDirection: "row",
+    gap: 6,
+    marginVertical: 6,
+  },
+  choice: {
+    flex: 1,
+    alignItems: "center",
+    gap: 4,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 8,
+  },
+  choiceActive: {
+    backgroundColor: "#0f766e",
+    borderColor: "#0f766e",
+  },
+  choiceText: {
+    fontSize: 11,
+    fontWeight: "600",
+  },
+  resetText: {
+    color: "#0f766e",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  hintText: {
+    fontSize: 12,
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingVertical: 8,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  modeRow: {
+    flexDirection: "row",
+    borderWidth: 1,
+    borderRadius: 8,
+    overflow: "hidden",
+  },
+  modeChoice: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  childRow: {
+    paddingLeft: 24,
+  },
+  rowDisabled: {
+    opacity: 0.5,
+  },
+  rowLabel: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: "500",
+  },
+});
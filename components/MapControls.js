@@ -0,0 +1,104 @@
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import { getThemeColors } from "../constants/theme";
+
+export default function MapControls({
+  isDark,
+  topOffset = 0,
+  onOpenLayers,
+  searchAreaActive = false,
+  onStartDrawing,
+  onClearSearchArea,
+  radiusSearchActive = false,
+  onStartRadiusSearch,
+  onClearRadiusSearch,
+  onStartMeasuring,
+}) {
+  const colors = getThemeColors(isDark);
+  const buttonStyle = [
+    styles.button,
+    {
+      backgroundColor: colors.surface,
+      borderColor: colors.border,
+    },
+  ];
+
+  return (
+    <View pointerEvents="box-none" style={[styles.column, { top: topOffset }]}>
+      <TouchableOpacity
+        style={buttonStyle}
+        onPress={onOpenLayers}
+        accessibilityLabel="Map layers"
+      >
+        <Ionicons name="layers-outline" size={20} color="#0f766e" />
+      </TouchableOpacity>
+      {searchAreaActive ? (
+        <TouchableOpacity
+          style={[buttonStyle, styles.activeButton]}
+          onPress={onClearSearchArea}
+          accessibilityLabel="Clear drawn area"
+        >
+          <Ionicons name="close" size={20} color="#fff" />
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity
+          style={buttonStyle}
+          onPress={onStartDrawing}
+          accessibilityLabel="Draw an area to search"
+        >
+          <Ionicons name="pencil-outline" size={20} color="#0f766e" />
+        </TouchableOpacity>
+      )}
+      {radiusSearchActive ? (
+        <TouchableOpacity
+          style={[buttonStyle, styles.activeButton]}
+          onPress={onClearRadiusSearch}
+          accessibilityLabel="Clear radius search"
+        >
+          <Ionicons name="locate" size={20} color="#fff" />
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity
+          style={buttonStyle}
+          onPress={onStartRadiusSearch}
+          accessibilityLabel="Search within a radius"
+        >
+          <Ionicons name="locate-outline" size={20} color="#0f766e" />
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity
+        style={buttonStyle}
+        onPress={onStartMeasuring}
+        accessibilityLabel="Measure distance and area"
+      >
+        <Ionicons name="resize-outline" size={20} color="#0f766e" />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  column: {
+    position: "absolute",
+    right: 16,
+    gap: 10,
+  },
+  button: {
+    width: 42,
+    height: 42,
+    borderRadius: 21,
+    borderWidth: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    shadowColor: "#000",
+    shadowOpacity: 0.15,
+    shadowOffset: { width: 0, height: 4 },
+    shadowRadius: 6,
+    elevation: 5,
+  },
+  activeButton: {
+    backgroundColor: "#0284c7",
+    borderColor: "#0284c7",
+  },
+});
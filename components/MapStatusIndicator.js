@@ -1,6 +1,22 @@
 import { ActivityIndicator, StyleSheet, Text, View } from "react-native";
 
-export default function MapStatusIndicator({ loading, error, propertyCount }) {
+const formatSavedAge = (savedAt) => {
+  const minutes = Math.max(0, Math.round((Date.now() - savedAt) / 60000));
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.round(hours / 24)} d ago`;
+};
+
+export default function MapStatusIndicator({
+  loading,
+  error,
+  propertyCount,
+  offlineSince = null,
+  inDrawnArea = false,
+  radiusKm = null,
+}) {
   if (loading) {
     return (
       <View style={[styles.pill, styles.loading]}>
@@ -20,6 +36,44 @@ export default function MapStatusIndicator({ loading, error, propertyCount }) {
     );
   }
 
+  if (offlineSince) {
+    return (
+      <View style={[styles.pill, styles.offline]}>
+        <Text style={styles.text} numberOfLines={2}>
+          Offline · showing map saved {formatSavedAge(offlineSince)}
+        </Text>
+      </View>
+    );
+  }
+
+  if (radiusKm) {
+    return (
+      <View style={[styles.pill, styles.info]}>
+        <Text style={styles.text}>
+          {propertyCount > 0
+            ? `${propertyCount} ${
+                propertyCount === 1 ? "property" : "properties"
+              } within ${radiusKm.toFixed(1)} km`
+            : `No properties within ${radiusKm.toFixed(1)} km`}
+        </Text>
+      </View>
+    );
+  }
+
+  if (inDrawnArea) {
+    return (
+      <View style={[styles.pill, styles.info]}>
+        <Text style={styles.text}>
+          {propertyCount > 0
+            ? `${propertyCount} ${
+                propertyCount === 1 ? "property" : "properties"
+              } in drawn area`
+            : "No properties in drawn area"}
+        </Text>
+      </View>
+    );
+  }
+
   if (propertyCount > 0) {
     return (
       <View style={[styles.pill, styles.info]}>
@@ -53,6 +107,9 @@ const styles = StyleSheet.create({
   error: {
     backgroundColor: "rgba(239, 68, 68, 0.95)",
   },
+  offline: {
+    backgroundColor: "rgba(217, 119, 6, 0.95)",
+  },
   info: {
     backgroundColor: "rgba(15, 23, 42, 0.9)",
   },
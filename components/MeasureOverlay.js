@@ -0,0 +1,241 @@
+import { StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import { getThemeColors } from "../constants/theme";
+import {
+  formatAreaMeasurements,
+  formatLengthMeasurement,
+} from "../utils/measurementFormat";
+
+const MEASURE_MODES = [
+  { key: "points", label: "Drop points", icon: "git-commit-outline" },
+  { key: "edges", label: "Tap an edge", icon: "scan-outline" },
+];
+
+export default function MeasureOverlay({
+  isDark,
+  mode,
+  topOffset = 0,
+  measurement,
+  selectedEdge = null,
+  canCloseShape = false,
+  onChangeMode,
+  onUndo,
+  onToggleClosed,
+  onDone,
+}) {
+  const colors = getThemeColors(isDark);
+  const pointCount = measurement?.closed
+    ? measurement.path.length - 1
+    : measurement?.path.length ?? 0;
+
+  let summary = null;
+  let details = [];
+  if (mode === "edges") {
+    summary = selectedEdge
+      ? formatLengthMeasurement(selectedEdge.lengthMeters)
+      : null;
+    details = selectedEdge
+      ? [selectedEdge.label, ...formatAreaMeasurements(selectedEdge.areaSqM)]
+      : [];
+  } else if (pointCount > 1) {
+    summary = `${
+      measurement.closed ? "Perimeter" : "Total"
+    } ${formatLengthMeasurement(measurement.totalMeters)}`;
+    details = formatAreaMeasurements(measurement.areaSqM);
+  }
+  const hint =
+    mode === "edges"
+      ? "Tap near the edge of a plot or road"
+      : pointCount === 1
+      ? "Tap the next point"
+      : "Tap the map to drop points";
+
+  return (
+    <View
+      pointerEvents="box-none"
+      style={[styles.toolbarWrapper, { top: topOffset }]}
+    >
+      <View
+        style={[
+          styles.toolbar,
+          { backgroundColor: colors.surface, borderColor: colors.border },
+        ]}
+      >
+        <View style={styles.modeRow}>
+          {MEASURE_MODES.map((option) => {
+            const selected = option.key === mode;
+            return (
+              <TouchableOpacity
+                key={option.key}
+                style={[
+                  styles.modeOption,
+                  { borderColor: colors.border },
+                  selected && styles.modeOptionActive,
+                ]}
+                onPress={() => onChangeMode?.(option.key)}
+                accessibilityState={{ selected }}
+              >
+                <Ionicons
+                  name={option.icon}
+                  size={16}
+                  color={selected ? "#fff" : "#0f766e"}
+                />
+                <Text
+                  style={[
+                    styles.modeText,
+                    { color: selected ? "#fff" : colors.text },
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {summary ? (
+          <View style={styles.summary}>
+            <Text style={[styles.summaryText, { color: colors.text }]}>
+              {summary}
+            </Text>
+            {details.length ? (
+              <Text style={[styles.detailText, { color: colors.textMuted }]}>
+                {details.filter(Boolean).join(" · ")}
+              </Text>
+            ) : null}
+          </View>
+        ) : (
+          <Text style={[styles.hintText, { color: colors.textMuted }]}>
+            {hint}
+          </Text>
+        )}
+        <View style={styles.actionRow}>
+          {mode === "points" ? (
+            <>
+              <TouchableOpacity
+                style={[styles.secondaryButton, { borderColor: colors.border }]}
+                onPress={onUndo}
+                disabled={!pointCount}
+              >
+                <Text
+                  style={[
+                    styles.secondaryText,
+                    { color: pointCount ? colors.text : colors.placeholder },
+                  ]}
+                >
+                  Undo
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.secondaryButton, { borderColor: colors.border }]}
+                onPress={onToggleClosed}
+                disabled={!canCloseShape}
+              >
+                <Text
+                  style={[
+                    styles.secondaryText,
+                    { color: canCloseShape ? colors.text : colors.placeholder },
+                  ]}
+                >
+                  {measurement?.closed ? "Open shape" : "Close shape"}
+                </Text>
+              </TouchableOpacity>
+            </>
+          ) : null}
+          <TouchableOpacity style={styles.primaryButton} onPress={onDone}>
+            <Text style={styles.primaryText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  toolbarWrapper: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    alignItems: "center",
+    paddingHorizontal: 16,
+  },
+  toolbar: {
+    width: "100%",
+    maxWidth: 380,
+    borderRadius: 12,
+    borderWidth: 1,
+    padding: 12,
+    gap: 10,
+    shadowColor: "#000",
+    shadowOpacity: 0.15,
+    shadowOffset: { width: 0, height: 6 },
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  modeRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  modeOption: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 8,
+  },
+  modeOptionActive: {
+    backgroundColor: "#0f766e",
+    borderColor: "#0f766e",
+  },
+  modeText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  summary: {
+    alignItems: "center",
+    gap: 2,
+  },
+  summaryText: {
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  detailText: {
+    fontSize: 13,
+    fontWeight: "600",
+    textAlign: "center",
+  },
+  hintText: {
+    fontSize: 13,
+    textAlign: "center",
+  },
+  actionRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  secondaryButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  secondaryText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  primaryButton: {
+    flex: 1,
+    backgroundColor: "#0f766e",
+    borderRadius: 10,
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  primaryText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "700",
+  },
+});
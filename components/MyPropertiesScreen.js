@@ -0,0 +1,231 @@
+import {
+  ActivityIndicator,
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import PropertyThumbnail from "./PropertyThumbnail";
+import { DRAWING_STYLES } from "../constants/drawingStyles";
+import { formatPriceInr } from "../utils/measurementFormat";
+import { getThemeColors } from "../constants/theme";
+
+const OWNED_STYLE = DRAWING_STYLES.owned;
+
+export default function MyPropertiesScreen({
+  isDark,
+  visible,
+  topOffset = 0,
+  properties = [],
+  loading = false,
+  errorMessage = null,
+  onRefresh,
+  onSelect,
+  onClose,
+}) {
+  const colors = getThemeColors(isDark);
+  const primaryText = colors.text;
+  const secondaryText = colors.textMuted;
+  const cardBackground = colors.card;
+
+  const renderItem = ({ item }) => {
+    const priceLabel =
+      item.priceDisplay || formatPriceInr(item.price) || "Price on request";
+    return (
+      <TouchableOpacity
+        style={[styles.card, { backgroundColor: cardBackground }]}
+        activeOpacity={0.85}
+        onPress={() => onSelect?.(item)}
+        accessibilityRole="button"
+        accessibilityLabel={`Show ${item.name} on the map`}
+      >
+        <PropertyThumbnail
+          property={item}
+          color={OWNED_STYLE.strokeColor}
+          style={styles.thumbnail}
+        />
+        <View style={styles.cardBody}>
+          <Text
+            style={[styles.cardTitle, { color: primaryText }]}
+            numberOfLines={1}
+          >
+            {item.name}
+          </Text>
+          <Text
+            style={[styles.cardType, { color: secondaryText }]}
+            numberOfLines={1}
+          >
+            {item.propertyType}
+          </Text>
+          <Text style={styles.cardPrice}>{priceLabel}</Text>
+          <View style={styles.statusPill}>
+            <Ionicons name="home" size={11} color={OWNED_STYLE.strokeColor} />
+            <Text style={styles.statusText}>{item.status || "Owned"}</Text>
+          </View>
+        </View>
+        <Ionicons name="chevron-forward" size={18} color={secondaryText} />
+      </TouchableOpacity>
+    );
+  };
+
+  let emptyContent = null;
+  if (loading) {
+    emptyContent = <ActivityIndicator color="#0f766e" />;
+  } else if (errorMessage) {
+    emptyContent = (
+      <>
+        <Text style={styles.errorText}>{errorMessage}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={onRefresh}>
+          <Text style={styles.retryText}>Try again</Text>
+        </TouchableOpacity>
+      </>
+    );
+  } else {
+    emptyContent = (
+      <Text style={[styles.emptyText, { color: secondaryText }]}>
+        You don't have any properties yet.
+      </Text>
+    );
+  }
+
+  return (
+    <Modal
+      animationType="slide"
+      visible={visible}
+      onRequestClose={onClose}
+      statusBarTranslucent
+    >
+      <View style={[styles.container, { backgroundColor: colors.background }]}>
+        <View style={[styles.header, { paddingTop: topOffset + 12 }]}>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Back">
+            <Ionicons name="arrow-back" size={22} color="#fff" />
+          </TouchableOpacity>
+          <Text style={styles.headerText}>My Properties</Text>
+          <Text style={styles.headerCount}>
+            {properties.length ? properties.length : ""}
+          </Text>
+        </View>
+        <FlatList
+          data={properties}
+          keyExtractor={(item) => item.id}
+          renderItem={renderItem}
+          contentContainerStyle={
+            properties.length ? styles.listContent : styles.emptyContainer
+          }
+          ListEmptyComponent={emptyContent}
+          refreshing={loading && properties.length > 0}
+          onRefresh={onRefresh}
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    backgroundColor: "#0f766e",
+    paddingHorizontal: 18,
+    paddingBottom: 14,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  headerText: {
+    flex: 1,
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "700",
+  },
+  headerCount: {
+    color: "#ccfbf1",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  listContent: {
+    padding: 16,
+    gap: 12,
+  },
+  emptyContainer: {
+    flexGrow: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 24,
+    gap: 12,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderRadius: 14,
+    padding: 10,
+    gap: 12,
+    shadowColor: "#020617",
+    shadowOpacity: 0.12,
+    shadowOffset: { width: 0, height: 4 },
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  thumbnail: {
+    width: 88,
+    height: 88,
+    borderRadius: 10,
+    overflow: "hidden",
+  },
+  cardBody: {
+    flex: 1,
+    gap: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  cardType: {
+    fontSize: 13,
+  },
+  cardPrice: {
+    color: "#0f766e",
+    fontSize: 15,
+    fontWeight: "700",
+  },
+  statusPill: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    gap: 4,
+    backgroundColor: "#fef3c7",
+    borderRadius: 999,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  statusText: {
+    color: "#b45309",
+    fontSize: 11,
+    fontWeight: "700",
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: "center",
+  },
+  errorText: {
+    color: "#f87171",
+    fontSize: 13,
+    fontWeight: "600",
+    textAlign: "center",
+  },
+  retryButton: {
+    backgroundColor: "#0f766e",
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+  },
+  retryText: {
+    color: "#fff",
+    fontWeight: "700",
+  },
+});
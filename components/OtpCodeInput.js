@@ -0,0 +1,94 @@
+import { useRef } from "react";
+import { View, Text, TextInput, Pressable, StyleSheet } from "react-native";
+
+import { getThemeColors } from "../constants/theme";
+
+export default function OtpCodeInput({
+  isDark,
+  length = 6,
+  value,
+  onChangeText,
+  hasError = false,
+  editable = true,
+}) {
+  const colors = getThemeColors(isDark);
+  const inputRef = useRef(null);
+  const digits = value.split("");
+
+  const handleChange = (text) => {
+    onChangeText?.(text.replace(/\D/g, "").slice(0, length));
+  };
+
+  return (
+    <Pressable
+      style={styles.container}
+      onPress={() => inputRef.current?.focus()}
+      accessibilityLabel="One-time code"
+    >
+      {Array.from({ length }, (_, index) => {
+        const isActive =
+          editable &&
+          (index === digits.length ||
+            (index === length - 1 && digits.length === length));
+        return (
+          <View
+            key={index}
+            style={[
+              styles.cell,
+              {
+                backgroundColor: colors.input,
+                borderColor: hasError
+                  ? "#f87171"
+                  : isActive
+                  ? "#0f766e"
+                  : colors.inputBorder,
+              },
+            ]}
+          >
+            <Text style={[styles.cellText, { color: colors.text }]}>
+              {digits[index] ?? ""}
+            </Text>
+          </View>
+        );
+      })}
+      <TextInput
+        ref={inputRef}
+        style={styles.hiddenInput}
+        value={value}
+        onChangeText={handleChange}
+        maxLength={length}
+        keyboardType="number-pad"
+        textContentType="oneTimeCode"
+        autoComplete="sms-otp"
+        editable={editable}
+        autoFocus
+        caretHidden
+      />
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    gap: 8,
+  },
+  cell: {
+    flex: 1,
+    aspectRatio: 0.85,
+    maxWidth: 48,
+    borderWidth: 1.5,
+    borderRadius: 10,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  cellText: {
+    fontSize: 20,
+    fontWeight: "700",
+  },
+  hiddenInput: {
+    ...StyleSheet.absoluteFillObject,
+    opacity: 0,
+  },
+});
@@ -0,0 +1,91 @@
+import { View, Text, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import {
+  PASSWORD_RULES,
+  evaluatePasswordStrength,
+} from "../utils/authValidation";
+import { getThemeColors } from "../constants/theme";
+
+const STRENGTH_COLORS = ["#ef4444", "#ef4444", "#f59e0b", "#84cc16", "#16a34a"];
+
+export default function PasswordRequirements({ isDark, password }) {
+  const colors = getThemeColors(isDark);
+  const strength = evaluatePasswordStrength(password);
+  const mutedColor = colors.textMuted;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.meterRow}>
+        {PASSWORD_RULES.map((rule, index) => (
+          <View
+            key={rule.key}
+            style={[
+              styles.meterSegment,
+              {
+                backgroundColor:
+                  index < strength.score
+                    ? STRENGTH_COLORS[strength.score]
+                    : colors.track,
+              },
+            ]}
+          />
+        ))}
+        {strength.label ? (
+          <Text
+            style={[
+              styles.meterLabel,
+              { color: STRENGTH_COLORS[strength.score] },
+            ]}
+          >
+            {strength.label}
+          </Text>
+        ) : null}
+      </View>
+      {strength.rules.map((rule) => (
+        <View key={rule.key} style={styles.ruleRow}>
+          <Ionicons
+            name={rule.passed ? "checkmark-circle" : "ellipse-outline"}
+            size={14}
+            color={rule.passed ? "#16a34a" : mutedColor}
+          />
+          <Text style={[styles.ruleText, { color: mutedColor }]}>
+            {rule.label}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 4,
+  },
+  meterRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    marginBottom: 2,
+  },
+  meterSegment: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+  },
+  meterLabel: {
+    fontSize: 12,
+    fontWeight: "700",
+    marginLeft: 6,
+    minWidth: 56,
+    textAlign: "right",
+  },
+  ruleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  ruleText: {
+    fontSize: 12,
+  },
+});
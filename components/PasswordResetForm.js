@@ -0,0 +1,166 @@
+import { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from "react-native";
+
+import AuthTextField from "./AuthTextField";
+import PasswordRequirements from "./PasswordRequirements";
+import { getThemeColors } from "../constants/theme";
+
+export default function PasswordResetForm({
+  isDark,
+  initialIdentifier = "",
+  loading = false,
+  errorMessage = null,
+  onRequestCode,
+  onResetPassword,
+}) {
+  const colors = getThemeColors(isDark);
+  const [identifier, setIdentifier] = useState(initialIdentifier);
+  const [codeSent, setCodeSent] = useState(false);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [localError, setLocalError] = useState(null);
+  const mutedColor = colors.textMuted;
+
+  const requestCode = async () => {
+    setLocalError(null);
+    if (await onRequestCode?.(identifier)) {
+      setCodeSent(true);
+    }
+  };
+
+  const handleSubmit = () => {
+    if (!codeSent) {
+      requestCode();
+      return;
+    }
+    if (password !== confirmPassword) {
+      setLocalError("Passwords do not match.");
+      return;
+    }
+    setLocalError(null);
+    onResetPassword?.({ identifier, code, password });
+  };
+
+  const visibleError = localError ?? errorMessage;
+
+  return (
+    <View style={styles.container}>
+      {codeSent ? (
+        <>
+          <Text style={[styles.helperText, { color: mutedColor }]}>
+            Enter the code sent to {identifier.trim()} and choose a new
+            password.
+          </Text>
+          <AuthTextField
+            isDark={isDark}
+            icon="keypad-outline"
+            placeholder="Reset code"
+            keyboardType="number-pad"
+            textContentType="oneTimeCode"
+            value={code}
+            onChangeText={setCode}
+          />
+          <AuthTextField
+            isDark={isDark}
+            icon="lock-closed-outline"
+            placeholder="New password"
+            secure
+            value={password}
+            onChangeText={setPassword}
+          />
+          {password ? (
+            <PasswordRequirements isDark={isDark} password={password} />
+          ) : null}
+          <AuthTextField
+            isDark={isDark}
+            icon="lock-closed-outline"
+            placeholder="Confirm new password"
+            secure
+            value={confirmPassword}
+            onChangeText={(value) => {
+              setConfirmPassword(value);
+              setLocalError(null);
+            }}
+          />
+        </>
+      ) : (
+        <>
+          <Text style={[styles.helperText, { color: mutedColor }]}>
+            We'll send a reset code to the phone number or email on your
+            account.
+          </Text>
+          <AuthTextField
+            isDark={isDark}
+            icon="person-outline"
+            placeholder="Phone number or email"
+            autoCapitalize="none"
+            value={identifier}
+            onChangeText={setIdentifier}
+          />
+        </>
+      )}
+      {visibleError ? (
+        <Text style={styles.errorText}>{visibleError}</Text>
+      ) : null}
+      <TouchableOpacity
+        style={[styles.submitButton, loading && styles.submitButtonDisabled]}
+        onPress={handleSubmit}
+        disabled={loading}
+      >
+        {loading ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.submitText}>
+            {codeSent ? "Reset password" : "Send reset code"}
+          </Text>
+        )}
+      </TouchableOpacity>
+      {codeSent ? (
+        <TouchableOpacity onPress={requestCode} disabled={loading}>
+          <Text style={styles.linkText}>Resend code</Text>
+        </TouchableOpacity>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 14,
+  },
+  helperText: {
+    fontSize: 13,
+  },
+  submitButton: {
+    backgroundColor: "#0f766e",
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  submitButtonDisabled: {
+    opacity: 0.8,
+  },
+  submitText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  linkText: {
+    color: "#0f766e",
+    fontSize: 13,
+    fontWeight: "700",
+    textAlign: "center",
+  },
+  errorText: {
+    color: "#f87171",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,82 @@
+import { View, Text, StyleSheet } from "react-native";
+
+import { PLOT_STATUS_STYLES } from "../constants/drawingStyles";
+import { getThemeColors } from "../constants/theme";
+import { PLOT_STATUS_OPTIONS } from "../utils/plotStatus";
+
+export default function PlotStatusLegend({
+  isDark,
+  visible,
+  bottomOffset = 24,
+}) {
+  if (!visible) {
+    return null;
+  }
+  const colors = getThemeColors(isDark);
+
+  return (
+    <View
+      pointerEvents="none"
+      style={[
+        styles.container,
+        {
+          bottom: bottomOffset,
+          backgroundColor: colors.overlay,
+          borderColor: colors.border,
+        },
+      ]}
+    >
+      {PLOT_STATUS_OPTIONS.map((option) => {
+        const style = PLOT_STATUS_STYLES[option.key];
+        return (
+          <View key={option.key} style={styles.row}>
+            <View
+              style={[
+                styles.swatch,
+                {
+                  backgroundColor: style.fillColor,
+                  borderColor: style.strokeColor,
+                },
+              ]}
+            />
+            <Text style={[styles.label, { color: colors.text }]}>
+              {option.label}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    left: 16,
+    borderRadius: 10,
+    borderWidth: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    gap: 5,
+    shadowColor: "#020617",
+    shadowOpacity: 0.15,
+    shadowOffset: { width: 0, height: 4 },
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  swatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+    borderWidth: 1.5,
+  },
+  label: {
+    fontSize: 11,
+    fontWeight: "600",
+  },
+});
@@ -1,6 +1,8 @@
 import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 
+import { getThemeColors } from "../constants/theme";
+
 export default function ProfileMenu({
   isDark,
   visible,
@@ -9,7 +11,9 @@ export default function ProfileMenu({
   onDismiss,
   onLogout,
   onNavigateProperties,
+  onNavigateShortlist,
 }) {
+  const colors = getThemeColors(isDark);
   if (!visible || !userProfile) {
     return null;
   }
@@ -29,48 +33,33 @@ export default function ProfileMenu({
           style={[
             styles.card,
             {
-              backgroundColor: isDark ? "#0f172a" : "#ffffff",
-              borderColor: isDark
-                ? "rgba(148,163,184,0.3)"
-                : "rgba(15,23,42,0.08)",
+              backgroundColor: colors.surface,
+              borderColor: colors.border,
             },
           ]}
         >
           <View style={styles.header}>
             <View style={styles.headerTextBlock}>
-              <Text
-                style={[
-                  styles.greeting,
-                  { color: isDark ? "#f8fafc" : "#0f172a" },
-                ]}
-              >
+              <Text style={[styles.greeting, { color: colors.text }]}>
                 Hi, {userProfile.name}
               </Text>
-              <Text
-                style={[
-                  styles.subtext,
-                  { color: isDark ? "#cbd5f5" : "#475569" },
-                ]}
-              >
+              <Text style={[styles.subtext, { color: colors.icon }]}>
                 {userProfile.phone}
               </Text>
             </View>
           </View>
           <TouchableOpacity style={styles.row} onPress={onNavigateProperties}>
-            <Ionicons
-              name="home-outline"
-              size={18}
-              color={isDark ? "#f8fafc" : "#0f172a"}
-            />
-            <Text
-              style={[
-                styles.rowLabel,
-                { color: isDark ? "#f8fafc" : "#0f172a" },
-              ]}
-            >
+            <Ionicons name="home-outline" size={18} color={colors.text} />
+            <Text style={[styles.rowLabel, { color: colors.text }]}>
               My Properties
             </Text>
           </TouchableOpacity>
+          <TouchableOpacity style={styles.row} onPress={onNavigateShortlist}>
+            <Ionicons name="star-outline" size={18} color={colors.text} />
+            <Text style={[styles.rowLabel, { color: colors.text }]}>
+              Shortlist
+            </Text>
+          </TouchableOpacity>
           <View style={styles.divider} />
           <TouchableOpacity style={styles.row} onPress={onLogout}>
             <Ionicons name="log-out-outline" size={18} color="#dc2626" />
@@ -0,0 +1,428 @@
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import {
+  ActivityIndicator,
+  Animated,
+  Dimensions,
+  Image,
+  PanResponder,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import { computePolygonApproxAreaSqM } from "../utils/mapGeometry";
+import {
+  formatAreaSqFt,
+  formatAreaSqM,
+  formatPriceInr,
+} from "../utils/measurementFormat";
+import { getThemeColors } from "../constants/theme";
+
+const WINDOW_HEIGHT = Dimensions.get("window").height;
+const EXPANDED_OFFSET = WINDOW_HEIGHT * 0.14;
+const COLLAPSED_OFFSET = WINDOW_HEIGHT * 0.55;
+const CLOSED_OFFSET = WINDOW_HEIGHT;
+const DISMISS_DRAG_PX = 90;
+
+export default function PropertyDetailSheet({
+  isDark,
+  property,
+  details,
+  loading = false,
+  errorMessage = null,
+  onClose,
+  isFavorite = false,
+  onToggleFavorite,
+  isCompared = false,
+  canCompare = true,
+  onToggleCompare,
+}) {
+  const colors = getThemeColors(isDark);
+  const translateY = useRef(new Animated.Value(CLOSED_OFFSET)).current;
+  const dragStartRef = useRef(COLLAPSED_OFFSET);
+  const visible = !!property;
+
+  const animateTo = useCallback(
+    (toValue, callback) => {
+      Animated.spring(translateY, {
+        toValue,
+        useNativeDriver: true,
+        damping: 22,
+        stiffness: 180,
+        overshootClamping: toValue === CLOSED_OFFSET,
+      }).start(callback);
+    },
+    [translateY]
+  );
+
+  const dismiss = useCallback(() => {
+    animateTo(CLOSED_OFFSET, () => onClose?.());
+  }, [animateTo, onClose]);
+
+  useEffect(() => {
+    if (visible) {
+      animateTo(COLLAPSED_OFFSET);
+    } else {
+      translateY.setValue(CLOSED_OFFSET);
+    }
+  }, [animateTo, property?.id, translateY, visible]);
+
+  const panResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onMoveShouldSetPanResponder: (_, gesture) =>
+          Math.abs(gesture.dy) > 6 &&
+          Math.abs(gesture.dy) > Math.abs(gesture.dx),
+        onPanResponderGrant: () => {
+          translateY.stopAnimation((value) => {
+            dragStartRef.current = value;
+          });
+        },
+        onPanResponderMove: (_, gesture) => {
+          const next = Math.min(
+            CLOSED_OFFSET,
+            Math.max(EXPANDED_OFFSET, dragStartRef.current + gesture.dy)
+          );
+          translateY.setValue(next);
+        },
+        onPanResponderRelease: (_, gesture) => {
+          const position = dragStartRef.current + gesture.dy;
+          if (
+            position > COLLAPSED_OFFSET + DISMISS_DRAG_PX ||
+            gesture.vy > 1.4
+          ) {
+            dismiss();
+            return;
+          }
+          if (
+            position < (EXPANDED_OFFSET + COLLAPSED_OFFSET) / 2 ||
+            gesture.vy < -1
+          ) {
+            animateTo(EXPANDED_OFFSET);
+            return;
+          }
+          animateTo(COLLAPSED_OFFSET);
+        },
+        onPanResponderTerminate: () => animateTo(COLLAPSED_OFFSET),
+      }),
+    [animateTo, dismiss, translateY]
+  );
+
+  const areaSqM = useMemo(
+    () =>
+      computePolygonApproxAreaSqM(
+        property?.polygonPaths,
+        property?.polygonHoles
+      ),
+    [property?.polygonHoles, property?.polygonPaths]
+  );
+
+  if (!visible) {
+    return null;
+  }
+
+  const name = details?.name || property.name || "Untitled";
+  const propertyType = details?.propertyType || property.propertyType;
+  const priceLabel =
+    details?.priceDisplay ||
+    formatPriceInr(details?.price) ||
+    property.priceDisplay ||
+    "Price on request";
+  const isOwned = details?.isOwned ?? property.isOwned;
+  const images = details?.images ?? [];
+  const primaryText = colors.text;
+  const secondaryText = colors.textMuted;
+  const areaLabel = formatAreaSqFt(areaSqM);
+
+  return (
+    <Animated.View
+      style={[
+        styles.sheet,
+        {
+          backgroundColor: colors.surface,
+          borderColor: colors.border,
+          transform: [{ translateY }],
+        },
+      ]}
+    >
+      <View {...panResponder.panHandlers} style={styles.dragArea}>
+        <View
+          style={[
+            styles.handle,
+            {
+              backgroundColor: colors.handle,
+            },
+          ]}
+        />
+        <View style={styles.header}>
+          <View style={styles.headerTextBlock}>
+            <Text
+              style={[styles.title, { color: primaryText }]}
+              numberOfLines={2}
+            >
+              {name}
+            </Text>
+            {propertyType ? (
+              <Text style={[styles.subtitle, { color: secondaryText }]}>
+                {propertyType}
+              </Text>
+            ) : null}
+          </View>
+          {onToggleFavorite ? (
+            <TouchableOpacity
+              style={styles.headerAction}
+              onPress={() => onToggleFavorite(property)}
+              accessibilityLabel={
+                isFavorite ? "Remove from shortlist" : "Add to shortlist"
+              }
+              accessibilityState={{ selected: isFavorite }}
+            >
+              <Ionicons
+                name={isFavorite ? "star" : "star-outline"}
+                size={22}
+                color={isFavorite ? "#e11d48" : secondaryText}
+              />
+            </TouchableOpacity>
+          ) : null}
+          <TouchableOpacity
+            onPress={dismiss}
+            accessibilityLabel="Close property details"
+          >
+            <Ionicons name="close" size={22} color={secondaryText} />
+          </TouchableOpacity>
+        </View>
+      </View>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={styles.priceRow}>
+          <Text style={styles.price}>{priceLabel}</Text>
+          {onToggleCompare ? (
+            <TouchableOpacity
+              style={[
+                styles.compareButton,
+                isCompared && styles.compareButtonActive,
+                !isCompared && !canCompare && styles.compareButtonDisabled,
+              ]}
+              onPress={() => onToggleCompare(property)}
+              disabled={!isCompared && !canCompare}
+              accessibilityState={{ selected: isCompared }}
+            >
+              <Ionicons
+                name={isCompared ? "checkmark" : "git-compare-outline"}
+                size={14}
+                color={isCompared ? "#fff" : "#0f766e"}
+              />
+              <Text
+                style={[
+                  styles.compareText,
+                  isCompared && styles.compareTextActive,
+                ]}
+              >
+                {isCompared ? "Comparing" : "Compare"}
+              </Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+        <View style={styles.factRow}>
+          <View style={styles.fact}>
+            <Text style={[styles.factLabel, { color: secondaryText }]}>
+              AREA
+            </Text>
+            <Text style={[styles.factValue, { color: primaryText }]}>
+              {areaLabel ?? "—"}
+            </Text>
+            {areaLabel ? (
+              <Text style={[styles.factHint, { color: secondaryText }]}>
+                {formatAreaSqM(areaSqM)}
+              </Text>
+            ) : null}
+          </View>
+          <View style={styles.fact}>
+            <Text style={[styles.factLabel, { color: secondaryText }]}>
+              OWNERSHIP
+            </Text>
+            <View style={styles.ownershipRow}>
+              <Ionicons
+                name={isOwned ? "checkmark-circle" : "ellipse-outline"}
+                size={16}
+                color={isOwned ? "#0f766e" : secondaryText}
+              />
+              <Text style={[styles.factValue, { color: primaryText }]}>
+                {isOwned ? "Owned by you" : "Not owned"}
+              </Text>
+            </View>
+          </View>
+        </View>
+        {loading ? (
+          <ActivityIndicator style={styles.loader} color="#0f766e" />
+        ) : null}
+        {errorMessage ? (
+          <Text style={styles.errorText}>{errorMessage}</Text>
+        ) : null}
+        {images.length > 0 ? (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.gallery}
+          >
+            {images.map((uri, index) => (
+              <Image
+                key={`${uri}-${index}`}
+                source={{ uri }}
+                style={styles.galleryImage}
+                resizeMode="cover"
+              />
+            ))}
+          </ScrollView>
+        ) : null}
+        {details?.description ? (
+          <Text style={[styles.description, { color: secondaryText }]}>
+            {details.description}
+          </Text>
+        ) : null}
+      </ScrollView>
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  sheet: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    top: 0,
+    height: WINDOW_HEIGHT - EXPANDED_OFFSET,
+    borderTopLeftRadius: 18,
+    borderTopRightRadius: 18,
+    borderWidth: 1,
+    shadowColor: "#000",
+    shadowOpacity: 0.2,
+    shadowOffset: { width: 0, height: -6 },
+    shadowRadius: 14,
+    elevation: 16,
+  },
+  dragArea: {
+    paddingTop: 8,
+    paddingHorizontal: 18,
+    paddingBottom: 8,
+  },
+  handle: {
+    alignSelf: "center",
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    marginBottom: 10,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    justifyContent: "space-between",
+    gap: 12,
+  },
+  headerTextBlock: {
+    flex: 1,
+  },
+  priceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 12,
+  },
+  compareButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    borderWidth: 1,
+    borderColor: "#0f766e",
+    borderRadius: 999,
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  compareButtonActive: {
+    backgroundColor: "#0f766e",
+  },
+  compareButtonDisabled: {
+    opacity: 0.4,
+  },
+  compareText: {
+    color: "#0f766e",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  compareTextActive: {
+    color: "#fff",
+  },
+  headerAction: {
+    marginRight: -4,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: "700",
+  },
+  subtitle: {
+    fontSize: 13,
+    fontWeight: "500",
+    marginTop: 2,
+  },
+  content: {
+    paddingHorizontal: 18,
+    paddingBottom: 32,
+    gap: 14,
+  },
+  price: {
+    color: "#0f766e",
+    fontSize: 20,
+    fontWeight: "700",
+  },
+  factRow: {
+    flexDirection: "row",
+    gap: 16,
+  },
+  fact: {
+    flex: 1,
+    gap: 2,
+  },
+  factLabel: {
+    fontSize: 10,
+    letterSpacing: 1,
+    fontWeight: "600",
+  },
+  factValue: {
+    fontSize: 15,
+    fontWeight: "600",
+  },
+  factHint: {
+    fontSize: 12,
+  },
+  ownershipRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  loader: {
+    alignSelf: "flex-start",
+  },
+  errorText: {
+    color: "#f87171",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  gallery: {
+    gap: 10,
+  },
+  galleryImage: {
+    width: 220,
+    height: 140,
+    borderRadius: 10,
+    backgroundColor: "rgba(148,163,184,0.2)",
+  },
+  description: {
+    fontSize: 14,
+    lineHeight: 20,
+  },
+});
@@ -1,5 +1,8 @@
 import { memo, useCallback, useState } from "react";
-import { StyleSheet, Text, View } from "react-native";
+import { StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import { DRAWING_STYLES } from "../constants/drawingStyles";
 
 const PRICE_BADGE_COLORS = {
   background: "#0f766e",
@@ -7,10 +10,18 @@ const PRICE_BADGE_COLORS = {
   text: "#ecfeff",
 };
 
+const FAVORITE_BADGE_STROKE = DRAWING_STYLES.favorite.strokeColor;
+
+const OWNED_BADGE_COLORS = {
+  background: DRAWING_STYLES.owned.strokeColor,
+  stroke: "#fde68a",
+  text: "#fffbeb",
+};
+
 const DEFAULT_BADGE_WIDTH = 48;
 const DEFAULT_BADGE_HEIGHT = 32;
 
-const PropertyPriceBadges = ({ badges = [] }) => {
+const PropertyPriceBadges = ({ badges = [], onBadgePress, onClusterPress }) => {
   const [measurements, setMeasurements] = useState({});
 
   const handleLayout = useCallback((id, event) => {
@@ -32,7 +43,7 @@ const PropertyPriceBadges = ({ badges = [] }) => {
   }
 
   return (
-    <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+    <View pointerEvents="box-none" style={StyleSheet.absoluteFill}>
       {badges.map((badge) => {
         if (
           !badge ||
@@ -46,12 +57,54 @@ const PropertyPriceBadges = ({ badges = [] }) => {
         const translateX = measurement
           ? -measurement.width / 2
           : -DEFAULT_BADGE_WIDTH / 2;
+        // Clusters are centred on their point; single badges sit on top of it.
+        const anchorRatio = badge.isCluster ? 0.5 : 1;
         const translateY = measurement
-          ? -measurement.height
-          : -DEFAULT_BADGE_HEIGHT;
+          ? -measurement.height * anchorRatio
+          : -DEFAULT_BADGE_HEIGHT * anchorRatio;
+        if (badge.isCluster) {
+          return (
+            <TouchableOpacity
+              key={badge.id}
+              activeOpacity={0.8}
+              disabled={!onClusterPress}
+              onPress={() => onClusterPress?.(badge)}
+              accessibilityRole="button"
+              accessibilityLabel={`Zoom to ${badge.count} properties`}
+              style={[
+                styles.badgeContainer,
+                {
+                  left: badge.x,
+                  top: badge.y,
+                  transform: [{ translateX }, { translateY }],
+                },
+              ]}
+              onLayout={(event) => handleLayout(badge.id, event)}
+            >
+              <View
+                style={[
+                  styles.clusterBubble,
+                  badge.isOwned && styles.ownedBubble,
+                ]}
+              >
+                <Text style={styles.clusterCount}>{badge.label}</Text>
+                {badge.priceRange ? (
+                  <Text style={styles.clusterRange} numberOfLines={1}>
+                    {badge.priceRange}
+                  </Text>
+                ) : null}
+              </View>
+            </TouchableOpacity>
+          );
+        }
         return (
-          <View
+          <TouchableOpacity
             key={badge.id}
+            activeOpacity={0.8}
+            disabled={!onBadgePress}
+            onPress={() => onBadgePress?.(badge.id)}
+            accessibilityRole="button"
+            accessibilityLabel={`Open ${badge.label}`}
             style={[
               styles.badgeContainer,
               {
@@ -62,17 +115,38 @@ const PropertyPriceBadges = ({ badges = [] }) => {
             ]}
             onLayout={(event) => handleLayout(badge.id, event)}
           >
-            <View style={styles.badgeBubble}>
+            <View
+              style={[
+                styles.badgeBubble,
+                badge.isOwned && styles.ownedBubble,
+                badge.isFavorite && styles.favoriteBubble,
+              ]}
+            >
+              {badge.isFavorite ? (
+                <Ionicons name="star" size={11} color="#fde047" />
+              ) : null}
+              {badge.isOwned ? (
+                <Ionicons
+                  name="home"
+                  size={11}
+                  color={OWNED_BADGE_COLORS.text}
+                />
+              ) : null}
               <Text
-                style={styles.badgeText}
+                style={[styles.badgeText, badge.isOwned && styles.ownedText]}
                 numberOfLines={1}
                 ellipsizeMode="tail"
               >
                 {badge.label}
               </Text>
             </View>
-            <View style={styles.badgePointer} />
-          </View>
+            <View
+              style={[
+                styles.badgePointer,
+                badge.isOwned && styles.ownedPointer,
+              ]}
+            />
+          </TouchableOpacity>
         );
       })}
     </View>
@@ -85,6 +159,9 @@ const styles = StyleSheet.create({
     alignItems: "center",
   },
   badgeBubble: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
     backgroundColor: PRICE_BADGE_COLORS.background,
     borderColor: PRICE_BADGE_COLORS.stroke,
     borderWidth: 1.4,
@@ -105,6 +182,45 @@ const styles = StyleSheet.create({
     fontSize: 13,
     textAlign: "center",
   },
+  clusterBubble: {
+    minWidth: 40,
+    minHeight: 40,
+    borderRadius: 20,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: PRICE_BADGE_COLORS.background,
+    borderColor: PRICE_BADGE_COLORS.stroke,
+    borderWidth: 2,
+    shadowColor: "#020617",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  clusterCount: {
+    color: PRICE_BADGE_COLORS.text,
+    fontWeight: "800",
+    fontSize: 15,
+  },
+  clusterRange: {
+    color: PRICE_BADGE_COLORS.text,
+    fontSize: 10,
+    fontWeight: "600",
+    maxWidth: 140,
+  },
+  ownedBubble: {
+    backgroundColor: OWNED_BADGE_COLORS.background,
+    borderColor: OWNED_BADGE_COLORS.stroke,
+  },
+  favoriteBubble: {
+    borderColor: FAVORITE_BADGE_STROKE,
+    borderWidth: 2,
+  },
+  ownedText: {
+    color: OWNED_BADGE_COLORS.text,
+  },
   badgePointer: {
     width: 0,
     height: 0,
@@ -116,6 +232,9 @@ const styles = StyleSheet.create({
     borderTopColor: PRICE_BADGE_COLORS.background,
     marginTop: -1,
   },
+  ownedPointer: {
+    borderTopColor: OWNED_BADGE_COLORS.background,
+  },
 });
 
 export default memo(PropertyPriceBadges);
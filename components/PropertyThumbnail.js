@@ -0,0 +1,66 @@
+import { memo } from "react";
+import { StyleSheet, View } from "react-native";
+import MapView, { Marker, Polygon, PROVIDER_GOOGLE } from "react-native-maps";
+import { Ionicons } from "@expo/vector-icons";
+
+import { computeRegionForZoom } from "../constants/mapConfig";
+import { computePolygonCentroid } from "../utils/mapGeometry";
+
+const THUMBNAIL_ZOOM = 16.5;
+
+function PropertyThumbnail({ property, color = "#0f766e", style }) {
+  const center =
+    computePolygonCentroid(property?.polygonPaths, property?.polygonHoles) ??
+    property?.coordinate;
+  const region = center ? computeRegionForZoom(center, THUMBNAIL_ZOOM) : null;
+  if (!region) {
+    return (
+      <View style={[style, styles.placeholder]}>
+        <Ionicons name="map-outline" size={22} color="#94a3b8" />
+      </View>
+    );
+  }
+  return (
+    <View style={[style, styles.container]} pointerEvents="none">
+      <MapView
+        provider={PROVIDER_GOOGLE}
+        style={StyleSheet.absoluteFill}
+        initialRegion={region}
+        liteMode
+        scrollEnabled={false}
+        zoomEnabled={false}
+        rotateEnabled={false}
+        pitchEnabled={false}
+        toolbarEnabled={false}
+      >
+        {property.polygonPaths?.length ? (
+          property.polygonPaths.map((path, index) => (
+            <Polygon
+              key={`${property.id}-thumb-${index}`}
+              coordinates={path}
+              holes={property.polygonHoles?.[index]}
+              strokeColor={color}
+              fillColor={`${color}55`}
+              strokeWidth={2}
+            />
+          ))
+        ) : (
+          <Marker coordinate={center} pinColor={color} />
+        )}
+      </MapView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    overflow: "hidden",
+  },
+  placeholder: {
+    backgroundColor: "#e2e8f0",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+});
+
+export default memo(PropertyThumbnail);
@@ -0,0 +1,198 @@
+import {
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import PropertyThumbnail from "./PropertyThumbnail";
+import { DRAWING_STYLES } from "../constants/drawingStyles";
+import { formatDistance, formatPriceInr } from "../utils/measurementFormat";
+import { getThemeColors } from "../constants/theme";
+
+const RADIUS_STYLE = DRAWING_STYLES.searchArea;
+
+export default function RadiusResultsScreen({
+  isDark,
+  visible,
+  topOffset = 0,
+  label,
+  radiusKm,
+  properties = [],
+  onSelect,
+  onClose,
+}) {
+  const colors = getThemeColors(isDark);
+  const primaryText = colors.text;
+  const secondaryText = colors.textMuted;
+
+  const renderItem = ({ item }) => {
+    const priceLabel =
+      item.priceDisplay || formatPriceInr(item.price) || "Price on request";
+    return (
+      <TouchableOpacity
+        style={[styles.card, { backgroundColor: colors.card }]}
+        activeOpacity={0.85}
+        onPress={() => onSelect?.(item)}
+        accessibilityRole="button"
+        accessibilityLabel={`Show ${item.name} on the map`}
+      >
+        <PropertyThumbnail
+          property={item}
+          color={RADIUS_STYLE.strokeColor}
+          style={styles.thumbnail}
+        />
+        <View style={styles.cardBody}>
+          <Text
+            style={[styles.cardTitle, { color: primaryText }]}
+            numberOfLines={1}
+          >
+            {item.name}
+          </Text>
+          <Text
+            style={[styles.cardType, { color: secondaryText }]}
+            numberOfLines={1}
+          >
+            {item.propertyType}
+          </Text>
+          <Text style={styles.cardPrice}>{priceLabel}</Text>
+        </View>
+        <Text style={[styles.distance, { color: RADIUS_STYLE.strokeColor }]}>
+          {formatDistance(item.distanceMeters)}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      visible={visible}
+      onRequestClose={onClose}
+      statusBarTranslucent
+    >
+      <View style={[styles.container, { backgroundColor: colors.background }]}>
+        <View style={[styles.header, { paddingTop: topOffset + 12 }]}>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Back">
+            <Ionicons name="arrow-back" size={22} color="#fff" />
+          </TouchableOpacity>
+          <View style={styles.headerBody}>
+            <Text style={styles.headerText} numberOfLines={1}>
+              {label || "Selected point"}
+            </Text>
+            <Text style={styles.headerSubtext}>
+              Within {radiusKm.toFixed(1)} km
+            </Text>
+          </View>
+          <Text style={styles.headerCount}>
+            {properties.length ? properties.length : ""}
+          </Text>
+        </View>
+        <FlatList
+          data={properties}
+          keyExtractor={(item) => item.id}
+          renderItem={renderItem}
+          contentContainerStyle={
+            properties.length ? styles.listContent : styles.emptyContainer
+          }
+          ListEmptyComponent={
+            <>
+              <Ionicons name="locate-outline" size={28} color={secondaryText} />
+              <Text style={[styles.emptyText, { color: secondaryText }]}>
+                No properties within this radius. Widen it to see more.
+              </Text>
+            </>
+          }
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    backgroundColor: "#0f766e",
+    paddingHorizontal: 18,
+    paddingBottom: 14,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  headerBody: {
+    flex: 1,
+  },
+  headerText: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "700",
+  },
+  headerSubtext: {
+    color: "#ccfbf1",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  headerCount: {
+    color: "#ccfbf1",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  listContent: {
+    padding: 16,
+    gap: 12,
+  },
+  emptyContainer: {
+    flexGrow: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 24,
+    gap: 12,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderRadius: 14,
+    padding: 10,
+    gap: 12,
+    shadowColor: "#020617",
+    shadowOpacity: 0.12,
+    shadowOffset: { width: 0, height: 4 },
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  thumbnail: {
+    width: 88,
+    height: 88,
+    borderRadius: 10,
+    overflow: "hidden",
+  },
+  cardBody: {
+    flex: 1,
+    gap: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  cardType: {
+    fontSize: 13,
+  },
+  cardPrice: {
+    color: "#0f766e",
+    fontSize: 15,
+    fontWeight: "700",
+  },
+  distance: {
+    fontSize: 14,
+    fontWeight: "700",
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: "center",
+  },
+});
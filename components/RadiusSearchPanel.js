@@ -0,0 +1,131 @@
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import Slider from "@react-native-community/slider";
+import { Ionicons } from "@expo/vector-icons";
+
+import { DRAWING_STYLES } from "../constants/drawingStyles";
+import { getThemeColors } from "../constants/theme";
+import { RADIUS_SEARCH_KM } from "../utils/propertyFilters";
+
+const RADIUS_STYLE = DRAWING_STYLES.searchArea;
+
+export default function RadiusSearchPanel({
+  isDark,
+  label,
+  radiusKm,
+  resultCount = 0,
+  bottomOffset = 24,
+  onChangeRadius,
+  onCommitRadius,
+  onShowList,
+  onClose,
+}) {
+  const colors = getThemeColors(isDark);
+
+  return (
+    <View
+      style={[
+        styles.container,
+        {
+          bottom: bottomOffset,
+          backgroundColor: colors.surface,
+          borderColor: colors.border,
+        },
+      ]}
+    >
+      <View style={styles.headerRow}>
+        <Ionicons
+          name="locate-outline"
+          size={18}
+          color={RADIUS_STYLE.strokeColor}
+        />
+        <Text style={[styles.title, { color: colors.text }]} numberOfLines={1}>
+          {label || "Selected point"}
+        </Text>
+        <TouchableOpacity
+          onPress={onClose}
+          accessibilityLabel="Clear radius search"
+        >
+          <Ionicons name="close" size={20} color={colors.textMuted} />
+        </TouchableOpacity>
+      </View>
+      <Text style={[styles.summary, { color: colors.textMuted }]}>
+        Within {radiusKm.toFixed(1)} km ·{" "}
+        {resultCount === 1 ? "1 property" : `${resultCount} properties`}
+      </Text>
+      <Slider
+        style={styles.slider}
+        minimumValue={RADIUS_SEARCH_KM.min}
+        maximumValue={RADIUS_SEARCH_KM.max}
+        step={RADIUS_SEARCH_KM.step}
+        value={radiusKm}
+        onValueChange={onChangeRadius}
+        onSlidingComplete={onCommitRadius}
+        minimumTrackTintColor={RADIUS_STYLE.strokeColor}
+        maximumTrackTintColor={colors.track}
+        thumbTintColor={RADIUS_STYLE.strokeColor}
+        accessibilityLabel="Search radius in kilometres"
+      />
+      <TouchableOpacity
+        style={[styles.listButton, !resultCount && styles.listButtonDisabled]}
+        onPress={onShowList}
+        disabled={!resultCount}
+      >
+        <Ionicons name="list-outline" size={16} color="#fff" />
+        <Text style={styles.listButtonText}>View list</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    borderRadius: 16,
+    borderWidth: 1,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    gap: 6,
+    shadowColor: "#020617",
+    shadowOpacity: 0.2,
+    shadowOffset: { width: 0, height: 6 },
+    shadowRadius: 10,
+    elevation: 8,
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: "700",
+  },
+  summary: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  slider: {
+    width: "100%",
+    height: 36,
+  },
+  listButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    backgroundColor: "#0f766e",
+    borderRadius: 10,
+    paddingVertical: 10,
+  },
+  listButtonDisabled: {
+    backgroundColor: "#94a3b8",
+  },
+  listButtonText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "700",
+  },
+});
@@ -0,0 +1,128 @@
+import { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from "react-native";
+
+import AuthTextField from "./AuthTextField";
+import PasswordRequirements from "./PasswordRequirements";
+
+export default function RegisterForm({
+  isDark,
+  initialPhone = "",
+  loading = false,
+  errorMessage = null,
+  onSubmit,
+}) {
+  const [name, setName] = useState("");
+  const [phone, setPhone] = useState(initialPhone);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [localError, setLocalError] = useState(null);
+
+  const handleSubmit = () => {
+    if (password !== confirmPassword) {
+      setLocalError("Passwords do not match.");
+      return;
+    }
+    setLocalError(null);
+    onSubmit?.({ name, phone, email, password });
+  };
+
+  const visibleError = localError ?? errorMessage;
+
+  return (
+    <View style={styles.container}>
+      <AuthTextField
+        isDark={isDark}
+        icon="person-outline"
+        placeholder="Full name"
+        autoCapitalize="words"
+        value={name}
+        onChangeText={setName}
+      />
+      <AuthTextField
+        isDark={isDark}
+        icon="call-outline"
+        placeholder="Mobile number"
+        keyboardType="phone-pad"
+        value={phone}
+        onChangeText={setPhone}
+      />
+      <AuthTextField
+        isDark={isDark}
+        icon="mail-outline"
+        placeholder="Email"
+        keyboardType="email-address"
+        autoCapitalize="none"
+        value={email}
+        onChangeText={setEmail}
+      />
+      <AuthTextField
+        isDark={isDark}
+        icon="lock-closed-outline"
+        placeholder="Create password"
+        secure
+        value={password}
+        onChangeText={setPassword}
+      />
+      {password ? (
+        <PasswordRequirements isDark={isDark} password={password} />
+      ) : null}
+      <AuthTextField
+        isDark={isDark}
+        icon="lock-closed-outline"
+        placeholder="Confirm password"
+        secure
+        value={confirmPassword}
+        onChangeText={(value) => {
+          setConfirmPassword(value);
+          setLocalError(null);
+        }}
+      />
+      {visibleError ? (
+        <Text style={styles.errorText}>{visibleError}</Text>
+      ) : null}
+      <TouchableOpacity
+        style={[styles.submitButton, loading && styles.submitButtonDisabled]}
+        onPress={handleSubmit}
+        disabled={loading}
+      >
+        {loading ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.submitText}>Create account</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 14,
+  },
+  submitButton: {
+    backgroundColor: "#0f766e",
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  submitButtonDisabled: {
+    opacity: 0.8,
+  },
+  submitText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  errorText: {
+    color: "#f87171",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+});
@@ -1,4 +1,3 @@
-import { useMemo } from "react";
 import {
   View,
   Text,
@@ -11,6 +10,8 @@ import {
 import { LinearGradient } from "expo-linear-gradient";
 import { Ionicons } from "@expo/vector-icons";
 
+import { getThemeColors } from "../constants/theme";
+
 export default function SearchOverlay({
   isDark,
   searchQuery,
@@ -24,23 +25,18 @@ export default function SearchOverlay({
   recentSearches = [],
   onRecentSelect,
   onClearRecent,
+  onOpenFilters,
+  activeFilterCount = 0,
 }) {
+  const colors = getThemeColors(isDark);
   const hasSuggestions = suggestions.length > 0;
   const showRecents = !hasSuggestions && recentSearches.length > 0;
   const attachResults = hasSuggestions || showRecents;
-  const backgroundColor = useMemo(
-    () => (isDark ? "rgba(15,23,42,0.85)" : "rgba(255,255,255,0.95)"),
-    [isDark]
-  );
+  const backgroundColor = colors.overlay;
 
   return (
     <>
-      <View
-        style={[
-          styles.brandContainer,
-          { backgroundColor: isDark ? "#f1f5f9" : "#f1f5f9" },
-        ]}
-      >
+      <View style={[styles.brandContainer, { backgroundColor: "#f1f5f9" }]}>
         <LinearGradient
           colors={["#14B8A6", "#0f766e"]}
           start={{ x: 0, y: 0 }}
@@ -67,16 +63,9 @@ export default function SearchOverlay({
             attachResults && styles.searchRowAttached,
           ]}
         >
-          <Ionicons
-            name="search"
-            size={18}
-            color={isDark ? "#cbd5f5" : "#475569"}
-          />
+          <Ionicons name="search" size={18} color={colors.icon} />
           <TextInput
-            style={[
-              styles.searchInput,
-              { color: isDark ? "#f8fafc" : "#0f172a" },
-            ]}
+            style={[styles.searchInput, { color: colors.text }]}
             value={searchQuery}
             onChangeText={onChangeQuery}
             placeholder="Search for places..."
@@ -90,36 +79,31 @@ export default function SearchOverlay({
               onPress={onClearQuery}
               accessibilityLabel="Clear search"
             >
-              <Ionicons
-                name="close"
-                size={16}
-                color={isDark ? "#475569" : "#475569"}
-              />
+              <Ionicons name="close" size={16} color={"#475569"} />
             </TouchableOpacity>
           )}
           <TouchableOpacity
-            style={[
-              styles.filterButton,
-              { opacity: suggestions.length ? 1 : 0.65 },
-            ]}
-            onPress={onSubmitEditing}
-            disabled={!suggestions.length}
+            style={styles.filterButton}
+            onPress={onOpenFilters}
+            accessibilityLabel="Filters"
           >
             {isFetchingSuggestions ? (
               <ActivityIndicator size="small" color="#0f766e" />
             ) : (
               <Ionicons name="options-outline" size={18} color="#0f766e" />
             )}
+            {activeFilterCount > 0 ? (
+              <View style={styles.filterCountBadge}>
+                <Text style={styles.filterCountText}>{activeFilterCount}</Text>
+              </View>
+            ) : null}
           </TouchableOpacity>
         </View>
 
         {suggestionError ? (
           <View style={styles.suggestionErrorContainer}>
             <Text
-              style={[
-                styles.suggestionErrorText,
-                { color: isDark ? "#fecdd3" : "#b91c1c" },
-              ]}
+              style={[styles.suggestionErrorText, { color: colors.errorText }]}
             >
               {suggestionError}
             </Text>
@@ -132,9 +116,7 @@ export default function SearchOverlay({
             style={[
               styles.suggestionsList,
               {
-                backgroundColor: isDark
-                  ? "rgba(15,23,42,0.92)"
-                  : "rgba(255,255,255,0.96)",
+                backgroundColor: colors.overlayList,
               },
               styles.suggestionsListAttached,
             ]}
@@ -149,9 +131,7 @@ export default function SearchOverlay({
                       index === suggestions.length - 1
                         ? 0
                         : StyleSheet.hairlineWidth,
-                    borderBottomColor: isDark
-                      ? "rgba(148, 163, 184, 0.3)"
-                      : "rgba(15, 23, 42, 0.08)",
+                    borderBottomColor: colors.border,
                   },
                 ]}
                 onPress={() => onSuggestionPress(suggestion)}
@@ -159,13 +139,13 @@ export default function SearchOverlay({
                 <Ionicons
                   name="location-outline"
                   size={16}
-                  color={isDark ? "#cbd5f5" : "#475569"}
+                  color={colors.icon}
                 />
                 <View style={styles.suggestionTextWrapper}>
                   <Text
                     style={[
                       styles.suggestionPrimary,
-                      { color: isDark ? "#94a3b8" : "#6B7280" },
+                      { color: colors.textSecondary },
                     ]}
                     numberOfLines={1}
                   >
@@ -176,7 +156,7 @@ export default function SearchOverlay({
                     <Text
                       style={[
                         styles.suggestionSecondary,
-                        { color: isDark ? "#94a3b8" : "#9CA3AF" },
+                        { color: colors.textSubtle },
                       ]}
                       numberOfLines={1}
                     >
@@ -194,29 +174,17 @@ export default function SearchOverlay({
             style={[
               styles.recentList,
               {
-                backgroundColor: isDark
-                  ? "rgba(15,23,42,0.92)"
-                  : "rgba(255,255,255,0.96)",
+                backgroundColor: colors.overlayList,
               },
               styles.recentListAttached,
             ]}
           >
             <View style={styles.recentHeader}>
-              <Text
-                style={[
-                  styles.recentLabel,
-                  { color: isDark ? "#e2e8f0" : "#94a3b8" },
-                ]}
-              >
+              <Text style={[styles.recentLabel, { color: colors.textSubtle }]}>
                 RECENT
               </Text>
               <TouchableOpacity onPress={onClearRecent}>
-                <Text
-                  style={[
-                    styles.clearLabel,
-                    { color: isDark ? "#e2e8f0" : "#94a3b8" },
-                  ]}
-                >
+                <Text style={[styles.clearLabel, { color: colors.textSubtle }]}>
                   CLEAR
                 </Text>
               </TouchableOpacity>
@@ -231,23 +199,17 @@ export default function SearchOverlay({
                       index === recentSearches.length - 1
                         ? 0
                         : StyleSheet.hairlineWidth,
-                    borderBottomColor: isDark
-                      ? "rgba(148, 163, 184, 0.3)"
-                      : "rgba(15, 23, 42, 0.08)",
+                    borderBottomColor: colors.border,
                   },
                 ]}
                 onPress={() => onRecentSelect?.(recent)}
               >
-                <Ionicons
-                  name="time-outline"
-                  size={16}
-                  color={isDark ? "#cbd5f5" : "#475569"}
-                />
+                <Ionicons name="time-outline" size={16} color={colors.icon} />
                 <View style={styles.suggestionTextWrapper}>
                   <Text
                     style={[
                       styles.suggestionPrimary,
-                      { color: isDark ? "#f8fafc" : "#6B7280" },
+                      { color: colors.textSecondary },
                     ]}
                     numberOfLines={1}
                   >
@@ -258,7 +220,7 @@ export default function SearchOverlay({
                     <Text
                       style={[
                         styles.suggestionSecondary,
-                        { color: isDark ? "#94a3b8" : "#9CA3AF" },
+                        { color: colors.textSubtle },
                       ]}
                       numberOfLines={1}
                     >
@@ -338,6 +300,23 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     padding: 6,
   },
+  filterCountBadge: {
+    position: "absolute",
+    top: -4,
+    right: -4,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 3,
+    backgroundColor: "#0f766e",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  filterCountText: {
+    color: "#fff",
+    fontSize: 10,
+    fontWeight: "700",
+  },
   clearButton: {
     marginRight: 0,
     padding: 0,
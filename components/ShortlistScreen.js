@@ -0,0 +1,274 @@
+import {
+  ActivityIndicator,
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+import PropertyThumbnail from "./PropertyThumbnail";
+import { DRAWING_STYLES } from "../constants/drawingStyles";
+import { formatPriceInr } from "../utils/measurementFormat";
+import { COMPARISON_MIN_PROPERTIES } from "../utils/propertyComparison";
+import { getThemeColors } from "../constants/theme";
+
+const FAVORITE_STYLE = DRAWING_STYLES.favorite;
+
+export default function ShortlistScreen({
+  isDark,
+  visible,
+  topOffset = 0,
+  properties = [],
+  loading = false,
+  errorMessage = null,
+  onSelect,
+  onRemove,
+  onClose,
+  comparedIds = null,
+  canAddToComparison = true,
+  canOpenComparison = false,
+  onToggleCompare,
+  onOpenComparison,
+}) {
+  const colors = getThemeColors(isDark);
+  const primaryText = colors.text;
+  const secondaryText = colors.textMuted;
+  const cardBackground = colors.card;
+
+  const renderItem = ({ item }) => {
+    const priceLabel =
+      item.priceDisplay || formatPriceInr(item.price) || "Price on request";
+    return (
+      <TouchableOpacity
+        style={[styles.card, { backgroundColor: cardBackground }]}
+        activeOpacity={0.85}
+        onPress={() => onSelect?.(item)}
+        accessibilityRole="button"
+        accessibilityLabel={`Show ${item.name} on the map`}
+      >
+        <PropertyThumbnail
+          property={item}
+          color={FAVORITE_STYLE.strokeColor}
+          style={styles.thumbnail}
+        />
+        <View style={styles.cardBody}>
+          <Text
+            style={[styles.cardTitle, { color: primaryText }]}
+            numberOfLines={1}
+          >
+            {item.name}
+          </Text>
+          <Text
+            style={[styles.cardType, { color: secondaryText }]}
+            numberOfLines={1}
+          >
+            {item.propertyType}
+          </Text>
+          <Text style={styles.cardPrice}>{priceLabel}</Text>
+        </View>
+        {onToggleCompare ? (
+          <TouchableOpacity
+            style={styles.starButton}
+            onPress={() => onToggleCompare(item)}
+            disabled={!comparedIds?.has(item.propertyId) && !canAddToComparison}
+            accessibilityLabel={`Compare ${item.name}`}
+            accessibilityState={{
+              selected: !!comparedIds?.has(item.propertyId),
+            }}
+          >
+            <Ionicons
+              name={
+                comparedIds?.has(item.propertyId)
+                  ? "checkmark-circle"
+                  : "git-compare-outline"
+              }
+              size={20}
+              color={
+                comparedIds?.has(item.propertyId) || canAddToComparison
+                  ? "#0f766e"
+                  : secondaryText
+              }
+            />
+          </TouchableOpacity>
+        ) : null}
+        <TouchableOpacity
+          style={styles.starButton}
+          onPress={() => onRemove?.(item)}
+          accessibilityLabel={`Remove ${item.name} from shortlist`}
+        >
+          <Ionicons name="star" size={20} color={FAVORITE_STYLE.strokeColor} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  const emptyContent = loading ? (
+    <ActivityIndicator color="#0f766e" />
+  ) : (
+    <>
+      <Ionicons name="star-outline" size={28} color={secondaryText} />
+      <Text style={[styles.emptyText, { color: secondaryText }]}>
+        Tap the star on a property to add it to your shortlist.
+      </Text>
+    </>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      visible={visible}
+      onRequestClose={onClose}
+      statusBarTranslucent
+    >
+      <View style={[styles.container, { backgroundColor: colors.background }]}>
+        <View style={[styles.header, { paddingTop: topOffset + 12 }]}>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Back">
+            <Ionicons name="arrow-back" size={22} color="#fff" />
+          </TouchableOpacity>
+          <Text style={styles.headerText}>Shortlist</Text>
+          <Text style={styles.headerCount}>
+            {properties.length ? properties.length : ""}
+          </Text>
+        </View>
+        {errorMessage ? (
+          <Text style={styles.errorText}>{errorMessage}</Text>
+        ) : null}
+        <FlatList
+          data={properties}
+          keyExtractor={(item) => item.id}
+          renderItem={renderItem}
+          contentContainerStyle={
+            properties.length ? styles.listContent : styles.emptyContainer
+          }
+          ListEmptyComponent={emptyContent}
+        />
+        {onOpenComparison && comparedIds?.size ? (
+          <TouchableOpacity
+            style={[
+              styles.compareFooter,
+              !canOpenComparison && styles.compareFooterDisabled,
+            ]}
+            onPress={onOpenComparison}
+            disabled={!canOpenComparison}
+            accessibilityState={{ disabled: !canOpenComparison }}
+          >
+            <Ionicons name="git-compare-outline" size={18} color="#fff" />
+            <Text style={styles.compareFooterText}>
+              {canOpenComparison
+                ? `Compare ${comparedIds.size} properties`
+                : `Pick ${
+                    COMPARISON_MIN_PROPERTIES - comparedIds.size
+                  } more to compare`}
+            </Text>
+          </TouchableOpacity>
+        ) : null}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    backgroundColor: "#0f766e",
+    paddingHorizontal: 18,
+    paddingBottom: 14,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  headerText: {
+    flex: 1,
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "700",
+  },
+  headerCount: {
+    color: "#ccfbf1",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  listContent: {
+    padding: 16,
+    gap: 12,
+  },
+  emptyContainer: {
+    flexGrow: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 24,
+    gap: 12,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderRadius: 14,
+    padding: 10,
+    gap: 12,
+    shadowColor: "#020617",
+    shadowOpacity: 0.12,
+    shadowOffset: { width: 0, height: 4 },
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  thumbnail: {
+    width: 88,
+    height: 88,
+    borderRadius: 10,
+    overflow: "hidden",
+  },
+  cardBody: {
+    flex: 1,
+    gap: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  cardType: {
+    fontSize: 13,
+  },
+  cardPrice: {
+    color: "#0f766e",
+    fontSize: 15,
+    fontWeight: "700",
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: "center",
+  },
+  errorText: {
+    color: "#f87171",
+    fontSize: 13,
+    fontWeight: "600",
+    textAlign: "center",
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  compareFooter: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    backgroundColor: "#0f766e",
+    margin: 16,
+    borderRadius: 12,
+    paddingVertical: 14,
+  },
+  compareFooterDisabled: {
+    opacity: 0.6,
+  },
+  compareFooterText: {
+    color: "#fff",
+    fontSize: 15,
+    fontWeight: "700",
+  },
+  starButton: {
+    padding: 6,
+  },
+});
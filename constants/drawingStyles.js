@@ -20,6 +20,34 @@ export const DRAWING_STYLES = {
     fillOpacity: 0.8,
     strokeOpacity: 0.95,
   },
+  owned: {
+    fillColor: "#f59e0b",
+    strokeColor: "#b45309",
+    strokeWeight: 3,
+    fillOpacity: 0.25,
+    strokeOpacity: 1,
+  },
+  favorite: {
+    fillColor: "#e11d48",
+    strokeColor: "#e11d48",
+    strokeWeight: 3,
+    fillOpacity: 0,
+    strokeOpacity: 1,
+  },
+  measure: {
+    fillColor: "#facc15",
+    strokeColor: "#ca8a04",
+    strokeWeight: 3,
+    fillOpacity: 0.15,
+    strokeOpacity: 1,
+  },
+  searchArea: {
+    fillColor: "#0ea5e9",
+    strokeColor: "#0284c7",
+    strokeWeight: 3,
+    fillOpacity: 0.08,
+    strokeOpacity: 1,
+  },
   amenity: {
     fillColor: "#65a30d",
     strokeColor: "#0f766e",
@@ -28,3 +56,29 @@ export const DRAWING_STYLES = {
     strokeOpacity: 0.95,
   },
 };
+
+// Plot fills by availability; plots without a status keep DRAWING_STYLES.plot.
+export const PLOT_STATUS_STYLES = {
+  available: DRAWING_STYLES.plot,
+  booked: {
+    fillColor: "#f97316",
+    strokeColor: "#c2410c",
+    strokeWeight: 2,
+    fillOpacity: 0.3,
+    strokeOpacity: 0.95,
+  },
+  sold: {
+    fillColor: "#dc2626",
+    strokeColor: "#991b1b",
+    strokeWeight: 2,
+    fillOpacity: 0.3,
+    strokeOpacity: 0.95,
+  },
+  onHold: {
+    fillColor: "#64748b",
+    strokeColor: "#334155",
+    strokeWeight: 2,
+    fillOpacity: 0.35,
+    strokeOpacity: 0.95,
+  },
+};
@@ -11,6 +11,7 @@ export const INITIAL_REGION = {
 
 export const HYBRID_ZOOM_THRESHOLD = 16.5;
 export const PLOT_LABEL_ZOOM_THRESHOLD = 17.2;
+export const PLOT_STATUS_LABEL_ZOOM_THRESHOLD = 18;
 export const AMENITY_POLYGON_ZOOM_THRESHOLD = 15;
 export const AMENITY_LABEL_ZOOM_THRESHOLD = 16.4;
 export const ROAD_LABEL_ZOOM_THRESHOLD = 15.4;
@@ -75,6 +76,70 @@ export const LIGHT_MAP_STYLE = [
   },
 ];
 
+// Mirrors LIGHT_MAP_STYLE on the slate palette used by the dark theme.
+export const DARK_MAP_STYLE = [
+  {
+    elementType: "geometry",
+    stylers: [{ color: "#1e293b" }],
+  },
+  {
+    elementType: "labels.icon",
+    stylers: [{ visibility: "off" }],
+  },
+  {
+    elementType: "labels.text.fill",
+    stylers: [{ color: "#94a3b8" }],
+  },
+  {
+    elementType: "labels.text.stroke",
+    stylers: [{ color: "#0f172a" }],
+  },
+  {
+    featureType: "poi.park",
+    elementType: "geometry",
+    stylers: [{ color: "#1a3330" }],
+  },
+  {
+    featureType: "road",
+    elementType: "geometry",
+    stylers: [{ color: "#334155" }],
+  },
+  {
+    featureType: "road",
+    elementType: "geometry.stroke",
+    stylers: [{ color: "#1e293b" }],
+  },
+  {
+    featureType: "road.arterial",
+    elementType: "labels.text.fill",
+    stylers: [{ color: "#cbd5e1" }],
+  },
+  {
+    featureType: "road.highway",
+    elementType: "geometry",
+    stylers: [{ color: "#475569" }],
+  },
+  {
+    featureType: "road.highway",
+    elementType: "labels.text.fill",
+    stylers: [{ color: "#e2e8f0" }],
+  },
+  {
+    featureType: "transit",
+    stylers: [{ visibility: "off" }],
+  },
+  {
+    featureType: "water",
+    elementType: "geometry",
+    stylers: [{ color: "#0c2740" }],
+  },
+  {
+    featureType: "water",
+    elementType: "labels.text.fill",
+    stylers: [{ color: "#64748b" }],
+  },
+];
+
 export const computeRegionForZoom = (center, zoomLevel) => {
   if (!center || typeof zoomLevel !== "number") {
     return null;
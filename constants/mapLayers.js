@@ -0,0 +1,72 @@
+// Layers the user can control from the layers sheet. Each one is "auto",
+// which leaves it to the zoom thresholds in mapConfig, or an explicit "on" or
+// "off" that applies at every zoom. `zoomDriven` layers are the ones where
+// "auto" and "on" differ; the rest only get a switch. `parent` layers must not
+// be off for their children to show.
+export const MAP_LAYER_OPTIONS = [
+  {
+    key: "properties",
+    label: "Properties",
+    icon: "home-outline",
+    zoomDriven: true,
+  },
+  { key: "layouts", label: "Layouts", icon: "grid-outline", zoomDriven: true },
+  { key: "plots", label: "Plots", icon: "square-outline" },
+  {
+    key: "plotLabels",
+    label: "Plot numbers",
+    icon: "text-outline",
+    parent: "plots",
+    zoomDriven: true,
+  },
+  { key: "roads", label: "Roads", icon: "trail-sign-outline" },
+  {
+    key: "roadLabels",
+    label: "Road names",
+    icon: "text-outline",
+    parent: "roads",
+    zoomDriven: true,
+  },
+  {
+    key: "amenities",
+    label: "Amenities",
+    icon: "leaf-outline",
+    zoomDriven: true,
+  },
+  { key: "priceBadges", label: "Price badges", icon: "pricetag-outline" },
+];
+
+export const LAYER_MODE_OPTIONS = [
+  { key: "auto", label: "Auto" },
+  { key: "on", label: "On" },
+  { key: "off", label: "Off" },
+];
+
+export const DEFAULT_LAYER_VISIBILITY = MAP_LAYER_OPTIONS.reduce(
+  (acc, option) => ({ ...acc, [option.key]: "auto" }),
+  {}
+);
+
+// "auto" keeps the zoom-driven switch between standard and hybrid.
+export const MAP_TYPE_OPTIONS = [
+  { key: "auto", label: "Auto", icon: "sparkles-outline" },
+  { key: "standard", label: "Map", icon: "map-outline" },
+  { key: "satellite", label: "Satellite", icon: "earth-outline" },
+  { key: "hybrid", label: "Hybrid", icon: "globe-outline" },
+  { key: "terrain", label: "Terrain", icon: "triangle-outline" },
+];
+
+export const DEFAULT_MAP_TYPE = "auto";
+
+export const isLayerEnabled = (layers, key) => {
+  const option = MAP_LAYER_OPTIONS.find((entry) => entry.key === key);
+  if (!option || layers?.[key] === "off") {
+    return false;
+  }
+  return option.parent ? isLayerEnabled(layers, option.parent) : true;
+};
+
+// `zoomVisible` is what the zoom thresholds would decide; an explicit "on"
+// shows the layer regardless.
+export const resolveLayerVisibility = (layers, key, zoomVisible) =>
+  isLayerEnabled(layers, key) && (layers?.[key] === "on" || !!zoomVisible);
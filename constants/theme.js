@@ -0,0 +1,57 @@
+// Shared palette for the light and dark themes. Components still take an
+// `isDark` prop and read their colors from `getThemeColors(isDark)`.
+export const LIGHT_COLORS = {
+  text: "#0f172a",
+  textSecondary: "#475569",
+  textMuted: "#64748b",
+  textSubtle: "#94a3b8",
+  icon: "#475569",
+  placeholder: "#94a3b8",
+  errorText: "#b91c1c",
+  background: "#f1f5f9",
+  surface: "#ffffff",
+  surfaceMuted: "#f1f5f9",
+  card: "#ffffff",
+  input: "#f8fafc",
+  track: "#e2e8f0",
+  overlay: "rgba(255,255,255,0.95)",
+  overlayList: "rgba(255,255,255,0.96)",
+  mapDimmer: "rgba(241, 245, 249, 0.60)",
+  border: "rgba(15,23,42,0.08)",
+  inputBorder: "rgba(15,23,42,0.12)",
+  handle: "rgba(15,23,42,0.2)",
+  navigationBar: "#f1f1f1",
+};
+
+export const DARK_COLORS = {
+  text: "#f8fafc",
+  textSecondary: "#e2e8f0",
+  textMuted: "#94a3b8",
+  textSubtle: "#94a3b8",
+  icon: "#cbd5f5",
+  placeholder: "#475569",
+  errorText: "#fecdd3",
+  background: "#0f172a",
+  surface: "#0f172a",
+  surfaceMuted: "#1e293b",
+  card: "#1e293b",
+  input: "#1e293b",
+  track: "#1e293b",
+  overlay: "rgba(15,23,42,0.85)",
+  overlayList: "rgba(15,23,42,0.92)",
+  mapDimmer: "rgba(2, 6, 23, 0.65)",
+  border: "rgba(148,163,184,0.3)",
+  inputBorder: "rgba(148,163,184,0.4)",
+  handle: "rgba(148,163,184,0.5)",
+  navigationBar: "#1b1b1b",
+};
+
+export const THEME_PREFERENCE_OPTIONS = [
+  { key: "light", label: "Light", icon: "sunny-outline" },
+  { key: "dark", label: "Dark", icon: "moon-outline" },
+  { key: "system", label: "System", icon: "phone-portrait-outline" },
+];
+
+export const DEFAULT_THEME_PREFERENCE = "system";
+
+export const getThemeColors = (isDark) => (isDark ? DARK_COLORS : LIGHT_COLORS);
@@ -1,22 +1,258 @@
-import { useCallback, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+import {
+  clearAuthSession,
+  loadAuthSession,
+  saveAuthSession,
+} from "../utils/authStorage";
+import {
+  SESSION_EXPIRED_MESSAGE,
+  createUnauthorizedError,
+  resolveTokenExpiry,
+} from "../utils/authToken";
+import { postJsonWithTimeout } from "../utils/apiRequest";
+import { hashString } from "../utils/featureIds";
+import {
+  clearViewportTiles,
+  createViewportStorageScope,
+} from "../utils/viewportStorage";
+import {
+  evaluatePasswordStrength,
+  isValidEmail,
+  normalizePhoneNumber,
+} from "../utils/authValidation";
+
+const REFRESH_LEEWAY_MS = 60000;
+const REFRESH_RETRY_MS = 30000;
+const OTP_CODE_LENGTH = 6;
+const OTP_RESEND_SECONDS = 30;
 
 export function useAuthState({
   initialPhone = "9841439865",
   baseUrl = "",
 } = {}) {
-  const REQUEST_TIMEOUT_MS = 15000;
   const [userProfile, setUserProfile] = useState(null);
   const [authToken, setAuthToken] = useState(null);
   const [loginPhone, setLoginPhone] = useState(initialPhone);
   const [loginPassword, setLoginPassword] = useState("");
   const [loginLoading, setLoginLoading] = useState(false);
   const [loginError, setLoginError] = useState(null);
+  const [otpCode, setOtpCode] = useState("");
+  const [otpSession, setOtpSession] = useState(null);
+  const [sessionRestored, setSessionRestored] = useState(false);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(null);
+  const sessionRef = useRef({
+    token: null,
+    refreshToken: null,
+    expiresAt: null,
+    profile: null,
+  });
+  const refreshPromiseRef = useRef(null);
+
+  const userId = useMemo(() => resolveUserId(userProfile), [userProfile]);
 
   const normalizedBaseUrl = useMemo(() => {
     if (!baseUrl) return "";
     return baseUrl.endsWith("/") ? baseUrl.slice(0, -1) : baseUrl;
   }, [baseUrl]);
 
+  const applySession = useCallback(
+    ({ token, refreshToken, expiresAt, profile }, { persist = true } = {}) => {
+      sessionRef.current = { token, refreshToken, expiresAt, profile };
+      setAuthToken(token);
+      setTokenExpiresAt(expiresAt);
+      setUserProfile(profile);
+      setSessionExpired(false);
+      if (persist) {
+        saveAuthSession({ token, refreshToken, expiresAt, profile }).catch(
+          (error) => {
+            console.warn("Failed to persist auth session", error?.message);
+          }
+        );
+      }
+    },
+    []
+  );
+
+  const clearSession = useCallback(() => {
+    sessionRef.current = {
+      token: null,
+      refreshToken: null,
+      expiresAt: null,
+      profile: null,
+    };
+    setUserProfile(null);
+    setAuthToken(null);
+    setTokenExpiresAt(null);
+    setLoginPassword("");
+    clearAuthSession().catch((error) => {
+      console.warn("Failed to clear stored auth session", error?.message);
+    });
+  }, []);
+
+  useEffect(() => {
+    let isActive = true;
+    loadAuthSession()
+      .then((session) => {
+        if (!isActive || !session?.token) {
+          return;
+        }
+        applySession(
+          {
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresAt:
+              session.expiresAt ?? resolveTokenExpiry({ token: session.token }),
+            profile: session.profile,
+          },
+          { persist: false }
+        );
+      })
+      .catch((error) => {
+        console.warn("Failed to restore auth session", error?.message);
+      })
+      .finally(() => {
+        if (isActive) {
+          setSessionRestored(true);
+        }
+      });
+    return () => {
+      isActive = false;
+    };
+  }, [applySession]);
+
+  // Only expires the session that `token` belongs to; a login or account
+  // switch that happened meanwhile is left alone.
+  const expireSession = useCallback(
+    (token = sessionRef.current.token) => {
+      if (!sessionRef.current.token || sessionRef.current.token !== token) {
+        return;
+      }
+      clearSession();
+      setSessionExpired(true);
+      setLoginError(SESSION_EXPIRED_MESSAGE);
+    },
+    [clearSession]
+  );
+
+  // Resolves to the new token, or null when the server rejects the refresh.
+  // Network failures reject so callers can tell "offline" from "signed out".
+  // If the session changed while the request was in flight (logout, login or
+  // another account), resolves to whatever token is current instead.
+  const refreshSession = useCallback(() => {
+    if (refreshPromiseRef.current) {
+      return refreshPromiseRef.current;
+    }
+    const current = sessionRef.current;
+    if (!current.token || !normalizedBaseUrl) {
+      return Promise.resolve(null);
+    }
+    const refreshPromise = (async () => {
+      try {
+        const response = await fetch(
+          `${normalizedBaseUrl}/mobile/auth/refresh`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${current.token}`,
+            },
+            body: JSON.stringify({
+              token: current.token,
+              refreshToken: current.refreshToken,
+            }),
+          }
+        );
+        if (sessionRef.current.token !== current.token) {
+          return sessionRef.current.token;
+        }
+        if (!response.ok) {
+          return null;
+        }
+        const data = await response.json();
+        if (sessionRef.current.token !== current.token) {
+          return sessionRef.current.token;
+        }
+        if (!data?.token) {
+          return null;
+        }
+        applySession({
+          token: data.token,
+          refreshToken: data.refreshToken ?? current.refreshToken,
+          expiresAt: resolveTokenExpiry(data),
+          profile: data.user
+            ? buildUserProfile(data.user, current.profile?.phone)
+            : current.profile,
+        });
+        return data.token;
+      } finally {
+        refreshPromiseRef.current = null;
+      }
+    })();
+    refreshPromiseRef.current = refreshPromise;
+    return refreshPromise;
+  }, [applySession, normalizedBaseUrl]);
+
+  useEffect(() => {
+    if (!authToken || !tokenExpiresAt) {
+      return undefined;
+    }
+    let timeoutId;
+    const attemptRefresh = () => {
+      refreshSession()
+        .then((token) => {
+          if (!token) {
+            expireSession(authToken);
+          }
+        })
+        .catch(() => {
+          timeoutId = setTimeout(attemptRefresh, REFRESH_RETRY_MS);
+        });
+    };
+    timeoutId = setTimeout(
+      attemptRefresh,
+      Math.max(tokenExpiresAt - Date.now() - REFRESH_LEEWAY_MS, 0)
+    );
+    return () => clearTimeout(timeoutId);
+  }, [authToken, expireSession, refreshSession, tokenExpiresAt]);
+
+  // Central entry point for BFF calls that need the session: attaches the
+  // bearer token, refreshes it shortly before expiry, retries once after a 401
+  // and expires the session when the retry is rejected as well.
+  const authorizedFetch = useCallback(
+    async (url, options = {}) => {
+      let token = sessionRef.current.token;
+      const expiresAt = sessionRef.current.expiresAt;
+      if (token && expiresAt && expiresAt - Date.now() < REFRESH_LEEWAY_MS) {
+        token = (await refreshSession().catch(() => null)) ?? token;
+      }
+      const send = (bearer) =>
+        fetch(url, {
+          ...options,
+          headers: {
+            ...(options.headers ?? {}),
+            ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}),
+          },
+        });
+
+      const response = await send(token);
+      if (response.status !== 401 || !token) {
+        return response;
+      }
+      const refreshedToken = await refreshSession();
+      if (refreshedToken) {
+        const retried = await send(refreshedToken);
+        if (retried.status !== 401) {
+          return retried;
+        }
+      }
+      expireSession(refreshedToken ?? token);
+      throw createUnauthorizedError();
+    },
+    [expireSession, refreshSession]
+  );
+
   const login = useCallback(async () => {
     const trimmedIdentifier = loginPhone.trim();
     if (!trimmedIdentifier || !loginPassword.trim()) {
@@ -30,90 +266,352 @@ export function useAuthState({
 
     setLoginLoading(true);
     setLoginError(null);
-
-    let timeoutId;
     try {
-      const fetchPromise = fetch(`${normalizedBaseUrl}/mobile/auth/login`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          phoneOrEmail: trimmedIdentifier,
-          password: loginPassword,
-        }),
-      });
-      const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(
-          () => reject(new Error("timeout")),
-          REQUEST_TIMEOUT_MS
-        );
-      });
-      const response = await Promise.race([fetchPromise, timeoutPromise]);
-
-      if (!response.ok) {
-        const message = await response
-          .json()
-          .catch(() => ({ message: response.statusText }));
-        const errorMessage =
-          typeof message === "string"
-            ? message
-            : message?.title || message?.message || "Login failed";
-        setLoginError(errorMessage);
+      const { data, error } = await postJsonWithTimeout(
+        `${normalizedBaseUrl}/mobile/auth/login`,
+        { phoneOrEmail: trimmedIdentifier, password: loginPassword },
+        { fallbackMessage: "Login failed" }
+      );
+      if (error) {
+        setLoginError(error);
         return false;
       }
-
-      const data = await response.json();
       if (!data?.token) {
         setLoginError("Invalid response from server.");
         return false;
       }
 
-      setAuthToken(data.token);
-      const firstName = data.user?.firstName ?? "";
-      const lastName = data.user?.lastName ?? "";
-      const displayName = `${firstName} ${lastName}`.trim() || "User";
-      setUserProfile({
-        name: displayName,
-        phone: data.user?.phoneNumber ?? trimmedIdentifier,
-        raw: data.user,
+      applySession({
+        token: data.token,
+        refreshToken: data.refreshToken ?? null,
+        expiresAt: resolveTokenExpiry(data),
+        profile: buildUserProfile(data.user, trimmedIdentifier),
       });
       setLoginPassword("");
       return true;
-    } catch (error) {
-      if (error?.message === "timeout") {
-        setLoginError(
-          "Request timed out. Please check your connection and try again."
-        );
-      } else {
-        setLoginError("Unable to reach the server. Please try again.");
-      }
-      return false;
     } finally {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
+      setLoginLoading(false);
+    }
+  }, [applySession, loginPassword, loginPhone, normalizedBaseUrl]);
+
+  const requestOtp = useCallback(async () => {
+    const phoneNumber = normalizePhoneNumber(loginPhone);
+    if (!phoneNumber) {
+      setLoginError("Enter a valid phone number to receive a code.");
+      return false;
+    }
+    if (!normalizedBaseUrl) {
+      setLoginError("Mobile BFF base URL is not configured.");
+      return false;
+    }
+
+    setLoginLoading(true);
+    setLoginError(null);
+    try {
+      const { data, error } = await postJsonWithTimeout(
+        `${normalizedBaseUrl}/mobile/auth/otp/request`,
+        { phoneNumber },
+        { fallbackMessage: "Unable to send the code" }
+      );
+      if (error) {
+        setLoginError(error);
+        return false;
       }
+      const resendAfterSeconds = Number(data?.resendAfterSeconds);
+      const codeLength = Number(data?.codeLength);
+      setOtpSession({
+        phoneNumber,
+        requestId: data?.requestId ?? null,
+        codeLength:
+          Number.isInteger(codeLength) && codeLength > 0
+            ? codeLength
+            : OTP_CODE_LENGTH,
+        resendAvailableAt:
+          Date.now() +
+          (Number.isFinite(resendAfterSeconds) && resendAfterSeconds >= 0
+            ? resendAfterSeconds
+            : OTP_RESEND_SECONDS) *
+            1000,
+      });
+      setOtpCode("");
+      return true;
+    } finally {
       setLoginLoading(false);
     }
-  }, [loginPassword, loginPhone, normalizedBaseUrl]);
+  }, [loginPhone, normalizedBaseUrl]);
 
-  const logout = useCallback(() => {
-    setUserProfile(null);
-    setAuthToken(null);
-    setLoginPassword("");
+  const verifyOtp = useCallback(
+    async (code = otpCode) => {
+      if (!otpSession) {
+        setLoginError("Request a code first.");
+        return false;
+      }
+      const trimmedCode = code.trim();
+      if (trimmedCode.length !== otpSession.codeLength) {
+        setLoginError(`Enter the ${otpSession.codeLength}-digit code.`);
+        return false;
+      }
+
+      setLoginLoading(true);
+      setLoginError(null);
+      try {
+        const { data, error } = await postJsonWithTimeout(
+          `${normalizedBaseUrl}/mobile/auth/otp/verify`,
+          {
+            phoneNumber: otpSession.phoneNumber,
+            code: trimmedCode,
+            ...(otpSession.requestId
+              ? { requestId: otpSession.requestId }
+              : {}),
+          },
+          { fallbackMessage: "Invalid or expired code" }
+        );
+        if (error) {
+          setLoginError(error);
+          setOtpCode("");
+          return false;
+        }
+        if (!data?.token) {
+          setLoginError("Invalid response from server.");
+          return false;
+        }
+
+        applySession({
+          token: data.token,
+          refreshToken: data.refreshToken ?? null,
+          expiresAt: resolveTokenExpiry(data),
+          profile: buildUserProfile(data.user, otpSession.phoneNumber),
+        });
+        setOtpSession(null);
+        setOtpCode("");
+        return true;
+      } finally {
+        setLoginLoading(false);
+      }
+    },
+    [applySession, normalizedBaseUrl, otpCode, otpSession]
+  );
+
+  // Resolves to true once signed in, "created" when the account exists but
+  // the follow-up sign-in failed (the user has to log in themselves), and
+  // false when registration itself failed.
+  const register = useCallback(
+    async ({ name, phone, email, password }) => {
+      const trimmedName = (name ?? "").trim();
+      const phoneNumber = normalizePhoneNumber(phone);
+      const trimmedEmail = (email ?? "").trim();
+      if (!trimmedName) {
+        setLoginError("Enter your name.");
+        return false;
+      }
+      if (!phoneNumber) {
+        setLoginError("Enter a valid phone number.");
+        return false;
+      }
+      if (!isValidEmail(trimmedEmail)) {
+        setLoginError("Enter a valid email address.");
+        return false;
+      }
+      if (!evaluatePasswordStrength(password).isValid) {
+        setLoginError("Password does not meet the requirements.");
+        return false;
+      }
+      if (!normalizedBaseUrl) {
+        setLoginError("Mobile BFF base URL is not configured.");
+        return false;
+      }
+
+      const [firstName, ...otherNames] = trimmedName.split(/\s+/);
+      setLoginLoading(true);
+      setLoginError(null);
+      try {
+        const registration = await postJsonWithTimeout(
+          `${normalizedBaseUrl}/mobile/auth/register`,
+          {
+            firstName,
+            lastName: otherNames.join(" "),
+            phoneNumber,
+            email: trimmedEmail,
+            password,
+          },
+          { fallbackMessage: "Registration failed" }
+        );
+        if (registration.error) {
+          setLoginError(registration.error);
+          return false;
+        }
+
+        // Some deployments return the session with the new account; otherwise
+        // sign in with the credentials that were just registered.
+        const { data, error } = registration.data?.token
+          ? registration
+          : await postJsonWithTimeout(
+              `${normalizedBaseUrl}/mobile/auth/login`,
+              { phoneOrEmail: phoneNumber, password },
+              { fallbackMessage: "Login failed" }
+            );
+        if (error || !data?.token) {
+          setLoginPhone(phoneNumber);
+          return "created";
+        }
+
+        applySession({
+          token: data.token,
+          refreshToken: data.refreshToken ?? null,
+          expiresAt: resolveTokenExpiry(data),
+          profile: buildUserProfile(data.user, phoneNumber),
+        });
+        setLoginPhone(phoneNumber);
+        return true;
+      } finally {
+        setLoginLoading(false);
+      }
+    },
+    [applySession, normalizedBaseUrl]
+  );
+
+  const requestPasswordReset = useCallback(
+    async (identifier) => {
+      const trimmedIdentifier = (identifier ?? "").trim();
+      if (!trimmedIdentifier) {
+        setLoginError("Enter the phone number or email on your account.");
+        return false;
+      }
+      if (!normalizedBaseUrl) {
+        setLoginError("Mobile BFF base URL is not configured.");
+        return false;
+      }
+
+      setLoginLoading(true);
+      setLoginError(null);
+      try {
+        const { error } = await postJsonWithTimeout(
+          `${normalizedBaseUrl}/mobile/auth/forgot-password`,
+          { phoneOrEmail: trimmedIdentifier },
+          { fallbackMessage: "Unable to send the reset code" }
+        );
+        if (error) {
+          setLoginError(error);
+          return false;
+        }
+        return true;
+      } finally {
+        setLoginLoading(false);
+      }
+    },
+    [normalizedBaseUrl]
+  );
+
+  const resetPassword = useCallback(
+    async ({ identifier, code, password }) => {
+      const trimmedIdentifier = (identifier ?? "").trim();
+      if (!(code ?? "").trim()) {
+        setLoginError("Enter the reset code you received.");
+        return false;
+      }
+      if (!evaluatePasswordStrength(password).isValid) {
+        setLoginError("Password does not meet the requirements.");
+        return false;
+      }
+      if (!normalizedBaseUrl) {
+        setLoginError("Mobile BFF base URL is not configured.");
+        return false;
+      }
+
+      setLoginLoading(true);
+      setLoginError(null);
+      try {
+        const { error } = await postJsonWithTimeout(
+          `${normalizedBaseUrl}/mobile/auth/reset-password`,
+          {
+            phoneOrEmail: trimmedIdentifier,
+            code: code.trim(),
+            newPassword: password,
+          },
+          { fallbackMessage: "Unable to reset the password" }
+        );
+        if (error) {
+          setLoginError(error);
+          return false;
+        }
+        setLoginPhone(trimmedIdentifier);
+        setLoginPassword("");
+        return true;
+      } finally {
+        setLoginLoading(false);
+      }
+    },
+    [normalizedBaseUrl]
+  );
+
+  const resetOtp = useCallback(() => {
+    setOtpSession(null);
+    setOtpCode("");
   }, []);
 
-  const clearAuthError = useCallback(() => setLoginError(null), []);
+  // Only signing out drops the account's stored tiles; an expired session
+  // keeps them for offline use until the same user signs back in.
+  const logout = useCallback(() => {
+    clearViewportTiles(
+      createViewportStorageScope(normalizedBaseUrl, userId)
+    ).catch((error) => {
+      console.warn("Failed to clear stored viewport tiles", error?.message);
+    });
+    clearSession();
+    setSessionExpired(false);
+  }, [clearSession, normalizedBaseUrl, userId]);
+
+  const clearAuthError = useCallback(() => {
+    setLoginError(null);
+    setSessionExpired(false);
+  }, []);
 
   return {
     userProfile,
+    userId,
     authToken,
+    sessionRestored,
+    sessionExpired,
     loginPhone,
     loginPassword,
     loginLoading,
     loginError,
     setLoginPhone,
     setLoginPassword,
+    otpCode,
+    otpSession,
+    setOtpCode,
     login,
+    requestOtp,
+    verifyOtp,
+    resetOtp,
+    register,
+    requestPasswordReset,
+    resetPassword,
     logout,
     clearAuthError,
+    authorizedFetch,
+  };
+}
+
+// Stable, token-independent key for the signed-in account. Hashed so storage
+// keys never carry the phone number or email in the clear.
+function resolveUserId(profile) {
+  if (!profile) {
+    return null;
+  }
+  const raw = profile.raw ?? {};
+  const identity = raw.id ?? raw.userId ?? raw.email ?? profile.phone;
+  return identity ? hashString(String(identity)) : null;
+}
+
+function buildUserProfile(user, fallbackPhone) {
+  const firstName = user?.firstName ?? "";
+  const lastName = user?.lastName ?? "";
+  const displayName = `${firstName} ${lastName}`.trim() || "User";
+  return {
+    name: displayName,
+    phone: user?.phoneNumber ?? fallbackPhone,
+    raw: user,
   };
 }
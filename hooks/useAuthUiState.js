@@ -1,22 +1,45 @@
-import { useCallback, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import { useAuthState } from "./useAuthState";
 
 const useAuthUiState = (options) => {
   const {
     userProfile,
+    userId,
     authToken,
+    sessionRestored,
+    sessionExpired,
     loginPhone,
     loginPassword,
     loginLoading,
     loginError,
     setLoginPhone,
     setLoginPassword,
+    otpCode,
+    otpSession,
+    setOtpCode,
     login,
+    requestOtp,
+    verifyOtp,
+    resetOtp,
+    register,
+    requestPasswordReset,
+    resetPassword,
     logout,
     clearAuthError,
+    authorizedFetch,
   } = useAuthState(options);
   const [profileMenuVisible, setProfileMenuVisible] = useState(false);
   const [authModalVisible, setAuthModalVisible] = useState(false);
+  const [authMode, setAuthMode] = useState("password");
+  const [authView, setAuthView] = useState("login");
+  const [authNotice, setAuthNotice] = useState(null);
+
+  useEffect(() => {
+    if (sessionExpired) {
+      setProfileMenuVisible(false);
+      setAuthModalVisible(true);
+    }
+  }, [sessionExpired]);
 
   const handleProfilePress = useCallback(() => {
     if (userProfile) {
@@ -27,13 +50,98 @@ const useAuthUiState = (options) => {
     setAuthModalVisible(true);
   }, [clearAuthError, userProfile]);
 
-  const handleAuthSubmit = useCallback(async () => {
-    const success = await login();
+  const completeAuth = useCallback((success) => {
     if (success) {
       setAuthModalVisible(false);
       setProfileMenuVisible(true);
     }
-  }, [login]);
+  }, []);
+
+  const handleAuthSubmit = useCallback(async () => {
+    setAuthNotice(null);
+    if (authMode !== "otp") {
+      completeAuth(await login());
+      return;
+    }
+    if (!otpSession) {
+      await requestOtp();
+      return;
+    }
+    completeAuth(await verifyOtp());
+  }, [authMode, completeAuth, login, otpSession, requestOtp, verifyOtp]);
+
+  const handleAuthModeChange = useCallback(
+    (mode) => {
+      setAuthMode(mode);
+      resetOtp();
+      clearAuthError();
+    },
+    [clearAuthError, resetOtp]
+  );
+
+  const handleOtpCodeChange = useCallback(
+    async (code) => {
+      setOtpCode(code);
+      if (loginError) {
+        clearAuthError();
+      }
+      if (otpSession && code.length === otpSession.codeLength) {
+        completeAuth(await verifyOtp(code));
+      }
+    },
+    [
+      clearAuthError,
+      completeAuth,
+      loginError,
+      otpSession,
+      setOtpCode,
+      verifyOtp,
+    ]
+  );
+
+  const handleAuthViewChange = useCallback(
+    (view) => {
+      setAuthView(view);
+      setAuthNotice(null);
+      resetOtp();
+      clearAuthError();
+    },
+    [clearAuthError, resetOtp]
+  );
+
+  const handleRegister = useCallback(
+    async (values) => {
+      const result = await register(values);
+      if (result === "created") {
+        setAuthView("login");
+        setAuthMode("password");
+        setAuthNotice("Account created. Log in to continue.");
+        return;
+      }
+      if (result) {
+        setAuthView("login");
+      }
+      completeAuth(result);
+    },
+    [completeAuth, register]
+  );
+
+  const handleResetPassword = useCallback(
+    async (values) => {
+      if (!(await resetPassword(values))) {
+        return;
+      }
+      setAuthView("login");
+      setAuthMode("password");
+      setAuthNotice("Password updated. Log in with your new password.");
+    },
+    [resetPassword]
+  );
+
+  const handleOtpNumberChange = useCallback(() => {
+    resetOtp();
+    clearAuthError();
+  }, [clearAuthError, resetOtp]);
 
   const handleLogout = useCallback(() => {
     logout();
@@ -43,21 +151,42 @@ const useAuthUiState = (options) => {
   const closeAuthModal = useCallback(() => {
     setAuthModalVisible(false);
     setLoginPassword("");
+    setAuthView("login");
+    setAuthNotice(null);
+    resetOtp();
     clearAuthError();
-  }, [clearAuthError, setLoginPassword]);
+  }, [clearAuthError, resetOtp, setLoginPassword]);
 
   return {
     userProfile,
+    userId,
     authToken,
+    sessionRestored,
+    sessionExpired,
     loginPhone,
     loginPassword,
     loginLoading,
     loginError,
     setLoginPhone,
     setLoginPassword,
+    otpCode,
+    otpSession,
     login,
+    requestOtp,
+    verifyOtp,
     logout,
     clearAuthError,
+    authorizedFetch,
+    authMode,
+    authView,
+    authNotice,
+    handleAuthModeChange,
+    handleAuthViewChange,
+    handleRegister,
+    handleResetPassword,
+    requestPasswordReset,
+    handleOtpCodeChange,
+    handleOtpNumberChange,
     profileMenuVisible,
     setProfileMenuVisible,
     authModalVisible,
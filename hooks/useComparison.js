@@ -0,0 +1,81 @@
+import { useCallback, useMemo, useState } from "react";
+
+import {
+  COMPARISON_MAX_PROPERTIES,
+  COMPARISON_MIN_PROPERTIES,
+} from "../utils/propertyComparison";
+
+const useComparison = () => {
+  const [comparedProperties, setComparedProperties] = useState([]);
+  const [comparisonVisible, setComparisonVisible] = useState(false);
+
+  const comparedIds = useMemo(
+    () => new Set(comparedProperties.map((property) => property.propertyId)),
+    [comparedProperties]
+  );
+  const canAddToComparison =
+    comparedProperties.length < COMPARISON_MAX_PROPERTIES;
+  const canOpenComparison =
+    comparedProperties.length >= COMPARISON_MIN_PROPERTIES;
+
+  // Keyed by server property ID so the same property picked from the map and
+  // from the shortlist is one entry.
+  const toggleCompare = useCallback((property) => {
+    const id = property?.propertyId;
+    if (!id) {
+      return;
+    }
+    setComparedProperties((prev) => {
+      if (prev.some((item) => item.propertyId === id)) {
+        return prev.filter((item) => item.propertyId !== id);
+      }
+      if (prev.length >= COMPARISON_MAX_PROPERTIES) {
+        return prev;
+      }
+      return [...prev, property];
+    });
+  }, []);
+
+  const removeFromComparison = useCallback(
+    (propertyId) => {
+      const next = comparedProperties.filter(
+        (item) => item.propertyId !== propertyId
+      );
+      setComparedProperties(next);
+      if (next.length < COMPARISON_MIN_PROPERTIES) {
+        setComparisonVisible(false);
+      }
+    },
+    [comparedProperties]
+  );
+
+  const clearComparison = useCallback(() => {
+    setComparedProperties([]);
+    setComparisonVisible(false);
+  }, []);
+
+  const openComparison = useCallback(() => {
+    if (canOpenComparison) {
+      setComparisonVisible(true);
+    }
+  }, [canOpenComparison]);
+
+  const closeComparison = useCallback(() => {
+    setComparisonVisible(false);
+  }, []);
+
+  return {
+    comparedProperties,
+    comparedIds,
+    canAddToComparison,
+    canOpenComparison,
+    comparisonVisible,
+    toggleCompare,
+    removeFromComparison,
+    clearComparison,
+    openComparison,
+    closeComparison,
+  };
+};
+
+export default useComparison;
@@ -0,0 +1,85 @@
+import { useCallback, useState } from "react";
+
+const MIN_AREA_POINTS = 3;
+// Keeps the polygon query string short; freehand strokes produce hundreds.
+const MAX_AREA_POINTS = 60;
+
+const reducePath = (path, maxPoints) => {
+  if (path.length <= maxPoints) {
+    return path;
+  }
+  const step = path.length / maxPoints;
+  return Array.from(
+    { length: maxPoints },
+    (_, index) => path[Math.floor(index * step)]
+  );
+};
+
+// Draw mode is "freehand" (finger stroke) or "vertices" (tap each corner).
+const useDrawSearch = ({ onDrawingStarted } = {}) => {
+  const [drawMode, setDrawMode] = useState(null);
+  const [draftPath, setDraftPath] = useState([]);
+  const [searchArea, setSearchArea] = useState(null);
+
+  const startDrawing = useCallback(
+    (mode = "freehand") => {
+      setDrawMode(mode);
+      setDraftPath([]);
+      onDrawingStarted?.();
+    },
+    [onDrawingStarted]
+  );
+
+  const changeDrawMode = useCallback((mode) => {
+    setDrawMode(mode);
+    setDraftPath([]);
+  }, []);
+
+  const addVertex = useCallback((coordinate) => {
+    if (!coordinate) return;
+    setDraftPath((prev) => [...prev, coordinate]);
+  }, []);
+
+  const undoVertex = useCallback(() => {
+    setDraftPath((prev) => prev.slice(0, -1));
+  }, []);
+
+  const finishDrawing = useCallback(
+    (path = draftPath) => {
+      if (!Array.isArray(path) || path.length < MIN_AREA_POINTS) {
+        return false;
+      }
+      setSearchArea(reducePath(path, MAX_AREA_POINTS));
+      setDrawMode(null);
+      setDraftPath([]);
+      return true;
+    },
+    [draftPath]
+  );
+
+  const cancelDrawing = useCallback(() => {
+    setDrawMode(null);
+    setDraftPath([]);
+  }, []);
+
+  const clearSearchArea = useCallback(() => {
+    setSearchArea(null);
+  }, []);
+
+  return {
+    drawMode,
+    draftPath,
+    searchArea,
+    canFinishDrawing: draftPath.length >= MIN_AREA_POINTS,
+    startDrawing,
+    changeDrawMode,
+    setDraftPath,
+    addVertex,
+    undoVertex,
+    finishDrawing,
+    cancelDrawing,
+    clearSearchArea,
+  };
+};
+
+export default useDrawSearch;
@@ -0,0 +1,288 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+import { mapPropertyFeatures } from "./useViewportProperties";
+import { readResponseError } from "../utils/apiRequest";
+import {
+  clearGuestFavorites,
+  loadGuestFavorites,
+  saveGuestFavorites,
+} from "../utils/favoritesStorage";
+
+export function useFavorites({
+  baseUrl,
+  authToken,
+  fetcher = null,
+  enabled = true,
+} = {}) {
+  const [favorites, setFavorites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const normalizedBaseUrl = useMemo(() => {
+    if (!baseUrl) return "";
+    return baseUrl.endsWith("/") ? baseUrl.slice(0, -1) : baseUrl;
+  }, [baseUrl]);
+  const request = useMemo(
+    () =>
+      fetcher ??
+      ((url, options = {}) =>
+        fetch(url, {
+          ...options,
+          headers: {
+            ...(options.headers ?? {}),
+            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+          },
+        })),
+    [authToken, fetcher]
+  );
+  const requestRef = useRef(request);
+  requestRef.current = request;
+  const favoritesRef = useRef(favorites);
+  favoritesRef.current = favorites;
+  // Stars toggled while a sync is in flight, by property ID (null = removed),
+  // so the synced list doesn't overwrite them.
+  const pendingTogglesRef = useRef(null);
+  const mountedRef = useRef(true);
+  const signedIn = !!authToken;
+
+  useEffect(
+    () => () => {
+      mountedRef.current = false;
+    },
+    []
+  );
+
+  const favoriteIds = useMemo(
+    () => new Set(favorites.map((favorite) => favorite.id)),
+    [favorites]
+  );
+
+  const sendFavoritesRequest = useCallback(
+    async (path, options, fallbackMessage) => {
+      const response = await requestRef.current(
+        `${normalizedBaseUrl}/mobile/favorites${path}`,
+        options
+      );
+      if (!response.ok) {
+        throw new Error(await readResponseError(response, fallbackMessage));
+      }
+      return response.json().catch(() => null);
+    },
+    [normalizedBaseUrl]
+  );
+
+  // Signing in pulls the server list and pushes any stars made while signed
+  // out; the guest list is only cleared once the server has accepted it.
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    let isActive = true;
+    const pendingToggles = new Map();
+    pendingTogglesRef.current = pendingToggles;
+    const applySynced = (list) =>
+      setFavorites(applyPendingToggles(list, pendingToggles));
+    const syncFavorites = async () => {
+      const guestFavorites = await loadGuestFavorites().catch(() => []);
+      if (!signedIn || !normalizedBaseUrl) {
+        if (isActive) {
+          applySynced(guestFavorites);
+        }
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      try {
+        if (guestFavorites.length) {
+          await sendFavoritesRequest(
+            "",
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                propertyIds: guestFavorites.map((favorite) => favorite.id),
+              }),
+            },
+            "Failed to save your shortlist"
+          );
+          await clearGuestFavorites().catch(() => null);
+        }
+        // The POST response is not guaranteed to be the whole shortlist, so
+        // always read the merged list back from the server.
+        const payload = await sendFavoritesRequest(
+          "",
+          {},
+          "Failed to load your shortlist"
+        );
+        if (isActive && mountedRef.current) {
+          applySynced(
+            mergeFavorites(mapFavoritesPayload(payload), guestFavorites)
+          );
+        }
+      } catch (err) {
+        console.warn(
+          `Favorites sync failed: ${err?.message ?? "Unknown error"}`
+        );
+        if (isActive && mountedRef.current) {
+          applySynced(guestFavorites);
+          setError(err?.message || "Unable to sync your shortlist.");
+        }
+      } finally {
+        if (isActive && mountedRef.current) {
+          setLoading(false);
+        }
+      }
+    };
+    syncFavorites().finally(() => {
+      if (pendingTogglesRef.current === pendingToggles) {
+        pendingTogglesRef.current = null;
+      }
+    });
+    return () => {
+      isActive = false;
+    };
+  }, [enabled, normalizedBaseUrl, sendFavoritesRequest, signedIn]);
+
+  const isFavorite = useCallback((id) => favoriteIds.has(id), [favoriteIds]);
+
+  const toggleFavorite = useCallback(
+    async (property) => {
+      const id = property?.propertyId;
+      if (!id) {
+        return;
+      }
+      const previous = favoritesRef.current;
+      const exists = previous.some((favorite) => favorite.id === id);
+      const entry = exists ? null : createFavoriteEntry(property);
+      const next = exists
+        ? previous.filter((favorite) => favorite.id !== id)
+        : [entry, ...previous];
+      setFavorites(next);
+      setError(null);
+      pendingTogglesRef.current?.set(id, entry);
+
+      if (!signedIn) {
+        saveGuestFavorites(next).catch((err) => {
+          console.warn("Failed to store favorites", err?.message);
+        });
+        return;
+      }
+      try {
+        if (exists) {
+          await sendFavoritesRequest(
+            `/${encodeURIComponent(id)}`,
+            { method: "DELETE" },
+            "Failed to remove from shortlist"
+          );
+        } else {
+          await sendFavoritesRequest(
+            "",
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ propertyIds: [id] }),
+            },
+            "Failed to add to shortlist"
+          );
+        }
+      } catch (err) {
+        console.warn(
+          `Favorite update failed for ${id}: ${err?.message ?? "Unknown error"}`
+        );
+        if (!mountedRef.current) {
+          return;
+        }
+        // A sync still in flight will return the server's view of this star.
+        pendingTogglesRef.current?.delete(id);
+        setFavorites((current) =>
+          exists
+            ? [createFavoriteEntry(property), ...current]
+            : current.filter((favorite) => favorite.id !== id)
+        );
+        setError(err?.message || "Unable to update your shortlist.");
+      }
+    },
+    [sendFavoritesRequest, signedIn]
+  );
+
+  return {
+    favorites,
+    favoriteIds,
+    loading,
+    error,
+    isFavorite,
+    toggleFavorite,
+  };
+}
+
+// Favorites are keyed by the server property ID, never by a map render key.
+function createFavoriteEntry(property) {
+  return {
+    id: property.propertyId,
+    propertyId: property.propertyId,
+    name: property.name || "Untitled",
+    propertyType: property.propertyType ?? null,
+    price: property.price ?? null,
+    priceDisplay: property.priceDisplay ?? null,
+    coordinate: property.coordinate ?? null,
+    polygonPaths: property.polygonPaths ?? [],
+    polygonHoles: property.polygonHoles ?? [],
+    savedAt: Date.now(),
+  };
+}
+
+function mapFavoritesPayload(payload) {
+  const list = Array.isArray(payload)
+    ? payload
+    : payload?.items ?? payload?.favorites ?? [];
+  return list
+    .map((item) => {
+      const id = item?.propertyId || item?.featureId || item?.id;
+      if (!id) {
+        return null;
+      }
+      const [mapped] = mapPropertyFeatures([
+        { ...item, featureId: id },
+      ]).properties;
+      const savedAt = Date.parse(item?.savedAt ?? item?.createdAt ?? "");
+      return {
+        ...createFavoriteEntry({
+          ...mapped,
+          propertyId: id,
+          name: mapped?.name ?? item.name,
+        }),
+        savedAt: Number.isFinite(savedAt) ? savedAt : Date.now(),
+      };
+    })
+    .filter(Boolean);
+}
+
+function applyPendingToggles(list, pendingToggles) {
+  if (!pendingToggles.size) {
+    return list;
+  }
+  const kept = list.filter((favorite) => !pendingToggles.has(favorite.id));
+  const added = Array.from(pendingToggles.values()).filter(Boolean);
+  return [...added, ...kept];
+}
+
+// Server entries win, but keep the local snapshot for anything the server
+// returned without geometry so the shortlist can still show and locate it.
+function mergeFavorites(serverFavorites, localFavorites) {
+  const localById = new Map(
+    localFavorites.map((favorite) => [favorite.id, favorite])
+  );
+  const merged = serverFavorites.map((favorite) => {
+    const local = localById.get(favorite.id);
+    localById.delete(favorite.id);
+    if (!local || favorite.coordinate) {
+      return favorite;
+    }
+    return {
+      ...favorite,
+      coordinate: local.coordinate,
+      polygonPaths: local.polygonPaths,
+      polygonHoles: local.polygonHoles,
+    };
+  });
+  return [...merged, ...localById.values()];
+}
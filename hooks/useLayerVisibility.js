@@ -0,0 +1,102 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import {
+  DEFAULT_LAYER_VISIBILITY,
+  DEFAULT_MAP_TYPE,
+} from "../constants/mapLayers";
+import {
+  loadLayerVisibility,
+  loadMapTypePreference,
+  saveLayerVisibility,
+  saveMapTypePreference,
+} from "../utils/layerPreferencesStorage";
+
+const useLayerVisibility = ({ onSheetShown } = {}) => {
+  const [layers, setLayers] = useState(DEFAULT_LAYER_VISIBILITY);
+  const [mapTypePreference, setMapTypePreferenceState] =
+    useState(DEFAULT_MAP_TYPE);
+  const [layersSheetVisible, setLayersSheetVisible] = useState(false);
+  // Changes made before the stored preferences load must not be overwritten.
+  const touchedRef = useRef(false);
+  const mapTypeTouchedRef = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLayerVisibility()
+      .then((stored) => {
+        if (!cancelled && !touchedRef.current) {
+          setLayers(stored);
+        }
+      })
+      .catch((error) => {
+        console.warn("Failed to load layer visibility", error?.message);
+      });
+    loadMapTypePreference()
+      .then((stored) => {
+        if (!cancelled && !mapTypeTouchedRef.current) {
+          setMapTypePreferenceState(stored);
+        }
+      })
+      .catch((error) => {
+        console.warn("Failed to load map type", error?.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!touchedRef.current) {
+      return;
+    }
+    saveLayerVisibility(layers).catch((error) => {
+      console.warn("Failed to save layer visibility", error?.message);
+    });
+  }, [layers]);
+
+  const updateLayers = useCallback((updater) => {
+    touchedRef.current = true;
+    setLayers(updater);
+  }, []);
+
+  const setLayerMode = useCallback(
+    (key, mode) => {
+      updateLayers((prev) => ({ ...prev, [key]: mode }));
+    },
+    [updateLayers]
+  );
+
+  const setMapTypePreference = useCallback((mapType) => {
+    mapTypeTouchedRef.current = true;
+    setMapTypePreferenceState(mapType);
+    saveMapTypePreference(mapType).catch((error) => {
+      console.warn("Failed to save map type", error?.message);
+    });
+  }, []);
+
+  const resetLayers = useCallback(() => {
+    updateLayers(() => DEFAULT_LAYER_VISIBILITY);
+  }, [updateLayers]);
+
+  const showLayersSheet = useCallback(() => {
+    setLayersSheetVisible(true);
+    onSheetShown?.();
+  }, [onSheetShown]);
+
+  const hideLayersSheet = useCallback(() => {
+    setLayersSheetVisible(false);
+  }, []);
+
+  return {
+    layers,
+    mapTypePreference,
+    setMapTypePreference,
+    layersSheetVisible,
+    showLayersSheet,
+    hideLayersSheet,
+    setLayerMode,
+    resetLayers,
+  };
+};
+
+export default useLayerVisibility;
@@ -0,0 +1,46 @@
+import { useCallback, useMemo, useState } from "react";
+
+import {
+  DEFAULT_PROPERTY_FILTERS,
+  countActiveFilters,
+} from "../utils/propertyFilters";
+
+const useMapFilters = ({ onPanelShown } = {}) => {
+  const [filters, setFilters] = useState(DEFAULT_PROPERTY_FILTERS);
+  const [filterPanelVisible, setFilterPanelVisible] = useState(false);
+
+  const activeFilterCount = useMemo(
+    () => countActiveFilters(filters),
+    [filters]
+  );
+
+  const showFilterPanel = useCallback(() => {
+    setFilterPanelVisible(true);
+    onPanelShown?.();
+  }, [onPanelShown]);
+
+  const hideFilterPanel = useCallback(() => {
+    setFilterPanelVisible(false);
+  }, []);
+
+  const applyFilters = useCallback((nextFilters) => {
+    setFilters({ ...DEFAULT_PROPERTY_FILTERS, ...nextFilters });
+    setFilterPanelVisible(false);
+  }, []);
+
+  const resetFilters = useCallback(() => {
+    setFilters(DEFAULT_PROPERTY_FILTERS);
+  }, []);
+
+  return {
+    filters,
+    activeFilterCount,
+    filterPanelVisible,
+    showFilterPanel,
+    hideFilterPanel,
+    applyFilters,
+    resetFilters,
+  };
+};
+
+export default useMapFilters;
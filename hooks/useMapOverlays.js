@@ -1,18 +1,36 @@
 import { useMemo } from "react";
-import { StyleSheet, Text } from "react-native";
-import { Marker, Polygon, Polyline } from "react-native-maps";
-import { DRAWING_STYLES } from "../constants/drawingStyles";
+import { StyleSheet, Text, View } from "react-native";
+import { Circle, Marker, Polygon, Polyline } from "react-native-maps";
+import { DRAWING_STYLES, PLOT_STATUS_STYLES } from "../constants/drawingStyles";
+import { getPropertyBadgeLabel } from "../constants/mapConfig";
+import {
+  DEFAULT_LAYER_VISIBILITY,
+  isLayerEnabled,
+  resolveLayerVisibility,
+} from "../constants/mapLayers";
 import { getPlotLabelFontSize, getRoadLabelFontSize } from "../utils/labelFont";
+import { estimateLabelSize, placeLabels } from "../utils/labelPlacement";
 import {
   computeAmenityLabelFontSize,
   computePolygonCentroid,
-  computeRoadLabelPlacement,
+  computeRoadLabelPlacements,
   isClosedPath,
   offsetCoordinate,
 } from "../utils/mapGeometry";
+import { computeMetersPerPixel } from "../utils/mapRegion";
+import { formatLengthMeasurement } from "../utils/measurementFormat";
+import { getPlotStatusLabel } from "../utils/plotStatus";
+import { shouldAlwaysShowPolygon } from "../utils/propertyTypes";
 
 const LAYOUT_POLYGON_ZOOM_THRESHOLD = 10.9;
 const PLOT_LABEL_EAST_OFFSET_METERS = 2;
+const ROAD_LABEL_MAX_WIDTH = 160;
+// Long roads get another copy of their name every this many screen pixels.
+const ROAD_LABEL_REPEAT_PX = 320;
+// Mirrors the price badge bubble in PropertyPriceBadges (text, padding and
+// the pointer below it).
+const BADGE_FONT_SIZE = 13;
+const BADGE_LABEL_PADDING = { paddingX: 22, paddingY: 18, maxWidth: 160 };
 
 const hexToRgba = (hex, alpha = 1) => {
   if (typeof hex !== "string") return hex;
@@ -37,8 +55,32 @@ const BOUNDARY_STYLE = buildPolygonStyleProps(DRAWING_STYLES.boundary);
 const PLOT_STYLE = buildPolygonStyleProps(DRAWING_STYLES.plot);
 const ROAD_STYLE = buildPolygonStyleProps(DRAWING_STYLES.road);
 const AMENITY_STYLE = buildPolygonStyleProps(DRAWING_STYLES.amenity);
+const OWNED_STYLE = buildPolygonStyleProps(DRAWING_STYLES.owned);
+const FAVORITE_STYLE = buildPolygonStyleProps(DRAWING_STYLES.favorite);
+const SEARCH_AREA_STYLE = buildPolygonStyleProps(DRAWING_STYLES.searchArea);
+const SEARCH_AREA_DASH = [12, 8];
+const MEASURE_STYLE = buildPolygonStyleProps(DRAWING_STYLES.measure);
+
+const midpoint = (start, end) => ({
+  latitude: (start.latitude + end.latitude) / 2,
+  longitude: (start.longitude + end.longitude) / 2,
+});
+const PLOT_STATUS_POLYGON_STYLES = Object.fromEntries(
+  Object.entries(PLOT_STATUS_STYLES).map(([status, style]) => [
+    status,
+    buildPolygonStyleProps(style),
+  ])
+);
 
 const overlayStyles = StyleSheet.create({
+  plotStatusText: {
+    fontWeight: "700",
+    textAlign: "center",
+    includeFontPadding: false,
+    textShadowColor: "rgba(2, 6, 23, 0.65)",
+    textShadowOffset: { width: 0, height: 1 },
+    textShadowRadius: 2,
+  },
   plotLabelText: {
     color: "#f8fafc",
     fontWeight: "700",
@@ -58,51 +100,41 @@ const overlayStyles = StyleSheet.create({
     textShadowOffset: { width: 0, height: 0 },
     textShadowRadius: 3,
   },
+  measureVertex: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: "#fff",
+    backgroundColor: DRAWING_STYLES.measure.strokeColor,
+  },
+  measureLabel: {
+    color: "#fff",
+    fontSize: 11,
+    fontWeight: "700",
+    backgroundColor: "rgba(15, 23, 42, 0.85)",
+    borderRadius: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    overflow: "hidden",
+  },
   roadLabelText: {
     color: "#cdd2d9",
     fontWeight: "600",
     fontSize: 11,
-    maxWidth: 160,
+    maxWidth: ROAD_LABEL_MAX_WIDTH,
     textShadowColor: "rgba(15, 23, 42, 0.65)",
     textShadowOffset: { width: 0, height: 0 },
     textShadowRadius: 4,
   },
 });
 
-const shouldAlwaysShowPolygon = (normalizedType) => {
-  if (!normalizedType) {
-    return false;
-  }
-  const type = normalizedType.toLowerCase();
-  const collapsed = type.replace(/[^a-z]/g, "");
-
-  const matchesIndependentHouse =
-    collapsed.includes("independenthouse") ||
-    collapsed.includes("individualhouse");
-  const matchesIndividualPlots =
-    collapsed.includes("individualplots") ||
-    collapsed.includes("individualplot");
-  const matchesLand = collapsed.includes("land");
-  const matchesApartmentFlat =
-    collapsed.includes("apartmentflat") ||
-    (type.includes("apartment") && type.includes("flat"));
-  const matchesCommercialSpace =
-    collapsed.includes("commercialspace") ||
-    (type.includes("commercial") && type.includes("space"));
-
-  return (
-    matchesIndependentHouse ||
-    matchesIndividualPlots ||
-    matchesLand ||
-    matchesApartmentFlat ||
-    matchesCommercialSpace
-  );
-};
-
 const useMapOverlays = ({
   currentZoom,
+  labelZoom,
   showPolygons,
   showPlotLabels,
+  showPlotStatusLabels,
   showAmenityPolygons,
   showAmenityLabels,
   showRoadLabels,
@@ -112,7 +144,19 @@ const useMapOverlays = ({
   viewportAmenities = [],
   markerViewsFrozen,
   onPropertyPolygonPress,
+  favoriteIds,
+  layers = DEFAULT_LAYER_VISIBILITY,
+  searchArea = null,
+  drawPath = null,
+  radiusSearch = null,
+  measurement = null,
+  measuredEdge = null,
+  visibleBounds = null,
 }) => {
+  const plotsEnabled = isLayerEnabled(layers, "plots");
+  const roadsEnabled = isLayerEnabled(layers, "roads");
+  const priceBadgesEnabled = isLayerEnabled(layers, "priceBadges");
+
   const propertyPolygons = useMemo(() => {
     const items = [];
     const zoom = currentZoom ?? 0;
@@ -123,90 +167,121 @@ const useMapOverlays = ({
       }
       const propertyType = property.propertyType?.toLowerCase() ?? "";
       const isLayout = propertyType.includes("layout");
-      const shouldShowLayout =
-        isLayout && normalizedZoom >= LAYOUT_POLYGON_ZOOM_THRESHOLD;
-      const shouldForcePolygon =
-        !isLayout && shouldAlwaysShowPolygon(propertyType);
-      if (!showPolygons && !shouldShowLayout && !shouldForcePolygon) {
+      const visible = isLayout
+        ? resolveLayerVisibility(
+            layers,
+            "layouts",
+            normalizedZoom >= LAYOUT_POLYGON_ZOOM_THRESHOLD
+          )
+        : resolveLayerVisibility(
+            layers,
+            "properties",
+            showPolygons || shouldAlwaysShowPolygon(propertyType)
+          );
+      if (!visible) {
         return;
       }
       property.polygonPaths.forEach((path, index) => {
-        const styleProps = isLayout ? BOUNDARY_STYLE : PLOT_STYLE;
+        const baseStyle = property.isOwned
+          ? OWNED_STYLE
+          : isLayout
+          ? BOUNDARY_STYLE
+          : PLOT_STYLE;
+        // Starred properties keep their fill and get a heavier outline.
+        const styleProps = favoriteIds?.has(property.propertyId)
+          ? { ...baseStyle, ...FAVORITE_STYLE, fillColor: baseStyle.fillColor }
+          : baseStyle;
         items.push(
           <Polygon
             key={`${property.id}-polygon-${index}`}
             coordinates={path}
+            holes={property.polygonHoles?.[index]}
             strokeColor={styleProps.strokeColor}
             fillColor={styleProps.fillColor}
             strokeWidth={styleProps.strokeWidth}
-            onPress={() =>
-              onPropertyPolygonPress?.(property.polygonPaths ?? [path])
-            }
+            onPress={() => onPropertyPolygonPress?.(property)}
           />
         );
       });
     });
     return items.length ? items : null;
-  }, [currentZoom, onPropertyPolygonPress, showPolygons, viewportProperties]);
+  }, [
+    currentZoom,
+    favoriteIds,
+    layers,
+    onPropertyPolygonPress,
+    showPolygons,
+    viewportProperties,
+  ]);
 
   const plotPolygons = useMemo(() => {
+    if (!plotsEnabled) {
+      return null;
+    }
     const items = [];
     viewportPlots.forEach((plot) => {
+      const styleProps = PLOT_STATUS_POLYGON_STYLES[plot.status] ?? PLOT_STYLE;
       plot.polygonPaths?.forEach((path, index) => {
         items.push(
           <Polygon
             key={`${plot.id}-plot-${index}`}
             coordinates={path}
-            strokeColor={PLOT_STYLE.strokeColor}
-            fillColor={PLOT_STYLE.fillColor}
-            strokeWidth={PLOT_STYLE.strokeWidth}
+            holes={plot.polygonHoles?.[index]}
+            strokeColor={styleProps.strokeColor}
+            fillColor={styleProps.fillColor}
+            strokeWidth={styleProps.strokeWidth}
           />
         );
       });
     });
     return items;
-  }, [viewportPlots]);
+  }, [plotsEnabled, viewportPlots]);
 
-  const plotLabelMarkers = useMemo(() => {
+  const plotLabels = useMemo(() => {
     if (!showPlotLabels) {
-      return null;
+      return [];
     }
-    const zoom = currentZoom ?? 0;
-    const fontSize = getPlotLabelFontSize(zoom);
+    const fontSize = getPlotLabelFontSize(currentZoom ?? 0);
     const items = [];
     viewportPlots.forEach((plot) => {
       const label = plot.plotNumber;
       const labelCoordinate = offsetCoordinate(
-        plot.center,
+        plot.labelPoint ?? plot.center,
         PLOT_LABEL_EAST_OFFSET_METERS,
         0
       );
       if (!label || !labelCoordinate) {
         return;
       }
-      items.push(
-        <Marker
-          key={`${plot.id}-label`}
-          coordinate={labelCoordinate}
-          anchor={{ x: 0.5, y: 0.5 }}
-          centerOffset={{ x: 4, y: 0 }}
-          flat
-          tracksViewChanges={!markerViewsFrozen}
-          tappable={false}
-        >
-          <Text
-            style={[overlayStyles.plotLabelText, { fontSize }]}
-            numberOfLines={1}
-          >
-            {label}
-          </Text>
-        </Marker>
-      );
+      const statusLabel = showPlotStatusLabels
+        ? getPlotStatusLabel(plot.status)
+        : null;
+      const statusFontSize = Math.max(fontSize - 3, 8);
+      const size = estimateLabelSize(label, fontSize);
+      const statusSize = statusLabel
+        ? estimateLabelSize(statusLabel, statusFontSize)
+        : null;
+      items.push({
+        id: `${plot.id}-label`,
+        kind: "plot",
+        label,
+        fontSize,
+        status: plot.status,
+        statusLabel,
+        statusFontSize,
+        coordinate: labelCoordinate,
+        canShift: true,
+        width: Math.max(size.width, statusSize?.width ?? 0),
+        height: size.height + (statusSize?.height ?? 0),
+      });
     });
     return items;
-  }, [currentZoom, markerViewsFrozen, showPlotLabels, viewportPlots]);
+  }, [currentZoom, showPlotLabels, showPlotStatusLabels, viewportPlots]);
 
   const roadPolylines = useMemo(() => {
+    if (!roadsEnabled) {
+      return null;
+    }
     const items = [];
     viewportRoads.forEach((road) => {
       road.paths?.forEach((path, index) => {
@@ -234,48 +309,45 @@ const useMapOverlays = ({
       });
     });
     return items.length ? items : null;
-  }, [viewportRoads]);
+  }, [roadsEnabled, viewportRoads]);
 
-  const roadLabelMarkers = useMemo(() => {
+  const roadLabels = useMemo(() => {
     if (!showRoadLabels) {
-      return null;
+      return [];
     }
-    const zoom = currentZoom ?? 0;
-    const fontSize = getRoadLabelFontSize(zoom);
+    const fontSize = getRoadLabelFontSize(currentZoom ?? 0);
     const items = [];
     viewportRoads.forEach((road) => {
       const label = road.name?.trim();
       if (!label || !road.paths?.length) {
         return;
       }
-      const placement = computeRoadLabelPlacement(road.paths);
-      if (!placement?.coordinate) {
-        return;
-      }
-      const rotationDeg = Number.isFinite(placement.angleDeg)
-        ? placement.angleDeg
-        : 0;
-      const rotationStyle = {
-        transform: [{ rotate: `${rotationDeg}deg` }],
-      };
-      items.push(
-        <Marker
-          key={`${road.id}-road-label`}
-          coordinate={placement.coordinate}
-          anchor={{ x: 0.5, y: 0.5 }}
-          tappable={false}
-        >
-          <Text
-            style={[overlayStyles.roadLabelText, rotationStyle, { fontSize }]}
-            numberOfLines={1}
-          >
-            {label}
-          </Text>
-        </Marker>
-      );
+      const size = estimateLabelSize(label, fontSize, {
+        maxWidth: ROAD_LABEL_MAX_WIDTH,
+      });
+      const placements = computeRoadLabelPlacements(road.paths, {
+        metersPerPixel: computeMetersPerPixel(
+          Number(road.paths[0]?.[0]?.latitude),
+          labelZoom
+        ),
+        labelWidthPx: size.width,
+        repeatSpacingPx: ROAD_LABEL_REPEAT_PX,
+        bounds: visibleBounds,
+      });
+      placements.forEach((placement, index) => {
+        items.push({
+          id: `${road.id}-road-label-${index}`,
+          kind: "road",
+          label,
+          fontSize,
+          coordinate: placement.coordinate,
+          angleDeg: placement.angleDeg,
+          ...size,
+        });
+      });
     });
-    return items.length ? items : null;
-  }, [currentZoom, showRoadLabels, viewportRoads]);
+    return items;
+  }, [currentZoom, labelZoom, showRoadLabels, viewportRoads, visibleBounds]);
 
   const amenityPolygons = useMemo(() => {
     if (!showAmenityPolygons) {
@@ -288,6 +360,7 @@ const useMapOverlays = ({
           <Polygon
             key={`${amenity.id}-amenity-${index}`}
             coordinates={path}
+            holes={amenity.polygonHoles?.[index]}
             strokeColor={AMENITY_STYLE.strokeColor}
             fillColor={AMENITY_STYLE.fillColor}
             strokeWidth={AMENITY_STYLE.strokeWidth}
@@ -298,9 +371,9 @@ const useMapOverlays = ({
     return items.length ? items : null;
   }, [showAmenityPolygons, viewportAmenities]);
 
-  const amenityLabelMarkers = useMemo(() => {
+  const amenityLabels = useMemo(() => {
     if (!showAmenityLabels) {
-      return null;
+      return [];
     }
     const items = [];
     viewportAmenities.forEach((amenity) => {
@@ -308,31 +381,310 @@ const useMapOverlays = ({
       if (!label) {
         return;
       }
-      const labelCoordinate = computePolygonCentroid(amenity.polygonPaths);
+      // Tiles saved offline before label points existed only have geometry.
+      const labelCoordinate =
+        amenity.labelPoint ??
+        computePolygonCentroid(amenity.polygonPaths, amenity.polygonHoles);
       if (!labelCoordinate) {
         return;
       }
-      const fontSize = computeAmenityLabelFontSize(amenity.polygonPaths);
+      const fontSize = computeAmenityLabelFontSize(
+        amenity.polygonPaths,
+        amenity.polygonHoles
+      );
+      items.push({
+        id: `${amenity.id}-amenity-label`,
+        kind: "amenity",
+        label,
+        fontSize,
+        coordinate: labelCoordinate,
+        ...estimateLabelSize(label, fontSize),
+      });
+    });
+    return items;
+  }, [showAmenityLabels, viewportAmenities]);
+
+  const badgeLabels = useMemo(() => {
+    if (!priceBadgesEnabled) {
+      return [];
+    }
+    const items = [];
+    viewportProperties.forEach((property) => {
+      if (!property?.coordinate) {
+        return;
+      }
+      const label = getPropertyBadgeLabel(property);
+      items.push({
+        id: property.id,
+        kind: "badge",
+        coordinate: property.coordinate,
+        // Badges are drawn above their point, pointer included.
+        anchorY: 1,
+        ...estimateLabelSize(label, BADGE_FONT_SIZE, BADGE_LABEL_PADDING),
+      });
+    });
+    return items;
+  }, [priceBadgesEnabled, viewportProperties]);
+
+  // Screen-space collision pass shared by every label layer; losing plot
+  // labels are nudged aside, anything else that loses is not rendered.
+  const labelPlacements = useMemo(
+    () =>
+      placeLabels(
+        [...amenityLabels, ...roadLabels, ...plotLabels, ...badgeLabels],
+        labelZoom ?? currentZoom
+      ),
+    [amenityLabels, badgeLabels, currentZoom, labelZoom, plotLabels, roadLabels]
+  );
+
+  const hiddenBadgeIds = useMemo(() => {
+    const hidden = new Set();
+    badgeLabels.forEach((badge) => {
+      if (labelPlacements.get(badge.id)?.visible === false) {
+        hidden.add(badge.id);
+      }
+    });
+    return hidden;
+  }, [badgeLabels, labelPlacements]);
+
+  const plotLabelMarkers = useMemo(() => {
+    if (!showPlotLabels) {
+      return null;
+    }
+    const items = [];
+    plotLabels.forEach((plotLabel) => {
+      const placement = labelPlacements.get(plotLabel.id);
+      if (placement?.visible === false) {
+        return;
+      }
       items.push(
         <Marker
-          key={`${amenity.id}-amenity-label`}
-          coordinate={labelCoordinate}
+          key={plotLabel.id}
+          coordinate={placement?.coordinate ?? plotLabel.coordinate}
           anchor={{ x: 0.5, y: 0.5 }}
+          centerOffset={{ x: 4, y: 0 }}
+          flat
+          tracksViewChanges={!markerViewsFrozen}
           tappable={false}
         >
           <Text
-            style={[overlayStyles.amenityLabelText, { fontSize }]}
+            style={[
+              overlayStyles.plotLabelText,
+              { fontSize: plotLabel.fontSize },
+            ]}
             numberOfLines={1}
           >
+            {plotLabel.label}
+          </Text>
+          {plotLabel.statusLabel ? (
+            <Text
+              style={[
+                overlayStyles.plotStatusText,
+                {
+                  fontSize: plotLabel.statusFontSize,
+                  color:
+                    PLOT_STATUS_STYLES[plotLabel.status]?.fillColor ??
+                    "#f8fafc",
+                },
+              ]}
+              numberOfLines={1}
+            >
+              {plotLabel.statusLabel}
+            </Text>
+          ) : null}
+        </Marker>
+      );
+    });
+    return items;
+  }, [labelPlacements, markerViewsFrozen, plotLabels, showPlotLabels]);
+
+  const roadLabelMarkers = useMemo(() => {
+    const items = [];
+    roadLabels.forEach((roadLabel) => {
+      if (labelPlacements.get(roadLabel.id)?.visible === false) {
+        return;
+      }
+      const rotationStyle = {
+        transform: [{ rotate: `${roadLabel.angleDeg}deg` }],
+      };
+      items.push(
+        <Marker
+          key={roadLabel.id}
+          coordinate={roadLabel.coordinate}
+          anchor={{ x: 0.5, y: 0.5 }}
+          tappable={false}
+        >
+          <Text
+            style={[
+              overlayStyles.roadLabelText,
+              rotationStyle,
+              { fontSize: roadLabel.fontSize },
+            ]}
+            numberOfLines={1}
+          >
+            {roadLabel.label}
+          </Text>
+        </Marker>
+      );
+    });
+    return items.length ? items : null;
+  }, [labelPlacements, roadLabels]);
+
+  const amenityLabelMarkers = useMemo(() => {
+    const items = [];
+    amenityLabels.forEach((amenityLabel) => {
+      if (labelPlacements.get(amenityLabel.id)?.visible === false) {
+        return;
+      }
+      items.push(
+        <Marker
+          key={amenityLabel.id}
+          coordinate={amenityLabel.coordinate}
+          anchor={{ x: 0.5, y: 0.5 }}
+          tappable={false}
+        >
+          <Text
+            style={[
+              overlayStyles.amenityLabelText,
+              { fontSize: amenityLabel.fontSize },
+            ]}
+            numberOfLines={1}
+          >
+            {amenityLabel.label}
+          </Text>
+        </Marker>
+      );
+    });
+    return items.length ? items : null;
+  }, [amenityLabels, labelPlacements]);
+
+  const searchAreaOverlay = useMemo(() => {
+    if (drawPath?.length > 1) {
+      return (
+        <Polyline
+          key="search-area-draft"
+          coordinates={drawPath}
+          strokeColor={SEARCH_AREA_STYLE.strokeColor}
+          strokeWidth={SEARCH_AREA_STYLE.strokeWidth}
+        />
+      );
+    }
+    if (searchArea?.length > 2) {
+      return (
+        <Polygon
+          key="search-area"
+          coordinates={searchArea}
+          strokeColor={SEARCH_AREA_STYLE.strokeColor}
+          fillColor={SEARCH_AREA_STYLE.fillColor}
+          strokeWidth={SEARCH_AREA_STYLE.strokeWidth}
+          lineDashPattern={SEARCH_AREA_DASH}
+          tappable={false}
+        />
+      );
+    }
+    return null;
+  }, [drawPath, searchArea]);
+
+  const radiusOverlay = useMemo(() => {
+    const center = radiusSearch?.center;
+    if (!center || !(radiusSearch.radiusMeters > 0)) {
+      return null;
+    }
+    return [
+      <Circle
+        key="radius-search-circle"
+        center={center}
+        radius={radiusSearch.radiusMeters}
+        strokeColor={SEARCH_AREA_STYLE.strokeColor}
+        fillColor={SEARCH_AREA_STYLE.fillColor}
+        strokeWidth={SEARCH_AREA_STYLE.strokeWidth}
+      />,
+      <Marker
+        key="radius-search-center"
+        coordinate={center}
+        pinColor={DRAWING_STYLES.searchArea.strokeColor}
+        tracksViewChanges={false}
+      />,
+    ];
+  }, [radiusSearch]);
+
+  const measureOverlay = useMemo(() => {
+    const items = [];
+    const path = measurement?.path ?? [];
+    if (measurement?.closed) {
+      items.push(
+        <Polygon
+          key="measure-shape"
+          coordinates={path}
+          strokeColor={MEASURE_STYLE.strokeColor}
+          fillColor={MEASURE_STYLE.fillColor}
+          strokeWidth={MEASURE_STYLE.strokeWidth}
+          tappable={false}
+        />
+      );
+    } else if (path.length > 1) {
+      items.push(
+        <Polyline
+          key="measure-path"
+          coordinates={path}
+          strokeColor={MEASURE_STYLE.strokeColor}
+          strokeWidth={MEASURE_STYLE.strokeWidth}
+        />
+      );
+    }
+    // A closed path repeats its first point; one dot per vertex is enough.
+    const vertices = measurement?.closed ? path.slice(0, -1) : path;
+    vertices.forEach((coordinate, index) => {
+      items.push(
+        <Marker
+          key={`measure-vertex-${index}`}
+          coordinate={coordinate}
+          anchor={{ x: 0.5, y: 0.5 }}
+          tracksViewChanges={!markerViewsFrozen}
+          tappable={false}
+        >
+          <View style={overlayStyles.measureVertex} />
+        </Marker>
+      );
+    });
+    const edges = [...(measurement?.segments ?? [])];
+    if (measuredEdge) {
+      items.push(
+        <Polyline
+          key="measure-edge"
+          coordinates={[measuredEdge.start, measuredEdge.end]}
+          strokeColor={MEASURE_STYLE.strokeColor}
+          strokeWidth={MEASURE_STYLE.strokeWidth + 2}
+        />
+      );
+      edges.push(measuredEdge);
+    }
+    edges.forEach((edge, index) => {
+      const label = formatLengthMeasurement(edge.lengthMeters);
+      if (!label) {
+        return;
+      }
+      items.push(
+        <Marker
+          key={`measure-length-${index}`}
+          coordinate={midpoint(edge.start, edge.end)}
+          anchor={{ x: 0.5, y: 0.5 }}
+          tracksViewChanges={!markerViewsFrozen}
+          tappable={false}
+        >
+          <Text style={overlayStyles.measureLabel} numberOfLines={1}>
             {label}
           </Text>
         </Marker>
       );
     });
     return items.length ? items : null;
-  }, [showAmenityLabels, viewportAmenities]);
+  }, [markerViewsFrozen, measuredEdge, measurement]);
 
   return {
+    searchAreaOverlay,
+    measureOverlay,
+    radiusOverlay,
     propertyPolygons,
     plotPolygons,
     plotLabelMarkers,
@@ -340,6 +692,7 @@ const useMapOverlays = ({
     roadLabelMarkers,
     amenityPolygons,
     amenityLabelMarkers,
+    hiddenBadgeIds,
   };
 };
 
@@ -0,0 +1,109 @@
+import { useCallback, useMemo, useState } from "react";
+
+import {
+  closeRing,
+  computeDistanceMeters,
+  computePolygonApproxAreaSqM,
+  findNearestEdge,
+} from "../utils/mapGeometry";
+
+const MIN_SHAPE_POINTS = 3;
+
+// Measure mode is "points" (drop points to measure) or "edges" (tap an edge
+// of a plot or road to read its length).
+const useMeasureTool = ({ onMeasuringStarted } = {}) => {
+  const [measureMode, setMeasureMode] = useState(null);
+  const [measurePoints, setMeasurePoints] = useState([]);
+  const [shapeClosed, setShapeClosed] = useState(false);
+  const [selectedEdge, setSelectedEdge] = useState(null);
+
+  const startMeasuring = useCallback(
+    (mode = "points") => {
+      setMeasureMode(mode);
+      setMeasurePoints([]);
+      setShapeClosed(false);
+      setSelectedEdge(null);
+      onMeasuringStarted?.();
+    },
+    [onMeasuringStarted]
+  );
+
+  const changeMeasureMode = useCallback((mode) => {
+    setMeasureMode(mode);
+    setSelectedEdge(null);
+  }, []);
+
+  const addMeasurePoint = useCallback((coordinate) => {
+    if (!coordinate) return;
+    setMeasurePoints((prev) => [...prev, coordinate]);
+  }, []);
+
+  // Undo reopens a closed shape before it starts removing points.
+  const undoMeasurePoint = useCallback(() => {
+    if (shapeClosed) {
+      setShapeClosed(false);
+      return;
+    }
+    setMeasurePoints((prev) => prev.slice(0, -1));
+  }, [shapeClosed]);
+
+  const toggleShapeClosed = useCallback(() => {
+    setShapeClosed((prev) => !prev);
+  }, []);
+
+  // `features` are `{ paths, label, areaSqM }` with rings already closed.
+  const selectEdgeAt = useCallback((coordinate, features, toleranceMeters) => {
+    let nearest = null;
+    features.forEach((feature) => {
+      const edge = findNearestEdge(coordinate, feature.paths, toleranceMeters);
+      if (edge && (!nearest || edge.distanceMeters < nearest.distanceMeters)) {
+        nearest = { ...edge, label: feature.label, areaSqM: feature.areaSqM };
+      }
+    });
+    setSelectedEdge(nearest);
+  }, []);
+
+  const stopMeasuring = useCallback(() => {
+    setMeasureMode(null);
+    setMeasurePoints([]);
+    setShapeClosed(false);
+    setSelectedEdge(null);
+  }, []);
+
+  const measurement = useMemo(() => {
+    const closed = shapeClosed && measurePoints.length >= MIN_SHAPE_POINTS;
+    const path = closed ? closeRing(measurePoints) : measurePoints;
+    const segments = [];
+    for (let i = 1; i < path.length; i += 1) {
+      segments.push({
+        start: path[i - 1],
+        end: path[i],
+        lengthMeters: computeDistanceMeters(path[i - 1], path[i]) ?? 0,
+      });
+    }
+    return {
+      path,
+      closed,
+      segments,
+      totalMeters: segments.reduce((sum, seg) => sum + seg.lengthMeters, 0),
+      areaSqM: closed ? computePolygonApproxAreaSqM([measurePoints]) : null,
+    };
+  }, [measurePoints, shapeClosed]);
+
+  return {
+    measureMode,
+    measurePoints,
+    measurement,
+    selectedEdge,
+    canCloseShape: measurePoints.length >= MIN_SHAPE_POINTS,
+    startMeasuring,
+    changeMeasureMode,
+    addMeasurePoint,
+    undoMeasurePoint,
+    toggleShapeClosed,
+    selectEdgeAt,
+    stopMeasuring,
+  };
+};
+
+export default useMeasureTool;
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+import { mapPropertyFeatures } from "./useViewportProperties";
+import { readResponseError } from "../utils/apiRequest";
+
+export function useMyProperties({
+  baseUrl,
+  authToken,
+  fetcher = null,
+  active = false,
+} = {}) {
+  const [properties, setProperties] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const normalizedBaseUrl = useMemo(() => {
+    if (!baseUrl) return "";
+    return baseUrl.endsWith("/") ? baseUrl.slice(0, -1) : baseUrl;
+  }, [baseUrl]);
+  const abortControllerRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  useEffect(
+    () => () => {
+      mountedRef.current = false;
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    },
+    []
+  );
+
+  const loadProperties = useCallback(async () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    if (!normalizedBaseUrl || !authToken) {
+      setLoading(false);
+      return;
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const url = `${normalizedBaseUrl}/mobile/properties/mine`;
+      const response = fetcher
+        ? await fetcher(url, { signal: controller.signal })
+        : await fetch(url, {
+            headers: { Authorization: `Bearer ${authToken}` },
+            signal: controller.signal,
+          });
+
+      if (!response.ok) {
+        throw new Error(
+          await readResponseError(response, "Failed to load your properties")
+        );
+      }
+
+      const payload = await response.json();
+      if (!mountedRef.current) {
+        return;
+      }
+      const list = Array.isArray(payload)
+        ? payload
+        : payload?.items ?? payload?.properties ?? [];
+      // Everything on this endpoint belongs to the caller, even when the
+      // payload omits the per-user ownership flag.
+      setProperties(
+        mapPropertyFeatures(list).properties.map((property) => ({
+          ...property,
+          isOwned: true,
+        }))
+      );
+    } catch (err) {
+      if (err?.name === "AbortError") {
+        return;
+      }
+      console.warn(
+        `My properties fetch failed: ${err?.message ?? "Unknown error"}`
+      );
+      setError(err?.message || "Unable to load your properties.");
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      if (mountedRef.current && !controller.signal.aborted) {
+        setLoading(false);
+      }
+    }
+  }, [authToken, fetcher, normalizedBaseUrl]);
+
+  useEffect(() => {
+    if (!authToken) {
+      setProperties([]);
+      setError(null);
+    }
+  }, [authToken]);
+
+  useEffect(() => {
+    if (active && authToken) {
+      loadProperties();
+    }
+  }, [active, authToken, loadProperties]);
+
+  return {
+    properties,
+    loading,
+    error,
+    refresh: loadProperties,
+  };
+}
@@ -1,6 +1,8 @@
 import { useEffect } from "react";
 import * as NavigationBar from "expo-navigation-bar";
 
+import { getThemeColors } from "../constants/theme";
+
 export default function useNavigationBarTheme({ isDark, colorScheme }) {
   useEffect(() => {
     const applyNavigationBarTheme = async () => {
@@ -14,7 +16,7 @@ export default function useNavigationBarTheme({ isDark, colorScheme }) {
         return;
       }
 
-      const backgroundColor = isDark ? "#1b1b1b" : "#f1f1f1";
+      const backgroundColor = getThemeColors(isDark).navigationBar;
       const buttonStyle = isDark ? "light" : "dark";
 
       await NavigationBar.setBackgroundColorAsync(backgroundColor).catch(
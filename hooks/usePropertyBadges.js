@@ -1,61 +1,158 @@
 import { useCallback, useEffect, useRef, useState } from "react";
+import { useWindowDimensions } from "react-native";
 
 import { getPropertyBadgeLabel } from "../constants/mapConfig";
+import { clusterBadges } from "../utils/badgeClustering";
+import {
+  computeBoundsFromRegion,
+  createRegionProjector,
+} from "../utils/mapRegion";
 
-export default function usePropertyBadges(mapRef, viewportProperties) {
+// Badges this far outside the map are still kept so they slide in smoothly.
+const BADGE_CULL_MARGIN_PX = 80;
+const IDENTITY_CALIBRATION = { scaleX: 1, offsetX: 0, scaleY: 1, offsetY: 0 };
+
+const solveAxis = (nativeA, nativeB, projectedA, projectedB) => {
+  const span = projectedB - projectedA;
+  const scale = Math.abs(span) > 1 ? (nativeB - nativeA) / span : 1;
+  if (!Number.isFinite(scale) || scale < 0.2 || scale > 5) {
+    return null;
+  }
+  return { scale, offset: nativeA - scale * projectedA };
+};
+
+export default function usePropertyBadges(
+  mapRef,
+  viewportProperties,
+  favoriteIds = null
+) {
+  const { width, height } = useWindowDimensions();
   const [propertyBadges, setPropertyBadges] = useState([]);
   const badgeAnimationFrameRef = useRef(null);
+  const regionRef = useRef(null);
+  // Maps the JS projection onto the points the native map reports, absorbing
+  // pixel density and the small error of treating the region as centred.
+  const calibrationRef = useRef(IDENTITY_CALIBRATION);
 
-  const updatePropertyBadges = useCallback(async () => {
-    const mapInstance = mapRef?.current;
-    if (!mapInstance || !viewportProperties?.length) {
-      setPropertyBadges([]);
-      return;
-    }
-
-    try {
-      const projections = await Promise.all(
-        viewportProperties.map(async (property) => {
-          if (!property?.coordinate) {
-            return null;
-          }
+  const updatePropertyBadges = useCallback(
+    (region) => {
+      if (region) {
+        regionRef.current = region;
+      }
+      const project = createRegionProjector(regionRef.current, {
+        width,
+        height,
+      });
+      if (!project || !viewportProperties?.length) {
+        setPropertyBadges([]);
+        return;
+      }
 
-          try {
-            const point = await mapInstance.pointForCoordinate(
-              property.coordinate
-            );
-            if (!point) {
-              return null;
-            }
+      const { scaleX, offsetX, scaleY, offsetY } = calibrationRef.current;
+      const badges = [];
+      viewportProperties.forEach((property) => {
+        const point = property?.coordinate
+          ? project(property.coordinate)
+          : null;
+        if (!point) {
+          return;
+        }
+        const x = point.x * scaleX + offsetX;
+        const y = point.y * scaleY + offsetY;
+        if (
+          x < -BADGE_CULL_MARGIN_PX ||
+          x > width + BADGE_CULL_MARGIN_PX ||
+          y < -BADGE_CULL_MARGIN_PX ||
+          y > height + BADGE_CULL_MARGIN_PX
+        ) {
+          return;
+        }
+        badges.push({
+          id: property.id,
+          x,
+          y,
+          label: getPropertyBadgeLabel(property),
+          isOwned: Boolean(property.isOwned),
+          isFavorite: Boolean(favoriteIds?.has(property.propertyId)),
+          price: property.price,
+          coordinate: property.coordinate,
+        });
+      });
 
-            return {
-              id: property.id,
-              x: point.x,
-              y: point.y,
-              label: getPropertyBadgeLabel(property),
-            };
-          } catch (projectionError) {
-            return null;
-          }
-        })
-      );
+      setPropertyBadges(clusterBadges(badges));
+    },
+    [favoriteIds, height, viewportProperties, width]
+  );
 
-      setPropertyBadges(projections.filter(Boolean));
-    } catch (error) {
-      console.warn("Failed to project price badges", error);
-    }
-  }, [mapRef, viewportProperties]);
+  // Asks the native map for two reference points once the camera settles and
+  // refits the calibration, so per-frame updates never cross the bridge.
+  const reanchorBadges = useCallback(
+    async (region) => {
+      if (region) {
+        regionRef.current = region;
+      }
+      const mapInstance = mapRef?.current;
+      const project = createRegionProjector(regionRef.current, {
+        width,
+        height,
+      });
+      if (mapInstance && project) {
+        const bounds = computeBoundsFromRegion(regionRef.current);
+        const southWest = { latitude: bounds.minLat, longitude: bounds.minLng };
+        const northEast = { latitude: bounds.maxLat, longitude: bounds.maxLng };
+        try {
+          const [nativeSouthWest, nativeNorthEast] = await Promise.all([
+            mapInstance.pointForCoordinate(southWest),
+            mapInstance.pointForCoordinate(northEast),
+          ]);
+          const projectedSouthWest = project(southWest);
+          const projectedNorthEast = project(northEast);
+          const axisX = solveAxis(
+            nativeSouthWest?.x,
+            nativeNorthEast?.x,
+            projectedSouthWest.x,
+            projectedNorthEast.x
+          );
+          const axisY = solveAxis(
+            nativeSouthWest?.y,
+            nativeNorthEast?.y,
+            projectedSouthWest.y,
+            projectedNorthEast.y
+          );
+          calibrationRef.current =
+            axisX && axisY
+              ? {
+                  scaleX: axisX.scale,
+                  offsetX: axisX.offset,
+                  scaleY: axisY.scale,
+                  offsetY: axisY.offset,
+                }
+              : IDENTITY_CALIBRATION;
+        } catch (error) {
+          console.warn("Failed to re-anchor price badges", error);
+        }
+      }
+      updatePropertyBadges();
+    },
+    [height, mapRef, updatePropertyBadges, width]
+  );
 
-  const scheduleBadgeUpdate = useCallback(() => {
-    if (badgeAnimationFrameRef.current) {
-      return;
-    }
+  const scheduleBadgeUpdate = useCallback(
+    (region) => {
+      if (region) {
+        regionRef.current = region;
+      }
+      if (badgeAnimationFrameRef.current) {
+        return;
+      }
 
-    badgeAnimationFrameRef.current = requestAnimationFrame(() => {
-      badgeAnimationFrameRef.current = null;
-      updatePropertyBadges();
-    });
-  }, [updatePropertyBadges]);
+      badgeAnimationFrameRef.current = requestAnimationFrame(() => {
+        badgeAnimationFrameRef.current = null;
+        updatePropertyBadges();
+      });
+    },
+    [updatePropertyBadges]
+  );
 
   useEffect(() => {
     updatePropertyBadges();
@@ -73,6 +170,7 @@ export default function usePropertyBadges(mapRef, viewportProperties) {
 
   return {
     propertyBadges,
+    reanchorBadges,
     scheduleBadgeUpdate,
     updatePropertyBadges,
   };
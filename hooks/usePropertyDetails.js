@@ -0,0 +1,164 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+export function usePropertyDetails({
+  baseUrl,
+  authToken,
+  fetcher = null,
+} = {}) {
+  const [selectedProperty, setSelectedProperty] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const normalizedBaseUrl = useMemo(() => {
+    if (!baseUrl) return "";
+    return baseUrl.endsWith("/") ? baseUrl.slice(0, -1) : baseUrl;
+  }, [baseUrl]);
+  const abortControllerRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  useEffect(
+    () => () => {
+      mountedRef.current = false;
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    },
+    []
+  );
+
+  const fetchDetails = useCallback(
+    async (propertyId) => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+      if (!normalizedBaseUrl || !propertyId) {
+        setLoading(false);
+        return;
+      }
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      setLoading(true);
+      setError(null);
+
+      try {
+        const url = `${normalizedBaseUrl}/mobile/properties/${encodeURIComponent(
+          propertyId
+        )}`;
+        const response = fetcher
+          ? await fetcher(url, { signal: controller.signal })
+          : await fetch(url, {
+              headers: {
+                ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+              },
+              signal: controller.signal,
+            });
+
+        if (!response.ok) {
+          const message = await response
+            .json()
+            .catch(() => ({ message: response.statusText }));
+          throw new Error(
+            typeof message === "string"
+              ? message
+              : message?.title ||
+                message?.message ||
+                "Failed to load property details"
+          );
+        }
+
+        const payload = await response.json();
+        if (!mountedRef.current) {
+          return;
+        }
+        setDetails(mapPropertyDetails(payload));
+      } catch (err) {
+        if (err?.name === "AbortError") {
+          return;
+        }
+        console.warn(
+          `Property details fetch failed for ${propertyId}: ${
+            err?.message ?? "Unknown error"
+          }`
+        );
+        setError(err?.message || "Unable to load property details.");
+      } finally {
+        if (abortControllerRef.current === controller) {
+          abortControllerRef.current = null;
+        }
+        if (mountedRef.current && !controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    },
+    [authToken, fetcher, normalizedBaseUrl]
+  );
+
+  const openProperty = useCallback(
+    (property) => {
+      if (!property?.id) {
+        return;
+      }
+      setSelectedProperty(property);
+      setDetails(null);
+      setError(null);
+      // Features without a server ID still open with what the map knows.
+      fetchDetails(property.propertyId);
+    },
+    [fetchDetails]
+  );
+
+  const closeProperty = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+    setSelectedProperty(null);
+    setDetails(null);
+    setError(null);
+    setLoading(false);
+  }, []);
+
+  return {
+    selectedProperty,
+    details,
+    loading,
+    error,
+    openProperty,
+    closeProperty,
+  };
+}
+
+function mapPropertyDetails(payload) {
+  const source = payload?.property || payload?.Property || payload || {};
+  const price = Number(source.price ?? source.Price);
+  return {
+    id: source.propertyId || source.featureId || source.id || null,
+    name: source.name || source.Name || null,
+    propertyType: source.propertyType || source.PropertyType || null,
+    price: Number.isFinite(price) ? price : null,
+    priceDisplay:
+      source.priceDisplay || source.displayPrice || source.PriceDisplay || null,
+    description: source.description || source.Description || null,
+    isOwned:
+      typeof source.isOwnedByCurrentUser === "boolean"
+        ? source.isOwnedByCurrentUser
+        : null,
+    images: normalizeImages(
+      source.images || source.Images || source.imageUrls || source.photos
+    ),
+  };
+}
+
+function normalizeImages(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list
+    .map((entry) => {
+      if (typeof entry === "string") {
+        return entry.trim() || null;
+      }
+      return entry?.url || entry?.Url || entry?.uri || null;
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,56 @@
+import { useCallback, useState } from "react";
+
+import { RADIUS_SEARCH_KM } from "../utils/propertyFilters";
+
+const useRadiusSearch = ({ onSearchStarted } = {}) => {
+  const [radiusCenter, setRadiusCenter] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(RADIUS_SEARCH_KM.initial);
+  // `radiusKm` follows the slider for the drawn circle; loading waits for
+  // the radius the slider was released at.
+  const [committedRadiusKm, setCommittedRadiusKm] = useState(
+    RADIUS_SEARCH_KM.initial
+  );
+  const [radiusListVisible, setRadiusListVisible] = useState(false);
+
+  const startRadiusSearch = useCallback(
+    (coordinate, label = null) => {
+      if (!coordinate) return;
+      setRadiusCenter({ coordinate, label });
+      onSearchStarted?.();
+    },
+    [onSearchStarted]
+  );
+
+  const commitRadius = useCallback((value) => {
+    setRadiusKm(value);
+    setCommittedRadiusKm(value);
+  }, []);
+
+  const clearRadiusSearch = useCallback(() => {
+    setRadiusCenter(null);
+    setRadiusListVisible(false);
+  }, []);
+
+  const showRadiusList = useCallback(() => {
+    setRadiusListVisible(true);
+  }, []);
+
+  const hideRadiusList = useCallback(() => {
+    setRadiusListVisible(false);
+  }, []);
+
+  return {
+    radiusCenter,
+    radiusKm,
+    setRadiusKm,
+    committedRadiusKm,
+    commitRadius,
+    radiusListVisible,
+    startRadiusSearch,
+    clearRadiusSearch,
+    showRadiusList,
+    hideRadiusList,
+  };
+};
+
+export default useRadiusSearch;
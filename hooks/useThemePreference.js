@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Appearance, useColorScheme } from "react-native";
+
+import { DEFAULT_THEME_PREFERENCE } from "../constants/theme";
+import {
+  loadThemePreference,
+  saveThemePreference,
+} from "../utils/themeStorage";
+
+// Resolves the light/dark/system setting against the OS appearance.
+const useThemePreference = () => {
+  const systemColorScheme = useColorScheme();
+  const [themePreference, setThemePreferenceState] = useState(
+    DEFAULT_THEME_PREFERENCE
+  );
+  const touchedRef = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadThemePreference()
+      .then((stored) => {
+        if (!cancelled && !touchedRef.current) {
+          setThemePreferenceState(stored);
+        }
+      })
+      .catch((error) => {
+        console.warn("Failed to load theme preference", error?.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Keeps native chrome (keyboards, switches, alerts) on the chosen scheme.
+  useEffect(() => {
+    Appearance.setColorScheme?.(
+      themePreference === "system" ? "unspecified" : themePreference
+    );
+  }, [themePreference]);
+
+  const setThemePreference = useCallback((preference) => {
+    touchedRef.current = true;
+    setThemePreferenceState(preference);
+    saveThemePreference(preference).catch((error) => {
+      console.warn("Failed to save theme preference", error?.message);
+    });
+  }, []);
+
+  const colorScheme =
+    themePreference === "system"
+      ? systemColorScheme === "dark"
+        ? "dark"
+        : "light"
+      : themePreference;
+
+  return {
+    themePreference,
+    setThemePreference,
+    colorScheme,
+    isDark: colorScheme === "dark",
+  };
+};
+
+export default useThemePreference;
@@ -4,15 +4,54 @@ import {
   computeBoundsFromRegion,
   createCoordinate,
 } from "../utils/mapRegion";
-import { computePolygonCentroid } from "../utils/mapGeometry";
+import {
+  computePolygonLabelPoint,
+  offsetCoordinate,
+} from "../utils/mapGeometry";
+import {
+  createFallbackFeatureId,
+  dedupeFeaturesById,
+  hashString,
+} from "../utils/featureIds";
+import { createLruCache } from "../utils/lruCache";
+import { parsePlotStatus } from "../utils/plotStatus";
+import { isUnauthorizedError } from "../utils/authToken";
+import {
+  buildFilterQueryParams,
+  createFilterSignature,
+  encodeSearchAreaParam,
+} from "../utils/propertyFilters";
+import {
+  computeTileRequestZoom,
+  computeTilesForBounds,
+  computeZoomBucket,
+} from "../utils/viewportTiles";
+import {
+  VIEWPORT_STORAGE_TTL_MS,
+  createViewportStorageScope,
+  loadViewportTiles,
+  pruneViewportTiles,
+  saveViewportTile,
+} from "../utils/viewportStorage";
 
 const DEFAULT_DEBOUNCE_MS = 450;
 const COORD_EPSILON = 0.00001;
+const TILE_CACHE_SIZE = 96;
+// Saves keep adding tiles during a long session; enforce the stored-tile cap
+// at most this often.
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
 
 export function useViewportProperties({
   baseUrl,
   authToken,
+  userId = null,
+  fetcher = null,
   debounceMs = DEFAULT_DEBOUNCE_MS,
+  offlineTtlMs = VIEWPORT_STORAGE_TTL_MS,
+  filters = null,
+  searchArea = null,
+  radiusSearch = null,
+  enabled = true,
 } = {}) {
   const [properties, setProperties] = useState([]);
   const [plots, setPlots] = useState([]);
@@ -20,14 +59,70 @@ export function useViewportProperties({
   const [amenities, setAmenities] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [offlineSince, setOfflineSince] = useState(null);
   const normalizedBaseUrl = useMemo(() => {
     if (!baseUrl) return "";
     return baseUrl.endsWith("/") ? baseUrl.slice(0, -1) : baseUrl;
   }, [baseUrl]);
+  const storageScope = createViewportStorageScope(normalizedBaseUrl, userId);
+  const searchAreaParam = useMemo(
+    () => encodeSearchAreaParam(searchArea),
+    [searchArea]
+  );
+  const filterParams = useMemo(() => {
+    const params = buildFilterQueryParams(filters);
+    return searchAreaParam ? { ...params, polygon: searchAreaParam } : params;
+  }, [filters, searchAreaParam]);
+  // The polygon itself is too long for a tile key, so only its hash is used.
+  const filterSignature = useMemo(
+    () =>
+      [
+        createFilterSignature(filters),
+        searchAreaParam ? `area=${hashString(searchAreaParam)}` : "",
+      ]
+        .filter(Boolean)
+        .join("&"),
+    [filters, searchAreaParam]
+  );
+  // Radius results are ranked from the loaded properties, so the circle's own
+  // tiles stay part of every request until the search is closed; otherwise
+  // panning away would shrink the list.
+  const radiusRegion = useMemo(() => {
+    if (!radiusSearch?.center || !(radiusSearch.radiusMeters > 0)) {
+      return null;
+    }
+    const { center, radiusMeters } = radiusSearch;
+    const corner = offsetCoordinate(center, radiusMeters, radiusMeters);
+    return {
+      latitude: center.latitude,
+      longitude: center.longitude,
+      latitudeDelta: 2 * (corner.latitude - center.latitude),
+      longitudeDelta: 2 * (corner.longitude - center.longitude),
+    };
+  }, [radiusSearch]);
+  const request = useMemo(
+    () =>
+      fetcher ??
+      ((url, options = {}) =>
+        fetch(url, {
+          ...options,
+          headers: {
+            ...(options.headers ?? {}),
+            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+          },
+        })),
+    [authToken, fetcher]
+  );
   const abortControllerRef = useRef(null);
   const debounceRef = useRef(null);
   const lastViewportRef = useRef(null);
+  const pendingReplayRef = useRef(false);
   const mountedRef = useRef(true);
+  const tileCacheRef = useRef(null);
+  const lastPruneAtRef = useRef(0);
+  if (!tileCacheRef.current) {
+    tileCacheRef.current = createLruCache(TILE_CACHE_SIZE);
+  }
 
   useEffect(
     () => () => {
@@ -42,27 +137,91 @@ export function useViewportProperties({
     []
   );
 
+  const pruneStoredTiles = useCallback(() => {
+    lastPruneAtRef.current = Date.now();
+    pruneViewportTiles({ ttlMs: offlineTtlMs }).catch((err) => {
+      console.warn("Failed to prune stored viewport tiles", err?.message);
+    });
+  }, [offlineTtlMs]);
+
+  useEffect(() => {
+    pruneStoredTiles();
+  }, [pruneStoredTiles]);
+
+  // Ownership flags in the payload depend on who is asking, so cached tiles
+  // are only valid for the user and server they were loaded with. Token
+  // refreshes keep the same user and therefore keep the cache.
+  useEffect(() => {
+    tileCacheRef.current.clear();
+  }, [normalizedBaseUrl, userId]);
+
+  const applyTiles = useCallback((tiles, storedTiles = null) => {
+    const entries = tiles
+      .map(
+        (tile) =>
+          tileCacheRef.current.get(tile.key) ??
+          storedTiles?.get(tile.key)?.features
+      )
+      .filter(Boolean);
+    const merged = mergeTileFeatures(entries);
+    setProperties((prev) =>
+      hasPropertyDiff(prev, merged.properties) ? merged.properties : prev
+    );
+    setPlots((prev) =>
+      hasFeatureDiff(prev, merged.plots) ? merged.plots : prev
+    );
+    setRoads((prev) =>
+      hasFeatureDiff(prev, merged.roads) ? merged.roads : prev
+    );
+    setAmenities((prev) =>
+      hasFeatureDiff(prev, merged.amenities) ? merged.amenities : prev
+    );
+  }, []);
+
   const fetchViewport = useCallback(
-    async (region) => {
+    async (region, { force = false } = {}) => {
       if (!normalizedBaseUrl || !region) {
         setError("Mobile API URL is not configured.");
         return;
       }
 
-      const bounds = computeBoundsFromRegion(region);
-      const zoom = computeApproximateZoom(region);
-      const query = new URLSearchParams({
-        minLat: bounds.minLat.toFixed(6),
-        maxLat: bounds.maxLat.toFixed(6),
-        minLng: bounds.minLng.toFixed(6),
-        maxLng: bounds.maxLng.toFixed(6),
-        zoom: zoom.toFixed(2),
-      });
-      const requestUrl = `${normalizedBaseUrl}/mobile/map/viewport?${query.toString()}`;
+      // Filtered responses are cached under their own keys so toggling a
+      // filter off again is served from the cache.
+      const tiles = [region, radiusRegion]
+        .filter(Boolean)
+        .flatMap((tileRegion) =>
+          computeTilesForBounds(
+            computeBoundsFromRegion(tileRegion),
+            computeZoomBucket(computeApproximateZoom(tileRegion))
+          )
+        )
+        .map((tile) =>
+          filterSignature
+            ? { ...tile, key: `${filterSignature}#${tile.key}` }
+            : tile
+        )
+        .filter(
+          (tile, index, all) =>
+            all.findIndex((other) => other.key === tile.key) === index
+        );
+      const tileCache = tileCacheRef.current;
+      const missingTiles = force
+        ? tiles
+        : tiles.filter((tile) => !tileCache.has(tile.key));
 
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
+        abortControllerRef.current = null;
       }
+
+      if (!missingTiles.length) {
+        applyTiles(tiles);
+        setLoading(false);
+        setOfflineSince(null);
+        setError(null);
+        return;
+      }
+
       const controller = new AbortController();
       abortControllerRef.current = controller;
 
@@ -70,67 +229,145 @@ export function useViewportProperties({
       setError(null);
 
       try {
-        const response = await fetch(requestUrl, {
-          headers: {
-            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
-          },
-          signal: controller.signal,
+        const results = await Promise.allSettled(
+          missingTiles.map((tile) =>
+            fetchViewportTile({
+              baseUrl: normalizedBaseUrl,
+              request,
+              tile,
+              filterParams,
+              signal: controller.signal,
+            })
+          )
+        );
+        // Keep whatever arrived even if this request was superseded; the next
+        // viewport will most likely need the same tiles.
+        const failedTileKeys = [];
+        const saves = [];
+        results.forEach((result, index) => {
+          const tileKey = missingTiles[index].key;
+          if (result.status === "fulfilled") {
+            tileCache.set(tileKey, result.value);
+            saves.push(
+              saveViewportTile(storageScope, tileKey, result.value).catch(
+                (err) => {
+                  console.warn("Failed to store viewport tile", err?.message);
+                }
+              )
+            );
+          } else if (result.reason?.name !== "AbortError") {
+            failedTileKeys.push(tileKey);
+          }
         });
+        if (
+          saves.length &&
+          Date.now() - lastPruneAtRef.current > PRUNE_INTERVAL_MS
+        ) {
+          lastPruneAtRef.current = Date.now();
+          Promise.all(saves).then(pruneStoredTiles);
+        }
+        if (!mountedRef.current || controller.signal.aborted) {
+          return;
+        }
 
-        if (!response.ok) {
-          const message = await response
-            .json()
-            .catch(() => ({ message: response.statusText }));
-          throw new Error(
-            typeof message === "string"
-              ? message
-              : message?.title || message?.message || "Failed to load map data"
-          );
+        // Stored tiles would hide an expired session, so surface it instead
+        // and reload this viewport once the user has signed in again.
+        const unauthorized = results.find(
+          (result) =>
+            result.status === "rejected" && isUnauthorizedError(result.reason)
+        );
+        if (unauthorized) {
+          pendingReplayRef.current = true;
+          applyTiles(tiles);
+          setOfflineSince(null);
+          setError(unauthorized.reason.message);
+          return;
         }
 
-        const payload = await response.json();
-        if (!mountedRef.current) {
+        if (!failedTileKeys.length) {
+          applyTiles(tiles);
+          setOfflineSince(null);
+          setError(null);
           return;
         }
 
-        const normalized = mapViewportPayload(payload);
-        setProperties((prev) =>
-          hasPropertyDiff(prev, normalized.properties)
-            ? normalized.properties
-            : prev
-        );
-        setPlots((prev) =>
-          hasFeatureDiff(prev, normalized.plots) ? normalized.plots : prev
-        );
-        setRoads((prev) =>
-          hasFeatureDiff(prev, normalized.roads) ? normalized.roads : prev
+        const failure = results.find((result) => result.status === "rejected");
+        const storedTiles = await loadViewportTiles(
+          storageScope,
+          failedTileKeys,
+          { ttlMs: offlineTtlMs }
+        ).catch(() => new Map());
+        if (!mountedRef.current || controller.signal.aborted) {
+          return;
+        }
+        applyTiles(tiles, storedTiles);
+        if (!storedTiles.size) {
+          throw failure.reason;
+        }
+        console.warn(
+          `Viewport fetch failed, using stored tiles: ${
+            failure.reason?.message ?? "Unknown error"
+          }`
         );
-        setAmenities((prev) =>
-          hasFeatureDiff(prev, normalized.amenities)
-            ? normalized.amenities
-            : prev
+        const oldestSavedAt = Math.min(
+          ...Array.from(storedTiles.values()).map((entry) => entry.savedAt)
         );
+        setOfflineSince(oldestSavedAt);
         setError(null);
       } catch (err) {
         if (err?.name === "AbortError") {
           return;
         }
         console.warn(
-          `Viewport fetch failed for ${requestUrl}: ${err?.message ?? "Unknown error"}`
+          `Viewport fetch failed for ${normalizedBaseUrl}/mobile/map/viewport: ${
+            err?.message ?? "Unknown error"
+          }`
         );
         setError(err?.message || "Unable to load properties for this view.");
       } finally {
         if (abortControllerRef.current === controller) {
           abortControllerRef.current = null;
         }
-        if (mountedRef.current) {
+        if (mountedRef.current && !controller.signal.aborted) {
           setLoading(false);
         }
       }
     },
-    [authToken, normalizedBaseUrl]
+    [
+      applyTiles,
+      filterParams,
+      filterSignature,
+      normalizedBaseUrl,
+      offlineTtlMs,
+      pruneStoredTiles,
+      radiusRegion,
+      request,
+      storageScope,
+    ]
   );
 
+  const appliedFilterSignatureRef = useRef(filterSignature);
+  useEffect(() => {
+    if (appliedFilterSignatureRef.current === filterSignature) {
+      return;
+    }
+    appliedFilterSignatureRef.current = filterSignature;
+    if (lastViewportRef.current) {
+      fetchViewport(lastViewportRef.current);
+    }
+  }, [fetchViewport, filterSignature]);
+
+  const appliedRadiusRegionRef = useRef(radiusRegion);
+  useEffect(() => {
+    if (appliedRadiusRegionRef.current === radiusRegion) {
+      return;
+    }
+    appliedRadiusRegionRef.current = radiusRegion;
+    if (radiusRegion && lastViewportRef.current) {
+      fetchViewport(lastViewportRef.current);
+    }
+  }, [fetchViewport, radiusRegion]);
+
   const regionHash = useCallback((region) => {
     if (!region) return "";
     return [
@@ -144,6 +381,10 @@ export function useViewportProperties({
   const requestViewport = useCallback(
     (region, { immediate = false } = {}) => {
       if (!region) return;
+      if (!enabled) {
+        lastViewportRef.current = region;
+        return;
+      }
       const currentHash = regionHash(region);
       const previousHash = regionHash(lastViewportRef.current);
       if (currentHash === previousHash && !immediate) {
@@ -167,13 +408,34 @@ export function useViewportProperties({
         fetchViewport(region);
       }, debounceMs);
     },
-    [debounceMs, fetchViewport, regionHash]
+    [debounceMs, enabled, fetchViewport, regionHash]
   );
 
-  const refetch = useCallback(() => {
+  // Requests made while disabled (e.g. before the stored session is restored)
+  // only remember the region. Reload it once enabled, and again whenever the
+  // signed-in user changes since the cached tiles were just dropped. A viewport
+  // rejected for an expired session waits for the next sign-in instead of
+  // reloading anonymously.
+  const sessionKey = enabled ? userId ?? "" : null;
+  const appliedSessionKeyRef = useRef(sessionKey);
+  useEffect(() => {
+    if (appliedSessionKeyRef.current === sessionKey) {
+      return;
+    }
+    appliedSessionKeyRef.current = sessionKey;
+    if (sessionKey === null || (!sessionKey && pendingReplayRef.current)) {
+      return;
+    }
+    pendingReplayRef.current = false;
     if (lastViewportRef.current) {
       fetchViewport(lastViewportRef.current);
     }
+  }, [fetchViewport, sessionKey]);
+
+  const refetch = useCallback(() => {
+    if (lastViewportRef.current) {
+      fetchViewport(lastViewportRef.current, { force: true });
+    }
   }, [fetchViewport]);
 
   return {
@@ -183,11 +445,73 @@ export function useViewportProperties({
     amenities,
     loading,
     error,
+    offlineSince,
     requestViewport,
     refetch,
   };
 }
 
+async function fetchViewportTile({
+  baseUrl,
+  request,
+  tile,
+  filterParams,
+  signal,
+}) {
+  const query = new URLSearchParams({
+    ...filterParams,
+    minLat: tile.bounds.minLat.toFixed(6),
+    maxLat: tile.bounds.maxLat.toFixed(6),
+    minLng: tile.bounds.minLng.toFixed(6),
+    maxLng: tile.bounds.maxLng.toFixed(6),
+    zoom: computeTileRequestZoom(tile.zoomBucket).toFixed(2),
+  });
+  const response = await request(
+    `${baseUrl}/mobile/map/viewport?${query.toString()}`,
+    { signal }
+  );
+
+  if (!response.ok) {
+    const message = await response
+      .json()
+      .catch(() => ({ message: response.statusText }));
+    throw new Error(
+      typeof message === "string"
+        ? message
+        : message?.title || message?.message || "Failed to load map data"
+    );
+  }
+
+  const payload = await response.json();
+  return mapViewportPayload(payload);
+}
+
+function mergeTileFeatures(entries) {
+  const properties = new Map();
+  const plots = new Map();
+  const roads = new Map();
+  const amenities = new Map();
+  const collect = (target, list) => {
+    list?.forEach((item) => {
+      if (!target.has(item.id)) {
+        target.set(item.id, item);
+      }
+    });
+  };
+  entries.forEach((entry) => {
+    collect(properties, entry.properties);
+    collect(plots, entry.plots);
+    collect(roads, entry.roads);
+    collect(amenities, entry.amenities);
+  });
+  return {
+    properties: Array.from(properties.values()),
+    plots: Array.from(plots.values()),
+    roads: Array.from(roads.values()),
+    amenities: Array.from(amenities.values()),
+  };
+}
+
 function mapViewportPayload(payload) {
   const { properties, missingCenterIds } = mapPropertyFeatures(
     payload?.properties || payload?.Properties || []
@@ -222,6 +546,13 @@ function hasPropertyDiff(current, next) {
     if (coordinatesDiffer(existing.coordinate, item.coordinate)) {
       return true;
     }
+    if (
+      existing.isOwned !== item.isOwned ||
+      existing.priceDisplay !== item.priceDisplay ||
+      existing.status !== item.status
+    ) {
+      return true;
+    }
   }
   return false;
 }
@@ -251,16 +582,17 @@ function hasFeatureDiff(current, next) {
   if (current.length !== next.length) {
     return true;
   }
-  const currentIds = new Set(current.map((item) => item.id));
+  const currentMap = new Map(current.map((item) => [item.id, item]));
   for (const item of next) {
-    if (!currentIds.has(item.id)) {
+    const existing = currentMap.get(item.id);
+    if (!existing || existing.status !== item.status) {
       return true;
     }
   }
   return false;
 }
 
-function mapPropertyFeatures(list) {
+export function mapPropertyFeatures(list) {
   if (!Array.isArray(list)) {
     return { properties: [], missingCenterIds: [] };
   }
@@ -268,58 +600,76 @@ function mapPropertyFeatures(list) {
   const properties = list
     .map((feature) => {
       const propertyType = feature.propertyType || "Property";
-      const normalizedType = propertyType.toLowerCase();
       let coordinate = extractCoordinate(
         feature?.centerGeoJson ||
           feature?.CenterGeoJson ||
           feature?.boundaryGeoJson ||
           feature?.BoundaryGeoJson
       );
-      const polygonPaths = extractPolygonPaths(
-        feature?.boundaryGeoJson || feature?.BoundaryGeoJson
-      );
-      if (
-        normalizedType.includes("plot") &&
-        Array.isArray(polygonPaths) &&
-        polygonPaths.length
-      ) {
-        const derived = computePolygonCentroid(polygonPaths);
+      const { paths: polygonPaths, holes: polygonHoles } =
+        extractPolygonGeometry(
+          feature?.boundaryGeoJson || feature?.BoundaryGeoJson
+        );
+      if (Array.isArray(polygonPaths) && polygonPaths.length) {
+        // Keeps the pin inside concave and L-shaped polygons.
+        const derived = computePolygonLabelPoint(polygonPaths, polygonHoles);
         if (derived) {
           coordinate = derived;
         }
       }
+      const propertyId = feature.propertyId || feature.featureId || null;
       const id =
-        feature.featureId ||
-        feature.propertyId ||
-        feature.name ||
-        Math.random().toString(36).slice(2);
+        propertyId ||
+        createFallbackFeatureId(
+          "property",
+          feature?.boundaryGeoJson ||
+            feature?.BoundaryGeoJson ||
+            feature?.centerGeoJson ||
+            feature?.CenterGeoJson,
+          propertyType
+        );
       if (!coordinate) {
         missingCenterIds.push(id);
         return null;
       }
       return {
         id,
+        propertyId,
         name: feature.name || "Untitled",
         propertyType,
         isOwned: Boolean(feature.isOwnedByCurrentUser),
+        status: feature?.status || feature?.Status || null,
+        price: readPositiveNumber(feature?.price ?? feature?.Price),
+        priceDisplay:
+          feature?.priceDisplay ||
+          feature?.displayPrice ||
+          feature?.PriceDisplay ||
+          null,
+        areaSqFt: readPositiveNumber(
+          feature?.areaSqFt ?? feature?.AreaSqFt ?? feature?.area
+        ),
         coordinate,
         polygonPaths,
+        polygonHoles,
       };
     })
     .filter(Boolean);
 
-  return { properties, missingCenterIds };
+  return {
+    properties: dedupeFeaturesById(properties),
+    missingCenterIds,
+  };
 }
 
 function mapPlotFeatures(list) {
   if (!Array.isArray(list)) {
     return [];
   }
-  return list
+  const plots = list
     .map((feature) => {
-      const paths = extractPolygonPaths(
-        feature?.boundaryGeoJson || feature?.BoundaryGeoJson
-      );
+      const boundaryGeoJson =
+        feature?.boundaryGeoJson || feature?.BoundaryGeoJson;
+      const { paths, holes } = extractPolygonGeometry(boundaryGeoJson);
       if (!paths.length) {
         return null;
       }
@@ -329,18 +679,33 @@ function mapPlotFeatures(list) {
       const center = extractCoordinate(
         feature?.centerGeoJson || feature?.CenterGeoJson
       );
+      const status = parsePlotStatus(
+        feature?.status ||
+          feature?.Status ||
+          feature?.plotStatus ||
+          feature?.PlotStatus
+      );
       return {
         id:
           feature.plotId ||
           feature.featureId ||
           feature.layoutId ||
-          Math.random().toString(36).slice(2),
+          createFallbackFeatureId("plot", boundaryGeoJson, plotNumber),
         plotNumber,
+        status,
         polygonPaths: paths,
+        polygonHoles: holes,
         center,
+        labelPoint: computePolygonLabelPoint(paths, holes) ?? center,
       };
     })
     .filter(Boolean);
+  return dedupeFeaturesById(plots);
+}
+
+function readPositiveNumber(value) {
+  const number = typeof value === "string" ? Number(value) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
 }
 
 function normalizePlotNumber(value) {
@@ -356,11 +721,10 @@ function mapRoadFeatures(list) {
   if (!Array.isArray(list)) {
     return [];
   }
-  return list
+  const roads = list
     .map((feature) => {
-      const paths = extractLinePaths(
-        feature?.roadGeoJson || feature?.RoadGeoJson
-      );
+      const roadGeoJson = feature?.roadGeoJson || feature?.RoadGeoJson;
+      const paths = extractLinePaths(roadGeoJson);
       if (!paths.length) {
         return null;
       }
@@ -377,25 +741,25 @@ function mapRoadFeatures(list) {
         id:
           feature.roadId ||
           feature.featureId ||
-          feature.name ||
-          Math.random().toString(36).slice(2),
+          createFallbackFeatureId("road", roadGeoJson, roadName),
         paths,
         name: roadName,
         metadata,
       };
     })
     .filter(Boolean);
+  return dedupeFeaturesById(roads);
 }
 
 function mapAmenityFeatures(list) {
   if (!Array.isArray(list)) {
     return [];
   }
-  return list
+  const amenities = list
     .map((feature) => {
-      const paths = extractPolygonPaths(
-        feature?.boundaryGeoJson || feature?.BoundaryGeoJson
-      );
+      const boundaryGeoJson =
+        feature?.boundaryGeoJson || feature?.BoundaryGeoJson;
+      const { paths, holes } = extractPolygonGeometry(boundaryGeoJson);
       if (!paths.length) {
         return null;
       }
@@ -413,13 +777,16 @@ function mapAmenityFeatures(list) {
           feature.amenityId ||
           feature.featureId ||
           feature.layoutId ||
-          Math.random().toString(36).slice(2),
+          createFallbackFeatureId("amenity", boundaryGeoJson, friendlyName),
         name: friendlyName,
         polygonPaths: paths,
+        polygonHoles: holes,
+        labelPoint: computePolygonLabelPoint(paths, holes),
         metadata,
       };
     })
     .filter(Boolean);
+  return dedupeFeaturesById(amenities);
 }
 
 function extractCoordinate(geoJsonText) {
@@ -478,16 +845,21 @@ function readCoordinateFromGeoJson(node) {
   return null;
 }
 
-function extractPolygonPaths(geoJsonText) {
-  if (!geoJsonText) return [];
+// `paths` holds the outer ring of every polygon; `holes[i]` holds the inner
+// rings cut out of `paths[i]`, matching the `holes` prop of react-native-maps.
+function extractPolygonGeometry(geoJsonText) {
+  if (!geoJsonText) return { paths: [], holes: [] };
   try {
     const geoJson =
       typeof geoJsonText === "string" ? JSON.parse(geoJsonText) : geoJsonText;
-    const paths = readPolygonPathsFromGeoJson(geoJson);
-    return paths ?? [];
+    const polygons = readPolygonPathsFromGeoJson(geoJson) ?? [];
+    return {
+      paths: polygons.map((polygon) => polygon.outer),
+      holes: polygons.map((polygon) => polygon.holes),
+    };
   } catch (error) {
     console.warn("Failed to parse polygon geojson", error);
-    return [];
+    return { paths: [], holes: [] };
   }
 }
 
@@ -516,37 +888,41 @@ function readPolygonPathsFromGeoJson(node) {
       .filter(Boolean);
   }
   if (node.type === "Polygon" && Array.isArray(node.coordinates)) {
-    const outerRing = node.coordinates[0];
-    if (!Array.isArray(outerRing)) {
-      return null;
-    }
-    const coordinates = outerRing
-      .map((pair) =>
-        Array.isArray(pair) ? createCoordinate(pair[1], pair[0]) : null
-      )
-      .filter(Boolean);
-    return coordinates.length > 2 ? [coordinates] : null;
+    const polygon = readPolygonRings(node.coordinates);
+    return polygon ? [polygon] : null;
   }
   if (node.type === "MultiPolygon" && Array.isArray(node.coordinates)) {
-    const polygons = [];
-    node.coordinates.forEach((polygon) => {
-      if (Array.isArray(polygon) && polygon[0]) {
-        const ring = polygon[0];
-        const coordinates = ring
-          .map((pair) =>
-            Array.isArray(pair) ? createCoordinate(pair[1], pair[0]) : null
-          )
-          .filter(Boolean);
-        if (coordinates.length > 2) {
-          polygons.push(coordinates);
-        }
-      }
-    });
+    const polygons = node.coordinates
+      .map((rings) => readPolygonRings(rings))
+      .filter(Boolean);
     return polygons.length ? polygons : null;
   }
   return null;
 }
 
+function readPolygonRings(rings) {
+  if (!Array.isArray(rings)) {
+    return null;
+  }
+  const [outer, ...inner] = rings.map(readPolygonRing);
+  if (!outer) {
+    return null;
+  }
+  return { outer, holes: inner.filter(Boolean) };
+}
+
+function readPolygonRing(ring) {
+  if (!Array.isArray(ring)) {
+    return null;
+  }
+  const coordinates = ring
+    .map((pair) =>
+      Array.isArray(pair) ? createCoordinate(pair[1], pair[0]) : null
+    )
+    .filter(Boolean);
+  return coordinates.length > 2 ? coordinates : null;
+}
+
 function readLinePathsFromGeoJson(node) {
   if (!node) return null;
   if (node.type === "Feature" && node.geometry) {
@@ -0,0 +1,53 @@
+export const REQUEST_TIMEOUT_MS = 15000;
+
+export const readResponseError = async (response, fallbackMessage) => {
+  const message = await response
+    .json()
+    .catch(() => ({ message: response.statusText }));
+  return typeof message === "string"
+    ? message
+    : message?.title || message?.message || fallbackMessage;
+};
+
+// Resolves to `{ data, error }` instead of throwing so form handlers can show
+// the message directly; `error` is already worded for the user.
+export async function postJsonWithTimeout(
+  url,
+  body,
+  { fallbackMessage = "Request failed", timeoutMs = REQUEST_TIMEOUT_MS } = {}
+) {
+  let timeoutId;
+  try {
+    const fetchPromise = fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error("timeout")), timeoutMs);
+    });
+    const response = await Promise.race([fetchPromise, timeoutPromise]);
+
+    if (!response.ok) {
+      return {
+        data: null,
+        error: await readResponseError(response, fallbackMessage),
+      };
+    }
+
+    const data = await response.json().catch(() => null);
+    return { data, error: null };
+  } catch (error) {
+    return {
+      data: null,
+      error:
+        error?.message === "timeout"
+          ? "Request timed out. Please check your connection and try again."
+          : "Unable to reach the server. Please try again.",
+    };
+  } finally {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
+  }
+}
@@ -0,0 +1,66 @@
+import * as SecureStore from "expo-secure-store";
+
+const AUTH_TOKEN_KEY = "rmap.authToken";
+const REFRESH_TOKEN_KEY = "rmap.refreshToken";
+const TOKEN_EXPIRY_KEY = "rmap.tokenExpiresAt";
+const USER_PROFILE_KEY = "rmap.userProfile";
+
+export async function saveAuthSession({
+  token,
+  refreshToken = null,
+  expiresAt = null,
+  profile,
+}) {
+  if (!token) {
+    return;
+  }
+  await SecureStore.setItemAsync(AUTH_TOKEN_KEY, token);
+  if (refreshToken) {
+    await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refreshToken);
+  } else {
+    await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+  }
+  if (Number.isFinite(expiresAt)) {
+    await SecureStore.setItemAsync(TOKEN_EXPIRY_KEY, String(expiresAt));
+  } else {
+    await SecureStore.deleteItemAsync(TOKEN_EXPIRY_KEY);
+  }
+  await SecureStore.setItemAsync(
+    USER_PROFILE_KEY,
+    JSON.stringify(profile ?? null)
+  );
+}
+
+export async function loadAuthSession() {
+  const token = await SecureStore.getItemAsync(AUTH_TOKEN_KEY);
+  if (!token) {
+    return null;
+  }
+  const [refreshToken, storedExpiry] = await Promise.all([
+    SecureStore.getItemAsync(REFRESH_TOKEN_KEY),
+    SecureStore.getItemAsync(TOKEN_EXPIRY_KEY),
+  ]);
+  let profile = null;
+  try {
+    const storedProfile = await SecureStore.getItemAsync(USER_PROFILE_KEY);
+    profile = storedProfile ? JSON.parse(storedProfile) : null;
+  } catch (error) {
+    console.warn("Failed to read stored user profile", error?.message);
+  }
+  const expiresAt = Number(storedExpiry);
+  return {
+    token,
+    refreshToken: refreshToken || null,
+    expiresAt: Number.isFinite(expiresAt) && expiresAt > 0 ? expiresAt : null,
+    profile,
+  };
+}
+
+export async function clearAuthSession() {
+  await Promise.all([
+    SecureStore.deleteItemAsync(AUTH_TOKEN_KEY),
+    SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY),
+    SecureStore.deleteItemAsync(TOKEN_EXPIRY_KEY),
+    SecureStore.deleteItemAsync(USER_PROFILE_KEY),
+  ]);
+}
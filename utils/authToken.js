@@ -0,0 +1,57 @@
+export const UNAUTHORIZED_ERROR_NAME = "UnauthorizedError";
+export const SESSION_EXPIRED_MESSAGE =
+  "Your session has expired. Please log in again.";
+
+export function createUnauthorizedError(message = SESSION_EXPIRED_MESSAGE) {
+  const error = new Error(message);
+  error.name = UNAUTHORIZED_ERROR_NAME;
+  return error;
+}
+
+export const isUnauthorizedError = (error) =>
+  error?.name === UNAUTHORIZED_ERROR_NAME;
+
+const decodeBase64Url = (segment) => {
+  if (typeof globalThis.atob !== "function") {
+    return null;
+  }
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(
+    base64.length + ((4 - (base64.length % 4)) % 4),
+    "="
+  );
+  return globalThis.atob(padded);
+};
+
+// Returns the JWT `exp` claim in epoch milliseconds, or null for opaque tokens.
+export function decodeTokenExpiry(token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+  const [, payloadSegment] = token.split(".");
+  if (!payloadSegment) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(decodeBase64Url(payloadSegment) ?? "null");
+    const exp = Number(payload?.exp);
+    return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function resolveTokenExpiry(data) {
+  const decoded = decodeTokenExpiry(data?.token);
+  if (decoded) {
+    return decoded;
+  }
+  const expiresAt = Date.parse(data?.expiresAt ?? "");
+  if (Number.isFinite(expiresAt)) {
+    return expiresAt;
+  }
+  const expiresIn = Number(data?.expiresIn);
+  return Number.isFinite(expiresIn) && expiresIn > 0
+    ? Date.now() + expiresIn * 1000
+    : null;
+}
@@ -0,0 +1,48 @@
+export const PASSWORD_RULES = [
+  {
+    key: "length",
+    label: "At least 8 characters",
+    test: (value) => value.length >= 8,
+  },
+  {
+    key: "case",
+    label: "Upper and lower case letters",
+    test: (value) => /[a-z]/.test(value) && /[A-Z]/.test(value),
+  },
+  {
+    key: "digit",
+    label: "At least one number",
+    test: (value) => /\d/.test(value),
+  },
+  {
+    key: "symbol",
+    label: "At least one symbol",
+    test: (value) => /[^A-Za-z0-9]/.test(value),
+  },
+];
+
+const STRENGTH_LABELS = ["Too weak", "Weak", "Fair", "Good", "Strong"];
+
+export const evaluatePasswordStrength = (password) => {
+  const value = password ?? "";
+  const results = PASSWORD_RULES.map((rule) => ({
+    key: rule.key,
+    label: rule.label,
+    passed: rule.test(value),
+  }));
+  const score = results.filter((result) => result.passed).length;
+  return {
+    rules: results,
+    score,
+    label: value ? STRENGTH_LABELS[score] : null,
+    isValid: score === PASSWORD_RULES.length,
+  };
+};
+
+export const normalizePhoneNumber = (value) => {
+  const compact = (value ?? "").replace(/[\s()-]/g, "");
+  return /^\+?\d{10,15}$/.test(compact) ? compact : null;
+};
+
+export const isValidEmail = (value) =>
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((value ?? "").trim());
@@ -0,0 +1,89 @@
+import { formatPriceInr } from "./measurementFormat";
+
+export const BADGE_CLUSTER_RADIUS_PX = 52;
+
+// Greedy grid clustering in screen space. Each badge joins the first cluster
+// whose seed lies within `radius` in its own or a neighbouring grid cell, so
+// the pass stays linear in the number of badges.
+export const clusterBadges = (
+  badges,
+  { radius = BADGE_CLUSTER_RADIUS_PX } = {}
+) => {
+  if (!Array.isArray(badges) || badges.length < 2) {
+    return badges ?? [];
+  }
+  const radiusSq = radius * radius;
+  const grid = new Map();
+  const groups = [];
+  const ordered = [...badges].sort((a, b) =>
+    String(a.id).localeCompare(String(b.id))
+  );
+
+  ordered.forEach((badge) => {
+    const cellX = Math.floor(badge.x / radius);
+    const cellY = Math.floor(badge.y / radius);
+    let target = null;
+    for (let dx = -1; dx <= 1 && !target; dx += 1) {
+      for (let dy = -1; dy <= 1 && !target; dy += 1) {
+        const candidates = grid.get(`${cellX + dx}:${cellY + dy}`);
+        target =
+          candidates?.find(
+            (group) =>
+              (group.seedX - badge.x) ** 2 + (group.seedY - badge.y) ** 2 <=
+              radiusSq
+          ) ?? null;
+      }
+    }
+    if (target) {
+      target.members.push(badge);
+      return;
+    }
+    const group = { seedX: badge.x, seedY: badge.y, members: [badge] };
+    groups.push(group);
+    const key = `${cellX}:${cellY}`;
+    grid.set(key, [...(grid.get(key) ?? []), group]);
+  });
+
+  return groups.map((group) =>
+    group.members.length === 1 ? group.members[0] : createCluster(group.members)
+  );
+};
+
+const createCluster = (members) => {
+  let sumX = 0;
+  let sumY = 0;
+  let minPrice = Infinity;
+  let maxPrice = -Infinity;
+  members.forEach((member) => {
+    sumX += member.x;
+    sumY += member.y;
+    if (Number.isFinite(member.price) && member.price > 0) {
+      minPrice = Math.min(minPrice, member.price);
+      maxPrice = Math.max(maxPrice, member.price);
+    }
+  });
+  return {
+    id: `cluster:${members[0].id}`,
+    isCluster: true,
+    x: sumX / members.length,
+    y: sumY / members.length,
+    count: members.length,
+    label: String(members.length),
+    priceRange: formatPriceRange(minPrice, maxPrice),
+    memberIds: members.map((member) => member.id),
+    coordinates: members.map((member) => member.coordinate).filter(Boolean),
+    isOwned: members.some((member) => member.isOwned),
+    isFavorite: members.some((member) => member.isFavorite),
+  };
+};
+
+const formatPriceRange = (minPrice, maxPrice) => {
+  if (!Number.isFinite(minPrice)) {
+    return null;
+  }
+  const low = formatPriceInr(minPrice);
+  if (maxPrice <= minPrice) {
+    return low;
+  }
+  return `${low} – ${formatPriceInr(maxPrice)}`;
+};
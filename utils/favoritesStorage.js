@@ -0,0 +1,30 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Stars made while signed out. Signed-in favorites live on the server and are
+// only kept in memory; these are merged into them at the next login.
+const GUEST_FAVORITES_KEY = "rmap:favorites:guest:v1";
+
+export async function loadGuestFavorites() {
+  const value = await AsyncStorage.getItem(GUEST_FAVORITES_KEY);
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((entry) => entry?.id) : [];
+  } catch (error) {
+    console.warn("Failed to read stored favorites", error?.message);
+    return [];
+  }
+}
+
+export async function saveGuestFavorites(favorites) {
+  await AsyncStorage.setItem(
+    GUEST_FAVORITES_KEY,
+    JSON.stringify(Array.isArray(favorites) ? favorites : [])
+  );
+}
+
+export async function clearGuestFavorites() {
+  await AsyncStorage.removeItem(GUEST_FAVORITES_KEY);
+}
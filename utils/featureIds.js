@@ -0,0 +1,87 @@
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// Two independent 32-bit hashes keep accidental collisions out of reach for
+// the few thousand features a viewport ever holds.
+export function hashString(value) {
+  const text = typeof value === "string" ? value : String(value ?? "");
+  let fnv = FNV_OFFSET_BASIS;
+  let djb = 5381;
+  for (let i = 0; i < text.length; i += 1) {
+    const code = text.charCodeAt(i);
+    fnv ^= code;
+    fnv = Math.imul(fnv, FNV_PRIME);
+    djb = (Math.imul(djb, 33) ^ code) | 0;
+  }
+  return (fnv >>> 0).toString(36) + (djb >>> 0).toString(36);
+}
+
+const serializeGeometry = (geometry) => {
+  if (geometry === null || geometry === undefined) {
+    return "";
+  }
+  if (typeof geometry === "string") {
+    return geometry;
+  }
+  try {
+    return JSON.stringify(geometry);
+  } catch (error) {
+    return "";
+  }
+};
+
+export function createFallbackFeatureId(type, geometry, name) {
+  const key = [type ?? "", serializeGeometry(geometry), name ?? ""].join("|");
+  return `${type ?? "feature"}-${hashString(key)}`;
+}
+
+const computeGeometrySignature = (feature) =>
+  hashString(
+    serializeGeometry(
+      feature?.polygonPaths ?? feature?.paths ?? feature?.coordinate ?? null
+    )
+  );
+
+const mergeMissingFields = (target, source) => {
+  const merged = { ...target };
+  Object.keys(source).forEach((key) => {
+    if (merged[key] === null || merged[key] === undefined) {
+      merged[key] = source[key];
+    }
+  });
+  return merged;
+};
+
+// Entries that share an ID and a geometry are the same feature reported twice
+// and get merged; entries that share only the ID are real collisions, so they
+// are kept apart under a geometry-derived suffix. The suffixed ID is only a
+// render key; server IDs travel in their own fields.
+export function dedupeFeaturesById(features) {
+  if (!Array.isArray(features)) {
+    return [];
+  }
+  const byId = new Map();
+  const signatures = new Map();
+  features.forEach((feature) => {
+    if (!feature) {
+      return;
+    }
+    const signature = computeGeometrySignature(feature);
+    const existing = byId.get(feature.id);
+    if (!existing) {
+      byId.set(feature.id, feature);
+      signatures.set(feature.id, signature);
+      return;
+    }
+    if (signatures.get(feature.id) === signature) {
+      byId.set(feature.id, mergeMissingFields(existing, feature));
+      return;
+    }
+    const disambiguatedId = `${feature.id}~${signature}`;
+    if (!byId.has(disambiguatedId)) {
+      byId.set(disambiguatedId, { ...feature, id: disambiguatedId });
+      signatures.set(disambiguatedId, signature);
+    }
+  });
+  return Array.from(byId.values());
+}
@@ -0,0 +1,154 @@
+import { projectToWorldPixels, unprojectWorldPixels } from "./mapRegion";
+
+export const LABEL_PRIORITY = {
+  amenity: 4,
+  road: 3,
+  plot: 2,
+  badge: 1,
+};
+
+const CHAR_WIDTH_RATIO = 0.6;
+const LINE_HEIGHT_RATIO = 1.3;
+const LABEL_GAP_PX = 2;
+const GRID_CELL_PX = 64;
+
+// Rough text extent; measuring every label through onLayout would need a
+// render pass before placement could run.
+export const estimateLabelSize = (
+  text,
+  fontSize,
+  { paddingX = 0, paddingY = 0, maxWidth = Infinity } = {}
+) => ({
+  width: Math.min(
+    String(text ?? "").length * fontSize * CHAR_WIDTH_RATIO + paddingX,
+    maxWidth
+  ),
+  height: fontSize * LINE_HEIGHT_RATIO + paddingY,
+});
+
+// Axis-aligned box of a `width` x `height` rectangle rotated by `angleDeg`.
+const rotatedExtent = (width, height, angleDeg) => {
+  if (!angleDeg) {
+    return { width, height };
+  }
+  const radians = (angleDeg * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  return {
+    width: width * cos + height * sin,
+    height: width * sin + height * cos,
+  };
+};
+
+const createBox = (center, width, height, anchorY) => ({
+  minX: center.x - width / 2 - LABEL_GAP_PX,
+  maxX: center.x + width / 2 + LABEL_GAP_PX,
+  minY: center.y - height * anchorY - LABEL_GAP_PX,
+  maxY: center.y + height * (1 - anchorY) + LABEL_GAP_PX,
+});
+
+const boxesOverlap = (a, b) =>
+  a.minX < b.maxX && a.maxX > b.minX && a.minY < b.maxY && a.maxY > b.minY;
+
+const createBoxIndex = () => {
+  const cells = new Map();
+  const cellKeys = (box) => {
+    const keys = [];
+    for (
+      let x = Math.floor(box.minX / GRID_CELL_PX);
+      x <= Math.floor(box.maxX / GRID_CELL_PX);
+      x += 1
+    ) {
+      for (
+        let y = Math.floor(box.minY / GRID_CELL_PX);
+        y <= Math.floor(box.maxY / GRID_CELL_PX);
+        y += 1
+      ) {
+        keys.push(`${x}:${y}`);
+      }
+    }
+    return keys;
+  };
+  return {
+    collides: (box) =>
+      cellKeys(box).some((key) =>
+        (cells.get(key) ?? []).some((placed) => boxesOverlap(placed, box))
+      ),
+    insert: (box) => {
+      cellKeys(box).forEach((key) => {
+        const bucket = cells.get(key);
+        if (bucket) {
+          bucket.push(box);
+        } else {
+          cells.set(key, [box]);
+        }
+      });
+    },
+  };
+};
+
+// Places labels greedily by priority (amenity > road > plot > badge). A label
+// that overlaps one already placed is moved to the first free nudge position
+// when `canShift` is set, otherwise hidden.
+//
+// Candidates: { id, kind, coordinate, width, height, angleDeg?, anchorY?,
+// canShift? }. Returns a Map of id -> { visible, coordinate, shifted }.
+export const placeLabels = (candidates, zoom) => {
+  const placements = new Map();
+  if (!Array.isArray(candidates) || !Number.isFinite(zoom)) {
+    return placements;
+  }
+  const index = createBoxIndex();
+  const ordered = candidates
+    .map((candidate, order) => ({ candidate, order }))
+    .sort(
+      (a, b) =>
+        (LABEL_PRIORITY[b.candidate.kind] ?? 0) -
+          (LABEL_PRIORITY[a.candidate.kind] ?? 0) || a.order - b.order
+    );
+
+  ordered.forEach(({ candidate }) => {
+    const center = projectToWorldPixels(candidate.coordinate, zoom);
+    if (!center) {
+      placements.set(candidate.id, { visible: false });
+      return;
+    }
+    const { width, height } = rotatedExtent(
+      candidate.width,
+      candidate.height,
+      candidate.angleDeg
+    );
+    const anchorY = candidate.anchorY ?? 0.5;
+    const stepX = width + LABEL_GAP_PX * 2;
+    const stepY = height + LABEL_GAP_PX * 2;
+    const offsets = candidate.canShift
+      ? [
+          [0, 0],
+          [0, -stepY],
+          [0, stepY],
+          [stepX, 0],
+          [-stepX, 0],
+        ]
+      : [[0, 0]];
+
+    for (const [dx, dy] of offsets) {
+      const shiftedCenter = { x: center.x + dx, y: center.y + dy };
+      const box = createBox(shiftedCenter, width, height, anchorY);
+      if (index.collides(box)) {
+        continue;
+      }
+      index.insert(box);
+      const shifted = dx !== 0 || dy !== 0;
+      placements.set(candidate.id, {
+        visible: true,
+        shifted,
+        coordinate: shifted
+          ? unprojectWorldPixels(shiftedCenter, zoom)
+          : candidate.coordinate,
+      });
+      return;
+    }
+    placements.set(candidate.id, { visible: false });
+  });
+  return placements;
+};
@@ -0,0 +1,54 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import {
+  DEFAULT_LAYER_VISIBILITY,
+  DEFAULT_MAP_TYPE,
+  LAYER_MODE_OPTIONS,
+  MAP_TYPE_OPTIONS,
+} from "../constants/mapLayers";
+
+const LAYER_VISIBILITY_KEY = "rmap:layers:v1";
+const MAP_TYPE_KEY = "rmap:map-type:v1";
+
+// Unknown keys are dropped and missing ones fall back to "auto", so adding a
+// layer later doesn't hide it for people with older saved preferences.
+export async function loadLayerVisibility() {
+  const value = await AsyncStorage.getItem(LAYER_VISIBILITY_KEY);
+  if (!value) {
+    return DEFAULT_LAYER_VISIBILITY;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Object.keys(DEFAULT_LAYER_VISIBILITY).reduce(
+      (acc, key) => ({
+        ...acc,
+        [key]: readLayerMode(parsed?.[key]),
+      }),
+      {}
+    );
+  } catch (error) {
+    console.warn("Failed to read stored layer visibility", error?.message);
+    return DEFAULT_LAYER_VISIBILITY;
+  }
+}
+
+function readLayerMode(value) {
+  return LAYER_MODE_OPTIONS.some((option) => option.key === value)
+    ? value
+    : "auto";
+}
+
+export async function saveLayerVisibility(layers) {
+  await AsyncStorage.setItem(LAYER_VISIBILITY_KEY, JSON.stringify(layers));
+}
+
+export async function loadMapTypePreference() {
+  const value = await AsyncStorage.getItem(MAP_TYPE_KEY);
+  return MAP_TYPE_OPTIONS.some((option) => option.key === value)
+    ? value
+    : DEFAULT_MAP_TYPE;
+}
+
+export async function saveMapTypePreference(mapType) {
+  await AsyncStorage.setItem(MAP_TYPE_KEY, mapType);
+}
@@ -0,0 +1,44 @@
+const DEFAULT_MAX_ENTRIES = 64;
+
+export function createLruCache(maxEntries = DEFAULT_MAX_ENTRIES) {
+  const entries = new Map();
+  const limit = Math.max(1, Math.floor(maxEntries) || DEFAULT_MAX_ENTRIES);
+
+  const has = (key) => entries.has(key);
+
+  const get = (key) => {
+    if (!entries.has(key)) {
+      return undefined;
+    }
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    return value;
+  };
+
+  const set = (key, value) => {
+    if (entries.has(key)) {
+      entries.delete(key);
+    }
+    entries.set(key, value);
+    while (entries.size > limit) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+    }
+  };
+
+  const remove = (key) => entries.delete(key);
+
+  const clear = () => entries.clear();
+
+  return {
+    has,
+    get,
+    set,
+    delete: remove,
+    clear,
+    get size() {
+      return entries.size;
+    },
+  };
+}
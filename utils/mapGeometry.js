@@ -43,56 +43,319 @@ const computePolygonBounds = (paths) => {
   };
 };
 
-export const computePolygonCentroid = (paths) => {
+// Pole search stops once it is within this fraction of the ring's larger
+// bounding-box side, so a layout and a small plot cost about the same.
+const POLE_PRECISION_RATIO = 0.01;
+
+// Flat metres around `origin`; accurate enough at plot and layout scale.
+const createLocalProjection = (origin) => {
+  const scale = DEG_TO_RAD * EARTH_RADIUS_M;
+  const cosLat = Math.cos(origin.latitude * DEG_TO_RAD);
+  return {
+    toPoint: (coordinate) => ({
+      x: (Number(coordinate.longitude) - origin.longitude) * cosLat * scale,
+      y: (Number(coordinate.latitude) - origin.latitude) * scale,
+    }),
+    toCoordinate: (point) => ({
+      latitude: origin.latitude + point.y / scale,
+      longitude: origin.longitude + point.x / (cosLat * scale),
+    }),
+  };
+};
+
+const projectRing = (ring, projection) =>
+  Array.isArray(ring)
+    ? ring
+        .filter(
+          (point) =>
+            Number.isFinite(Number(point?.latitude)) &&
+            Number.isFinite(Number(point?.longitude))
+        )
+        .map(projection.toPoint)
+    : [];
+
+const getRingHoles = (holes, index) =>
+  Array.isArray(holes) && Array.isArray(holes[index]) ? holes[index] : [];
+
+// Area-weighted centroid; holes pull it away from the gaps they cut. Falls
+// back to the bounding-box centre for degenerate (zero-area) input.
+export const computePolygonCentroid = (paths, holes = null) => {
   const bounds = computePolygonBounds(paths);
   if (!bounds) {
     return null;
   }
-  return {
+  const boundsCenter = {
     latitude: (bounds.minLat + bounds.maxLat) / 2,
     longitude: (bounds.minLng + bounds.maxLng) / 2,
   };
+  const projection = createLocalProjection(boundsCenter);
+  let totalArea = 0;
+  let sumX = 0;
+  let sumY = 0;
+  const addRing = (ring, sign) => {
+    const points = projectRing(ring, projection);
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < points.length; i += 1) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const cross = a.x * b.y - b.x * a.y;
+      area += cross;
+      cx += (a.x + b.x) * cross;
+      cy += (a.y + b.y) * cross;
+    }
+    if (!area) {
+      return;
+    }
+    // `cx / (3 * area)` is the ring centroid; weight it by |area / 2|.
+    const weight = (sign * Math.abs(area)) / 2;
+    totalArea += weight;
+    sumX += (weight * cx) / (3 * area);
+    sumY += (weight * cy) / (3 * area);
+  };
+  paths.forEach((ring, index) => {
+    addRing(ring, 1);
+    getRingHoles(holes, index).forEach((hole) => addRing(hole, -1));
+  });
+  if (!(totalArea > 0)) {
+    return boundsCenter;
+  }
+  return projection.toCoordinate({ x: sumX / totalArea, y: sumY / totalArea });
+};
+
+const segmentDistanceSq = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq > 0
+      ? Math.max(
+          0,
+          Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq)
+        )
+      : 0;
+  const x = a.x + t * dx - point.x;
+  const y = a.y + t * dy - point.y;
+  return x * x + y * y;
 };
 
-export const computePolygonApproxAreaSqM = (paths) => {
+// Distance to the nearest edge, negative outside the rings (even-odd).
+const computeSignedRingDistance = (point, rings) => {
+  let inside = false;
+  let minDistanceSq = Number.POSITIVE_INFINITY;
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const a = ring[i];
+      const b = ring[j];
+      if (
+        a.y > point.y !== b.y > point.y &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+      minDistanceSq = Math.min(minDistanceSq, segmentDistanceSq(point, a, b));
+    }
+  });
+  return (inside ? 1 : -1) * Math.sqrt(minDistanceSq);
+};
+
+const createPoleCell = (x, y, half, rings) => {
+  const distance = computeSignedRingDistance({ x, y }, rings);
+  return { x, y, half, distance, max: distance + half * Math.SQRT2 };
+};
+
+// Binary max-heap of pole cells ordered by `max`, the best distance any point
+// inside the cell could reach.
+const createPoleCellQueue = () => {
+  const items = [];
+  const swap = (i, j) => {
+    const item = items[i];
+    items[i] = items[j];
+    items[j] = item;
+  };
+  return {
+    get size() {
+      return items.length;
+    },
+    push(cell) {
+      items.push(cell);
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (items[parent].max >= items[index].max) {
+          break;
+        }
+        swap(parent, index);
+        index = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let largest = index;
+          if (left < items.length && items[left].max > items[largest].max) {
+            largest = left;
+          }
+          if (right < items.length && items[right].max > items[largest].max) {
+            largest = right;
+          }
+          if (largest === index) {
+            break;
+          }
+          swap(index, largest);
+          index = largest;
+        }
+      }
+      return top;
+    },
+  };
+};
+
+// Pole of inaccessibility ("polylabel"): the interior point farthest from
+// every edge of the largest ring, so labels stay inside L-shaped and concave
+// polygons where the centroid can fall outside. `precisionMeters` defaults to
+// a fraction of the ring's size.
+export const computePolygonLabelPoint = (
+  paths,
+  holes = null,
+  precisionMeters = null
+) => {
+  if (!Array.isArray(paths) || !paths.length) {
+    return null;
+  }
+  let outerIndex = -1;
+  let outerArea = 0;
+  paths.forEach((ring, index) => {
+    const area = computeRingAreaSqM(ring) ?? 0;
+    if (area > outerArea) {
+      outerArea = area;
+      outerIndex = index;
+    }
+  });
+  if (outerIndex < 0) {
+    return computePolygonCentroid(paths);
+  }
+  const outer = paths[outerIndex];
+  const ringHoles = getRingHoles(holes, outerIndex);
+  const centroid = computePolygonCentroid([outer], [ringHoles]);
+  const projection = createLocalProjection(centroid);
+  const rings = [outer, ...ringHoles]
+    .map((ring) => projectRing(ring, projection))
+    .filter((ring) => ring.length >= 3);
+
+  const xs = rings[0].map((point) => point.x);
+  const ys = rings[0].map((point) => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const cellSize = Math.min(width, height);
+  if (!(cellSize > 0)) {
+    return centroid;
+  }
+  const precision =
+    precisionMeters ?? Math.max(width, height) * POLE_PRECISION_RATIO;
+
+  const queue = createPoleCellQueue();
+  const half = cellSize / 2;
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) {
+      queue.push(createPoleCell(x + half, y + half, half, rings));
+    }
+  }
+  let best = createPoleCell(0, 0, 0, rings);
+  const boxCell = createPoleCell(minX + width / 2, minY + height / 2, 0, rings);
+  if (boxCell.distance > best.distance) {
+    best = boxCell;
+  }
+
+  while (queue.size) {
+    const cell = queue.pop();
+    if (cell.distance > best.distance) {
+      best = cell;
+    }
+    // No point in this cell can beat the current best by more than the
+    // precision, so stop splitting it.
+    if (cell.max - best.distance <= precision) {
+      continue;
+    }
+    const quarter = cell.half / 2;
+    queue.push(
+      createPoleCell(cell.x - quarter, cell.y - quarter, quarter, rings),
+      createPoleCell(cell.x + quarter, cell.y - quarter, quarter, rings),
+      createPoleCell(cell.x - quarter, cell.y + quarter, quarter, rings),
+      createPoleCell(cell.x + quarter, cell.y + quarter, quarter, rings)
+    );
+  }
+  return projection.toCoordinate(best);
+};
+
+const computeRingAreaSqM = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 3) {
+    return null;
+  }
+  const refLatRad = Number(ring[0]?.latitude ?? 0) * DEG_TO_RAD;
+  let area = 0;
+  let hasSegment = false;
+  for (let i = 0; i < ring.length; i += 1) {
+    const current = ring[i];
+    const next = ring[(i + 1) % ring.length];
+    const lat1 = Number(current?.latitude);
+    const lng1 = Number(current?.longitude);
+    const lat2 = Number(next?.latitude);
+    const lng2 = Number(next?.longitude);
+    if (
+      !Number.isFinite(lat1) ||
+      !Number.isFinite(lng1) ||
+      !Number.isFinite(lat2) ||
+      !Number.isFinite(lng2)
+    ) {
+      continue;
+    }
+    hasSegment = true;
+    const x1 = lng1 * DEG_TO_RAD * Math.cos(refLatRad) * EARTH_RADIUS_M;
+    const y1 = lat1 * DEG_TO_RAD * EARTH_RADIUS_M;
+    const x2 = lng2 * DEG_TO_RAD * Math.cos(refLatRad) * EARTH_RADIUS_M;
+    const y2 = lat2 * DEG_TO_RAD * EARTH_RADIUS_M;
+    area += x1 * y2 - x2 * y1;
+  }
+  return hasSegment ? Math.abs(area) * 0.5 : null;
+};
+
+// `holes[i]` lists the inner rings of `paths[i]`; their area is subtracted.
+export const computePolygonApproxAreaSqM = (paths, holes = null) => {
   if (!Array.isArray(paths) || !paths.length) {
     return null;
   }
   let area = 0;
   let hasRing = false;
-  paths.forEach((ring) => {
-    if (!Array.isArray(ring) || ring.length < 3) {
+  paths.forEach((ring, index) => {
+    const outerArea = computeRingAreaSqM(ring);
+    if (outerArea === null) {
       return;
     }
-    const refLatRad = Number(ring[0]?.latitude ?? 0) * DEG_TO_RAD;
-    for (let i = 0; i < ring.length; i += 1) {
-      const current = ring[i];
-      const next = ring[(i + 1) % ring.length];
-      const lat1 = Number(current?.latitude);
-      const lng1 = Number(current?.longitude);
-      const lat2 = Number(next?.latitude);
-      const lng2 = Number(next?.longitude);
-      if (
-        !Number.isFinite(lat1) ||
-        !Number.isFinite(lng1) ||
-        !Number.isFinite(lat2) ||
-        !Number.isFinite(lng2)
-      ) {
-        continue;
-      }
-      hasRing = true;
-      const x1 = lng1 * DEG_TO_RAD * Math.cos(refLatRad) * EARTH_RADIUS_M;
-      const y1 = lat1 * DEG_TO_RAD * EARTH_RADIUS_M;
-      const x2 = lng2 * DEG_TO_RAD * Math.cos(refLatRad) * EARTH_RADIUS_M;
-      const y2 = lat2 * DEG_TO_RAD * EARTH_RADIUS_M;
-      area += x1 * y2 - x2 * y1;
+    hasRing = true;
+    let holeArea = 0;
+    const ringHoles = Array.isArray(holes) ? holes[index] : null;
+    if (Array.isArray(ringHoles)) {
+      ringHoles.forEach((hole) => {
+        holeArea += computeRingAreaSqM(hole) ?? 0;
+      });
     }
+    area += Math.max(outerArea - holeArea, 0);
   });
-  return hasRing ? Math.abs(area) * 0.5 : null;
+  return hasRing ? area : null;
 };
 
-export const computeAmenityLabelFontSize = (paths) => {
-  const area = computePolygonApproxAreaSqM(paths);
+export const computeAmenityLabelFontSize = (paths, holes = null) => {
+  const area = computePolygonApproxAreaSqM(paths, holes);
   if (!Number.isFinite(area) || area <= 0) {
     return AMENITY_LABEL_MIN_PX;
   }
@@ -104,96 +367,193 @@ export const computeAmenityLabelFontSize = (paths) => {
   return Math.round(size);
 };
 
-const computePolylineCentroid = (paths) => {
-  if (!Array.isArray(paths) || !paths.length) {
-    return null;
-  }
-  let latSum = 0;
-  let lngSum = 0;
-  let count = 0;
-  paths.forEach((path) => {
-    if (!Array.isArray(path)) {
-      return;
-    }
-    path.forEach((point) => {
-      const lat = Number(point?.latitude);
-      const lng = Number(point?.longitude);
-      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-        return;
+const ROAD_MIDLINE_SAMPLES = 16;
+const PATH_JOIN_EPSILON = 0.00002;
+
+const toFinitePath = (path) =>
+  Array.isArray(path)
+    ? path
+        .map((point) => ({
+          latitude: Number(point?.latitude),
+          longitude: Number(point?.longitude),
+        }))
+        .filter(
+          (point) =>
+            Number.isFinite(point.latitude) && Number.isFinite(point.longitude)
+        )
+    : [];
+
+const isSamePoint = (a, b) =>
+  Math.abs(a.latitude - b.latitude) <= PATH_JOIN_EPSILON &&
+  Math.abs(a.longitude - b.longitude) <= PATH_JOIN_EPSILON;
+
+// Joins parts that share an endpoint, so a road sent as several LineStrings
+// is labelled as one continuous path.
+const chainPaths = (paths) => {
+  const remaining = paths.filter((path) => path.length > 1);
+  const chains = [];
+  while (remaining.length) {
+    let chain = remaining.shift();
+    let extended = true;
+    while (extended) {
+      extended = false;
+      for (let i = 0; i < remaining.length; i += 1) {
+        const part = remaining[i];
+        const head = chain[0];
+        const tail = chain[chain.length - 1];
+        const first = part[0];
+        const last = part[part.length - 1];
+        let joined = null;
+        if (isSamePoint(tail, first)) {
+          joined = [...chain, ...part.slice(1)];
+        } else if (isSamePoint(tail, last)) {
+          joined = [...chain, ...part.slice(0, -1).reverse()];
+        } else if (isSamePoint(head, last)) {
+          joined = [...part, ...chain.slice(1)];
+        } else if (isSamePoint(head, first)) {
+          joined = [...part.slice(1).reverse(), ...chain];
+        }
+        if (joined) {
+          chain = joined;
+          remaining.splice(i, 1);
+          extended = true;
+          break;
+        }
       }
-      latSum += lat;
-      lngSum += lng;
-      count += 1;
-    });
-  });
-  if (!count) {
-    return null;
+    }
+    chains.push(chain);
+  }
+  return chains;
+};
+
+const measurePath = (path) => {
+  const cumulative = [0];
+  for (let i = 1; i < path.length; i += 1) {
+    cumulative.push(
+      cumulative[i - 1] + (computeDistanceMeters(path[i - 1], path[i]) ?? 0)
+    );
+  }
+  return cumulative;
+};
+
+const interpolateAlongPath = (path, cumulative, distance) => {
+  const total = cumulative[cumulative.length - 1];
+  const target = Math.max(0, Math.min(distance, total));
+  let index = 1;
+  while (index < cumulative.length - 1 && cumulative[index] < target) {
+    index += 1;
   }
+  const span = cumulative[index] - cumulative[index - 1];
+  const t = span > 0 ? (target - cumulative[index - 1]) / span : 0;
+  const a = path[index - 1];
+  const b = path[index];
   return {
-    latitude: latSum / count,
-    longitude: lngSum / count,
+    latitude: a.latitude + (b.latitude - a.latitude) * t,
+    longitude: a.longitude + (b.longitude - a.longitude) * t,
   };
 };
 
-export const computeRoadLabelPlacement = (paths) => {
-  if (!Array.isArray(paths) || !paths.length) {
+// A closed road is the outline of both edges; split it at its two farthest
+// vertices and average the two sides into a centreline.
+const computeRingMidline = (ring) => {
+  const points = isClosedPath(ring) ? ring.slice(0, -1) : ring;
+  if (points.length < 3) {
     return null;
   }
-  let bestSegment = null;
-  paths.forEach((path) => {
-    if (!Array.isArray(path)) {
-      return;
-    }
-    for (let i = 0; i < path.length - 1; i += 1) {
-      const start = path[i];
-      const end = path[i + 1];
-      const startLat = Number(start?.latitude);
-      const startLng = Number(start?.longitude);
-      const endLat = Number(end?.latitude);
-      const endLng = Number(end?.longitude);
-      if (
-        !Number.isFinite(startLat) ||
-        !Number.isFinite(startLng) ||
-        !Number.isFinite(endLat) ||
-        !Number.isFinite(endLng)
-      ) {
-        continue;
-      }
-      const avgLatRad = ((startLat + endLat) / 2) * DEG_TO_RAD;
-      const dx = (endLng - startLng) * Math.cos(avgLatRad);
-      const dy = endLat - startLat;
-      const score = Math.hypot(dx, dy);
-      if (!bestSegment || score > bestSegment.score) {
-        bestSegment = {
-          startLat,
-          startLng,
-          endLat,
-          endLng,
-          score,
-        };
+  let start = 0;
+  let end = 0;
+  let farthest = -1;
+  for (let i = 0; i < points.length; i += 1) {
+    for (let j = i + 1; j < points.length; j += 1) {
+      const distance = computeDistanceMeters(points[i], points[j]) ?? 0;
+      if (distance > farthest) {
+        farthest = distance;
+        start = i;
+        end = j;
       }
     }
+  }
+  const sideA = points.slice(start, end + 1);
+  const sideB = [...points.slice(end), ...points.slice(0, start + 1)].reverse();
+  const lengthsA = measurePath(sideA);
+  const lengthsB = measurePath(sideB);
+  const totalA = lengthsA[lengthsA.length - 1];
+  const totalB = lengthsB[lengthsB.length - 1];
+  return Array.from({ length: ROAD_MIDLINE_SAMPLES + 1 }, (_, index) => {
+    const t = index / ROAD_MIDLINE_SAMPLES;
+    const a = interpolateAlongPath(sideA, lengthsA, t * totalA);
+    const b = interpolateAlongPath(sideB, lengthsB, t * totalB);
+    return {
+      latitude: (a.latitude + b.latitude) / 2,
+      longitude: (a.longitude + b.longitude) / 2,
+    };
   });
+};
 
-  if (!bestSegment) {
-    const fallback = computePolylineCentroid(paths);
-    if (!fallback) {
-      return null;
+// Liang-Barsky clip of every segment; returns the runs inside `bounds`.
+const clipPathToBounds = (path, bounds) => {
+  if (!bounds) {
+    return [path];
+  }
+  const runs = [];
+  let run = null;
+  for (let i = 1; i < path.length; i += 1) {
+    const a = path[i - 1];
+    const b = path[i];
+    const dLat = b.latitude - a.latitude;
+    const dLng = b.longitude - a.longitude;
+    let t0 = 0;
+    let t1 = 1;
+    let visible = true;
+    [
+      [-dLng, a.longitude - bounds.minLng],
+      [dLng, bounds.maxLng - a.longitude],
+      [-dLat, a.latitude - bounds.minLat],
+      [dLat, bounds.maxLat - a.latitude],
+    ].forEach(([p, q]) => {
+      if (!visible) {
+        return;
+      }
+      if (p === 0) {
+        visible = q >= 0;
+        return;
+      }
+      const r = q / p;
+      if (p < 0) {
+        if (r > t1) visible = false;
+        else if (r > t0) t0 = r;
+      } else if (r < t0) {
+        visible = false;
+      } else if (r < t1) {
+        t1 = r;
+      }
+    });
+    if (!visible) {
+      run = null;
+      continue;
+    }
+    const at = (t) => ({
+      latitude: a.latitude + dLat * t,
+      longitude: a.longitude + dLng * t,
+    });
+    if (!run || t0 > 0) {
+      run = [at(t0)];
+      runs.push(run);
+    }
+    run.push(at(t1));
+    if (t1 < 1) {
+      run = null;
     }
-    return { coordinate: fallback, angleDeg: 0 };
   }
+  return runs;
+};
 
-  const centroid = computePolylineCentroid(paths) || {
-    latitude: (bestSegment.startLat + bestSegment.endLat) / 2,
-    longitude: (bestSegment.startLng + bestSegment.endLng) / 2,
-  };
-  const avgLatRad =
-    ((bestSegment.startLat + bestSegment.endLat) / 2) * DEG_TO_RAD;
+// Clockwise screen rotation (as RN's `rotate` expects) of the direction from
+// `a` to `b`, kept within ±90° so text never reads upside down.
+const computeScreenAngleDeg = (a, b) => {
+  const cosLat = Math.cos(((a.latitude + b.latitude) / 2) * DEG_TO_RAD);
   let angleDeg =
-    (Math.atan2(
-      bestSegment.endLat - bestSegment.startLat,
-      (bestSegment.endLng - bestSegment.startLng) * Math.cos(avgLatRad)
-    ) *
+    (Math.atan2(a.latitude - b.latitude, (b.longitude - a.longitude) * cosLat) *
       180) /
     Math.PI;
   if (angleDeg > 90) {
@@ -202,11 +562,71 @@ export const computeRoadLabelPlacement = (paths) => {
   if (angleDeg < -90) {
     angleDeg += 180;
   }
+  return angleDeg;
+};
 
-  return {
-    coordinate: centroid,
-    angleDeg,
-  };
+// Label anchors along the longest continuous visible stretch of a road: its
+// midpoint by length, or one every `repeatSpacingPx` on long roads. Closed
+// paths (roads drawn as outlines) are labelled along their midline. Returns
+// [] when the stretch is shorter than the label.
+export const computeRoadLabelPlacements = (
+  paths,
+  {
+    metersPerPixel = null,
+    labelWidthPx = 0,
+    repeatSpacingPx = Number.POSITIVE_INFINITY,
+    bounds = null,
+  } = {}
+) => {
+  if (!Array.isArray(paths) || !paths.length) {
+    return [];
+  }
+  const finitePaths = paths.map(toFinitePath);
+  const lines = [
+    ...chainPaths(finitePaths.filter((path) => !isClosedPath(path))),
+    ...finitePaths
+      .filter((path) => path.length > 3 && isClosedPath(path))
+      .map(computeRingMidline)
+      .filter(Boolean),
+  ];
+  let longest = null;
+  lines.forEach((line) => {
+    clipPathToBounds(line, bounds).forEach((piece) => {
+      const cumulative = measurePath(piece);
+      const length = cumulative[cumulative.length - 1];
+      if (!longest || length > longest.length) {
+        longest = { path: piece, cumulative, length };
+      }
+    });
+  });
+  if (!longest || !(longest.length > 0)) {
+    return [];
+  }
+
+  const hasScale = Number.isFinite(metersPerPixel) && metersPerPixel > 0;
+  const labelLength = hasScale ? labelWidthPx * metersPerPixel : 0;
+  if (labelLength > longest.length) {
+    return [];
+  }
+  const spacing = hasScale
+    ? Math.max(repeatSpacingPx * metersPerPixel, labelLength)
+    : Number.POSITIVE_INFINITY;
+  const count = Math.max(1, Math.floor(longest.length / spacing));
+  // The label follows the road across its own length, not one vertex.
+  const halfSpan =
+    labelLength > 0 ? labelLength / 2 : longest.length / (4 * count);
+  const pointAt = (distance) =>
+    interpolateAlongPath(longest.path, longest.cumulative, distance);
+  return Array.from({ length: count }, (_, index) => {
+    const distance = ((index + 0.5) * longest.length) / count;
+    return {
+      coordinate: pointAt(distance),
+      angleDeg: computeScreenAngleDeg(
+        pointAt(distance - halfSpan),
+        pointAt(distance + halfSpan)
+      ),
+    };
+  });
 };
 
 export const isClosedPath = (path, epsilon = 0.00002) => {
@@ -247,3 +667,131 @@ export const offsetCoordinate = (
     longitude: coordinate.longitude + (deltaLng * 180) / Math.PI,
   };
 };
+
+export const computeDistanceMeters = (from, to) => {
+  const lat1 = Number(from?.latitude);
+  const lng1 = Number(from?.longitude);
+  const lat2 = Number(to?.latitude);
+  const lng2 = Number(to?.longitude);
+  if (
+    !Number.isFinite(lat1) ||
+    !Number.isFinite(lng1) ||
+    !Number.isFinite(lat2) ||
+    !Number.isFinite(lng2)
+  ) {
+    return null;
+  }
+  const dLat = (lat2 - lat1) * DEG_TO_RAD;
+  const dLng = (lng2 - lng1) * DEG_TO_RAD;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * DEG_TO_RAD) *
+      Math.cos(lat2 * DEG_TO_RAD) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(Math.sqrt(a), 1));
+};
+
+export const computePathLengthMeters = (path) => {
+  if (!Array.isArray(path) || path.length < 2) {
+    return 0;
+  }
+  let length = 0;
+  for (let i = 1; i < path.length; i += 1) {
+    length += computeDistanceMeters(path[i - 1], path[i]) ?? 0;
+  }
+  return length;
+};
+
+// Planar approximation around `point`; accurate enough at plot scale.
+export const computeDistanceToSegmentMeters = (point, start, end) => {
+  if (!point || !start || !end) {
+    return null;
+  }
+  const cosLat = Math.cos(point.latitude * DEG_TO_RAD);
+  const toXY = (coordinate) => ({
+    x: (coordinate.longitude - point.longitude) * DEG_TO_RAD * cosLat,
+    y: (coordinate.latitude - point.latitude) * DEG_TO_RAD,
+  });
+  const a = toXY(start);
+  const b = toXY(end);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq > 0
+      ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq))
+      : 0;
+  return Math.hypot(a.x + t * dx, a.y + t * dy) * EARTH_RADIUS_M;
+};
+
+// Closest segment of any path to `point`, or null when none lies within
+// `maxDistanceMeters`. Paths are walked as given; close rings beforehand.
+export const findNearestEdge = (point, paths, maxDistanceMeters) => {
+  if (!point || !Array.isArray(paths)) {
+    return null;
+  }
+  let nearest = null;
+  paths.forEach((path) => {
+    if (!Array.isArray(path)) {
+      return;
+    }
+    for (let i = 1; i < path.length; i += 1) {
+      const distance = computeDistanceToSegmentMeters(
+        point,
+        path[i - 1],
+        path[i]
+      );
+      if (
+        distance !== null &&
+        distance <= maxDistanceMeters &&
+        (!nearest || distance < nearest.distanceMeters)
+      ) {
+        nearest = {
+          start: path[i - 1],
+          end: path[i],
+          distanceMeters: distance,
+        };
+      }
+    }
+  });
+  return nearest
+    ? {
+        ...nearest,
+        lengthMeters: computeDistanceMeters(nearest.start, nearest.end),
+      }
+    : null;
+};
+
+export const closeRing = (ring) =>
+  Array.isArray(ring) && ring.length > 2 && !isClosedPath(ring)
+    ? [...ring, ring[0]]
+    : ring;
+
+// Even-odd ray cast in lat/lng space. The ring may be open or closed.
+export const isPointInPolygon = (point, ring) => {
+  const lat = Number(point?.latitude);
+  const lng = Number(point?.longitude);
+  if (
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    !Array.isArray(ring) ||
+    ring.length < 3
+  ) {
+    return false;
+  }
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const a = ring[i];
+    const b = ring[j];
+    if (
+      a.latitude > lat !== b.latitude > lat &&
+      lng <
+        ((b.longitude - a.longitude) * (lat - a.latitude)) /
+          (b.latitude - a.latitude) +
+          a.longitude
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
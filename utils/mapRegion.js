@@ -1,11 +1,14 @@
 const MIN_LAT_DELTA = 0.0005;
 const MIN_LNG_DELTA = 0.0005;
 const MIN_ZOOM = 1;
-const MAX_ZOOM = 20;
+export const MAX_ZOOM = 20;
 const DEFAULT_COORD_PRECISION = 6;
+const TILE_SIZE_PX = 256;
+const MAX_MERCATOR_LAT = 85.05112878;
+const EARTH_RADIUS_M = 6378137;
 
-export function clampLatitude(value) {
-  return Math.max(-90, Math.min(90, value));
+export function clampLatitude(value, limit = 90) {
+  return Math.max(-limit, Math.min(limit, value));
 }
 
 export function clampLongitude(value) {
@@ -42,6 +45,87 @@ export function computeApproximateZoom(region) {
   return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
 }
 
+// Zoom at which `widthPx` screen pixels span the region's longitude range.
+// Unlike `computeApproximateZoom` this matches the map's real scale.
+export function computeScreenZoom(region, widthPx) {
+  const lngDelta = Math.abs(region?.longitudeDelta ?? 0);
+  if (!lngDelta || !Number.isFinite(widthPx) || widthPx <= 0) {
+    return null;
+  }
+  return Math.log2((widthPx * 360) / (TILE_SIZE_PX * lngDelta));
+}
+
+// Ground distance covered by one screen pixel at `latitude` and `zoom`.
+export function computeMetersPerPixel(latitude, zoom) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(zoom)) {
+    return null;
+  }
+  return (
+    (Math.cos((latitude * Math.PI) / 180) * 2 * Math.PI * EARTH_RADIUS_M) /
+    (TILE_SIZE_PX * 2 ** zoom)
+  );
+}
+
+// Web Mercator "world pixel" coordinates for 256px tiles at `zoom`. Distances
+// between two projected points match on-screen distances at that zoom.
+export function projectToWorldPixels(coordinate, zoom) {
+  const latitude = Number(coordinate?.latitude);
+  const longitude = Number(coordinate?.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+  const scale = TILE_SIZE_PX * 2 ** zoom;
+  const sinLat = Math.sin(
+    (clampLatitude(latitude, MAX_MERCATOR_LAT) * Math.PI) / 180
+  );
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+}
+
+export function unprojectWorldPixels(point, zoom) {
+  if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+    return null;
+  }
+  const scale = TILE_SIZE_PX * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * point.y) / scale;
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (point.x / scale) * 360 - 180,
+  };
+}
+
+// Projects coordinates to screen points for a map of `size` showing `region`,
+// with the region centre in the middle of the view. Returns null when the
+// region or size can't define a scale.
+export function createRegionProjector(region, size) {
+  const zoom = computeScreenZoom(region, size?.width);
+  const center = projectToWorldPixels(region, zoom);
+  if (!Number.isFinite(zoom) || !center || !(size.height > 0)) {
+    return null;
+  }
+  const originX = center.x - size.width / 2;
+  const originY = center.y - size.height / 2;
+  return (coordinate) => {
+    const point = projectToWorldPixels(coordinate, zoom);
+    return point ? { x: point.x - originX, y: point.y - originY } : null;
+  };
+}
+
+// Inverse of `createRegionProjector`: screen points back to coordinates.
+export function createRegionUnprojector(region, size) {
+  const zoom = computeScreenZoom(region, size?.width);
+  const center = projectToWorldPixels(region, zoom);
+  if (!Number.isFinite(zoom) || !center || !(size.height > 0)) {
+    return null;
+  }
+  const originX = center.x - size.width / 2;
+  const originY = center.y - size.height / 2;
+  return (point) =>
+    unprojectWorldPixels({ x: point.x + originX, y: point.y + originY }, zoom);
+}
+
 export function createCoordinate(lat, lng) {
   if (typeof lat !== "number" || typeof lng !== "number") {
     return null;
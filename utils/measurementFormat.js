@@ -0,0 +1,76 @@
+export const SQ_FT_PER_SQ_M = 10.7639;
+
+const formatNumber = (value, maximumFractionDigits = 0) =>
+  value.toLocaleString("en-IN", { maximumFractionDigits });
+
+export const formatAreaSqFt = (areaSqM) => {
+  if (!Number.isFinite(areaSqM) || areaSqM <= 0) {
+    return null;
+  }
+  return `${formatNumber(areaSqM * SQ_FT_PER_SQ_M)} sq ft`;
+};
+
+export const formatAreaSqM = (areaSqM) => {
+  if (!Number.isFinite(areaSqM) || areaSqM <= 0) {
+    return null;
+  }
+  return `${formatNumber(areaSqM, 1)} m²`;
+};
+
+export const formatPriceInr = (price) => {
+  if (!Number.isFinite(price) || price <= 0) {
+    return null;
+  }
+  if (price >= 10000000) {
+    return `₹${formatNumber(price / 10000000, 2)} Cr`;
+  }
+  if (price >= 100000) {
+    return `₹${formatNumber(price / 100000, 2)} L`;
+  }
+  return `₹${formatNumber(price)}`;
+};
+
+export const FT_PER_M = 3.28084;
+
+export const formatDistance = (meters) => {
+  if (!Number.isFinite(meters) || meters < 0) {
+    return null;
+  }
+  if (meters >= 1000) {
+    return `${formatNumber(meters / 1000, 1)} km`;
+  }
+  return `${formatNumber(meters)} m`;
+};
+
+// Tamil Nadu land units: 1 cent = 435.6 sq ft, 1 ground = 2,400 sq ft.
+export const SQ_FT_PER_CENT = 435.6;
+export const SQ_FT_PER_GROUND = 2400;
+
+export const formatLengthMeasurement = (meters) => {
+  if (!Number.isFinite(meters) || meters <= 0) {
+    return null;
+  }
+  return `${formatNumber(meters, 1)} m · ${formatNumber(
+    meters * FT_PER_M,
+    1
+  )} ft`;
+};
+
+export const formatAreaMeasurements = (areaSqM) => {
+  if (!Number.isFinite(areaSqM) || areaSqM <= 0) {
+    return [];
+  }
+  const areaSqFt = areaSqM * SQ_FT_PER_SQ_M;
+  return [
+    `${formatNumber(areaSqFt)} sq ft`,
+    `${formatNumber(areaSqFt / SQ_FT_PER_CENT, 2)} cents`,
+    `${formatNumber(areaSqFt / SQ_FT_PER_GROUND, 2)} grounds`,
+  ];
+};
+
+export const formatLengthFt = (meters) => {
+  if (!Number.isFinite(meters) || meters <= 0) {
+    return null;
+  }
+  return `${formatNumber(meters * FT_PER_M)} ft`;
+};
@@ -0,0 +1,43 @@
+export const PLOT_STATUS_OPTIONS = [
+  {
+    key: "available",
+    label: "Available",
+    matches: (collapsed) =>
+      ["available", "open", "vacant", "forsale", "unsold"].includes(collapsed),
+  },
+  {
+    key: "booked",
+    label: "Booked",
+    matches: (collapsed) =>
+      collapsed.includes("booked") || collapsed.includes("reserved"),
+  },
+  {
+    key: "sold",
+    label: "Sold",
+    matches: (collapsed) => collapsed === "sold" || collapsed === "soldout",
+  },
+  {
+    key: "onHold",
+    label: "On hold",
+    matches: (collapsed) =>
+      collapsed.includes("hold") || collapsed.includes("blocked"),
+  },
+];
+
+// The BFF has sent "Available", "BOOKED", "on_hold" and "On Hold" for the
+// same states, so only letters are compared.
+export const parsePlotStatus = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const collapsed = value.toLowerCase().replace(/[^a-z]/g, "");
+  if (!collapsed) {
+    return null;
+  }
+  return (
+    PLOT_STATUS_OPTIONS.find((option) => option.matches(collapsed))?.key ?? null
+  );
+};
+
+export const getPlotStatusLabel = (status) =>
+  PLOT_STATUS_OPTIONS.find((option) => option.key === status)?.label ?? null;
@@ -0,0 +1,120 @@
+import {
+  computeDistanceMeters,
+  computeDistanceToSegmentMeters,
+  computePolygonApproxAreaSqM,
+  computePolygonCentroid,
+} from "./mapGeometry";
+import { SQ_FT_PER_SQ_M } from "./measurementFormat";
+
+export const COMPARISON_MIN_PROPERTIES = 2;
+export const COMPARISON_MAX_PROPERTIES = 4;
+export const COMPARISON_COLORS = ["#0f766e", "#e11d48", "#2563eb", "#d97706"];
+
+const NEAREST_AMENITY_COUNT = 3;
+// A boundary edge counts as frontage when its midpoint lies this close to a
+// road centreline; roads are drawn as lines, so this absorbs half the width.
+const FRONTAGE_TOLERANCE_M = 8;
+
+const resolveCenter = (feature) =>
+  computePolygonCentroid(feature?.polygonPaths, feature?.polygonHoles) ??
+  feature?.coordinate ??
+  null;
+
+export const computeAreaSqFt = (property) => {
+  const areaSqM = computePolygonApproxAreaSqM(
+    property?.polygonPaths,
+    property?.polygonHoles
+  );
+  if (Number.isFinite(areaSqM) && areaSqM > 0) {
+    return areaSqM * SQ_FT_PER_SQ_M;
+  }
+  return Number.isFinite(property?.areaSqFt) ? property.areaSqFt : null;
+};
+
+export const findNearestAmenities = (
+  property,
+  amenities,
+  limit = NEAREST_AMENITY_COUNT
+) => {
+  const center = resolveCenter(property);
+  if (!center || !Array.isArray(amenities)) {
+    return [];
+  }
+  return amenities
+    .map((amenity) => ({
+      id: amenity.id,
+      name: amenity.name,
+      distanceM: computeDistanceMeters(center, resolveCenter(amenity)),
+    }))
+    .filter((entry) => Number.isFinite(entry.distanceM))
+    .sort((a, b) => a.distanceM - b.distanceM)
+    .slice(0, limit);
+};
+
+export const computeRoadFrontage = (
+  property,
+  roads,
+  toleranceM = FRONTAGE_TOLERANCE_M
+) => {
+  const result = { lengthM: 0, roadNames: [] };
+  if (!property?.polygonPaths?.length || !Array.isArray(roads)) {
+    return result;
+  }
+  const roadNames = new Set();
+  property.polygonPaths.forEach((ring) => {
+    for (let i = 0; i < ring.length; i += 1) {
+      const start = ring[i];
+      const end = ring[(i + 1) % ring.length];
+      const edgeLength = computeDistanceMeters(start, end);
+      if (!edgeLength) {
+        continue;
+      }
+      const midpoint = {
+        latitude: (start.latitude + end.latitude) / 2,
+        longitude: (start.longitude + end.longitude) / 2,
+      };
+      const adjacentRoad = roads.find((road) =>
+        road.paths?.some((path) =>
+          path.some(
+            (point, index) =>
+              index > 0 &&
+              computeDistanceToSegmentMeters(
+                midpoint,
+                path[index - 1],
+                point
+              ) <= toleranceM
+          )
+        )
+      );
+      if (adjacentRoad) {
+        result.lengthM += edgeLength;
+        if (adjacentRoad.name) {
+          roadNames.add(adjacentRoad.name);
+        }
+      }
+    }
+  });
+  result.roadNames = Array.from(roadNames);
+  return result;
+};
+
+export const buildPropertyComparison = (
+  properties,
+  { amenities = [], roads = [] } = {}
+) =>
+  properties.map((property) => {
+    const areaSqFt = computeAreaSqFt(property);
+    const price = Number.isFinite(property.price) ? property.price : null;
+    return {
+      id: property.id,
+      propertyId: property.propertyId,
+      name: property.name,
+      propertyType: property.propertyType,
+      price,
+      priceDisplay: property.priceDisplay,
+      areaSqFt,
+      pricePerSqFt: price && areaSqFt ? price / areaSqFt : null,
+      nearestAmenities: findNearestAmenities(property, amenities),
+      frontage: computeRoadFrontage(property, roads),
+    };
+  });
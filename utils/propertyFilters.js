@@ -0,0 +1,166 @@
+import {
+  computeDistanceMeters,
+  computePolygonApproxAreaSqM,
+  isPointInPolygon,
+} from "./mapGeometry";
+import { SQ_FT_PER_SQ_M } from "./measurementFormat";
+import {
+  PROPERTY_TYPE_OPTIONS,
+  classifyPropertyType,
+  isLayoutType,
+} from "./propertyTypes";
+
+export const LISTING_KIND_OPTIONS = [
+  { key: "all", label: "All" },
+  { key: "layouts", label: "Layouts" },
+  { key: "individual", label: "Individual plots" },
+];
+
+export const DEFAULT_PROPERTY_FILTERS = {
+  propertyTypes: [],
+  minPrice: null,
+  maxPrice: null,
+  minAreaSqFt: null,
+  maxAreaSqFt: null,
+  ownedOnly: false,
+  listingKind: "all",
+};
+
+const isSet = (value) => Number.isFinite(value) && value > 0;
+
+export const countActiveFilters = (filters) => {
+  if (!filters) return 0;
+  let count = 0;
+  if (filters.propertyTypes?.length) count += 1;
+  if (isSet(filters.minPrice) || isSet(filters.maxPrice)) count += 1;
+  if (isSet(filters.minAreaSqFt) || isSet(filters.maxAreaSqFt)) count += 1;
+  if (filters.ownedOnly) count += 1;
+  if (filters.listingKind && filters.listingKind !== "all") count += 1;
+  return count;
+};
+
+export const buildFilterQueryParams = (filters) => {
+  const params = {};
+  if (!filters) return params;
+  if (filters.propertyTypes?.length) {
+    params.propertyTypes = PROPERTY_TYPE_OPTIONS.filter((option) =>
+      filters.propertyTypes.includes(option.key)
+    )
+      .map((option) => option.label)
+      .join(",");
+  }
+  if (isSet(filters.minPrice)) params.minPrice = String(filters.minPrice);
+  if (isSet(filters.maxPrice)) params.maxPrice = String(filters.maxPrice);
+  if (isSet(filters.minAreaSqFt)) params.minArea = String(filters.minAreaSqFt);
+  if (isSet(filters.maxAreaSqFt)) params.maxArea = String(filters.maxAreaSqFt);
+  if (filters.ownedOnly) params.ownedOnly = "true";
+  if (filters.listingKind && filters.listingKind !== "all") {
+    params.listing = filters.listingKind;
+  }
+  return params;
+};
+
+// "lat,lng;lat,lng;…" with the ring left open; the BFF closes it.
+export const encodeSearchAreaParam = (polygon) => {
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    return null;
+  }
+  return polygon
+    .map(
+      (point) => `${point.latitude.toFixed(6)},${point.longitude.toFixed(6)}`
+    )
+    .join(";");
+};
+
+// Client-side pass for the drawn area, so cached and offline tiles (and a
+// BFF that ignores the polygon) still respect it.
+export const filterPropertiesInArea = (properties, polygon) => {
+  if (!Array.isArray(properties) || !Array.isArray(polygon)) {
+    return properties;
+  }
+  return properties.filter((property) =>
+    isPointInPolygon(property.coordinate, polygon)
+  );
+};
+
+export const RADIUS_SEARCH_KM = { min: 0.5, max: 20, step: 0.5, initial: 2 };
+
+// Properties within `radiusMeters` of `center`, nearest first, each tagged
+// with its `distanceMeters`.
+export const rankPropertiesByDistance = (properties, center, radiusMeters) => {
+  if (!Array.isArray(properties) || !center || !(radiusMeters > 0)) {
+    return [];
+  }
+  return properties
+    .map((property) => ({
+      ...property,
+      distanceMeters: computeDistanceMeters(center, property.coordinate),
+    }))
+    .filter(
+      ({ distanceMeters }) =>
+        Number.isFinite(distanceMeters) && distanceMeters <= radiusMeters
+    )
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+};
+
+export const createFilterSignature = (filters) => {
+  const params = buildFilterQueryParams(filters);
+  return Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+};
+
+const getPropertyAreaSqFt = (property) => {
+  if (isSet(property?.areaSqFt)) {
+    return property.areaSqFt;
+  }
+  const areaSqM = computePolygonApproxAreaSqM(
+    property?.polygonPaths,
+    property?.polygonHoles
+  );
+  return isSet(areaSqM) ? areaSqM * SQ_FT_PER_SQ_M : null;
+};
+
+const withinRange = (value, min, max) => {
+  if (!isSet(min) && !isSet(max)) return true;
+  if (!Number.isFinite(value)) return false;
+  if (isSet(min) && value < min) return false;
+  if (isSet(max) && value > max) return false;
+  return true;
+};
+
+// Client-side mirror of the BFF filters, applied on top of whatever the
+// viewport endpoint returned in case the server ignores a parameter.
+export const filterProperties = (properties, filters) => {
+  if (!Array.isArray(properties) || !countActiveFilters(filters)) {
+    return properties;
+  }
+  return properties.filter((property) => {
+    const layout = isLayoutType(property.propertyType);
+    if (filters.listingKind === "layouts" && !layout) return false;
+    if (filters.listingKind === "individual" && layout) return false;
+    if (
+      filters.propertyTypes?.length &&
+      !filters.propertyTypes.includes(
+        classifyPropertyType(property.propertyType)
+      )
+    ) {
+      return false;
+    }
+    if (filters.ownedOnly && !property.isOwned) return false;
+    if (!withinRange(property.price, filters.minPrice, filters.maxPrice)) {
+      return false;
+    }
+    if (
+      !withinRange(
+        getPropertyAreaSqFt(property),
+        filters.minAreaSqFt,
+        filters.maxAreaSqFt
+      )
+    ) {
+      return false;
+    }
+    return true;
+  });
+};
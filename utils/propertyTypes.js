@@ -0,0 +1,54 @@
+export const PROPERTY_TYPE_OPTIONS = [
+  {
+    key: "independentHouse",
+    label: "Independent House",
+    matches: (type, collapsed) =>
+      collapsed.includes("independenthouse") ||
+      collapsed.includes("individualhouse"),
+  },
+  {
+    key: "individualPlot",
+    label: "Individual Plots",
+    matches: (type, collapsed) =>
+      collapsed.includes("individualplots") ||
+      collapsed.includes("individualplot"),
+  },
+  {
+    key: "land",
+    label: "Land",
+    matches: (type, collapsed) => collapsed.includes("land"),
+  },
+  {
+    key: "apartmentFlat",
+    label: "Apartment / Flat",
+    matches: (type, collapsed) =>
+      collapsed.includes("apartmentflat") ||
+      (type.includes("apartment") && type.includes("flat")),
+  },
+  {
+    key: "commercialSpace",
+    label: "Commercial Space",
+    matches: (type, collapsed) =>
+      collapsed.includes("commercialspace") ||
+      (type.includes("commercial") && type.includes("space")),
+  },
+];
+
+export const classifyPropertyType = (propertyType) => {
+  if (!propertyType) {
+    return null;
+  }
+  const type = propertyType.toLowerCase();
+  const collapsed = type.replace(/[^a-z]/g, "");
+  const match = PROPERTY_TYPE_OPTIONS.find((option) =>
+    option.matches(type, collapsed)
+  );
+  return match?.key ?? null;
+};
+
+export const isLayoutType = (propertyType) =>
+  typeof propertyType === "string" &&
+  propertyType.toLowerCase().includes("layout");
+
+export const shouldAlwaysShowPolygon = (propertyType) =>
+  classifyPropertyType(propertyType) !== null;
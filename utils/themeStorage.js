@@ -0,0 +1,19 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import {
+  DEFAULT_THEME_PREFERENCE,
+  THEME_PREFERENCE_OPTIONS,
+} from "../constants/theme";
+
+const THEME_PREFERENCE_KEY = "rmap:theme:v1";
+
+export async function loadThemePreference() {
+  const value = await AsyncStorage.getItem(THEME_PREFERENCE_KEY);
+  return THEME_PREFERENCE_OPTIONS.some((option) => option.key === value)
+    ? value
+    : DEFAULT_THEME_PREFERENCE;
+}
+
+export async function saveThemePreference(preference) {
+  await AsyncStorage.setItem(THEME_PREFERENCE_KEY, preference);
+}
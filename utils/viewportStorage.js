@@ -0,0 +1,123 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const STORAGE_PREFIX = "rmap:viewport-tile:v1:";
+export const VIEWPORT_STORAGE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Stays well under Android's default 6 MB AsyncStorage quota, past which
+// every write fails. Measured in UTF-16 code units of the stored JSON.
+const MAX_STORED_SIZE = 4 * 1024 * 1024;
+
+const buildScopePrefix = (scope) => `${STORAGE_PREFIX}${scope}|`;
+
+const buildStorageKey = (scope, tileKey) =>
+  `${buildScopePrefix(scope)}${tileKey}`;
+
+// Tiles carry per-user ownership flags, so each account (and guests) gets its
+// own slice of the store for a given server.
+export const createViewportStorageScope = (baseUrl, userId) =>
+  `${baseUrl}#${userId ?? "guest"}`;
+
+const isExpired = (entry, ttlMs, now = Date.now()) =>
+  !Number.isFinite(entry?.savedAt) || now - entry.savedAt > ttlMs;
+
+export async function saveViewportTile(scope, tileKey, features) {
+  if (!tileKey || !features) {
+    return;
+  }
+  const entry = {
+    savedAt: Date.now(),
+    features: {
+      properties: features.properties ?? [],
+      plots: features.plots ?? [],
+      roads: features.roads ?? [],
+      amenities: features.amenities ?? [],
+    },
+  };
+  await AsyncStorage.setItem(
+    buildStorageKey(scope, tileKey),
+    JSON.stringify(entry)
+  );
+}
+
+export async function loadViewportTiles(
+  scope,
+  tileKeys,
+  { ttlMs = VIEWPORT_STORAGE_TTL_MS } = {}
+) {
+  const result = new Map();
+  if (!Array.isArray(tileKeys) || !tileKeys.length) {
+    return result;
+  }
+  const pairs = await AsyncStorage.multiGet(
+    tileKeys.map((tileKey) => buildStorageKey(scope, tileKey))
+  );
+  const now = Date.now();
+  pairs.forEach(([, value], index) => {
+    if (!value) {
+      return;
+    }
+    try {
+      const entry = JSON.parse(value);
+      if (isExpired(entry, ttlMs, now) || !entry.features) {
+        return;
+      }
+      result.set(tileKeys[index], entry);
+    } catch (error) {
+      console.warn("Failed to parse stored viewport tile", error?.message);
+    }
+  });
+  return result;
+}
+
+// Drops the tiles stored for one scope, e.g. when that user signs out.
+export async function clearViewportTiles(scope) {
+  const prefix = buildScopePrefix(scope);
+  const keys = (await AsyncStorage.getAllKeys()).filter((key) =>
+    key.startsWith(prefix)
+  );
+  if (keys.length) {
+    await AsyncStorage.multiRemove(keys);
+  }
+}
+
+// Removes expired tiles, then the oldest ones until the whole store fits
+// `maxSize`.
+export async function pruneViewportTiles({
+  ttlMs = VIEWPORT_STORAGE_TTL_MS,
+  maxSize = MAX_STORED_SIZE,
+} = {}) {
+  const keys = (await AsyncStorage.getAllKeys()).filter((key) =>
+    key.startsWith(STORAGE_PREFIX)
+  );
+  if (!keys.length) {
+    return;
+  }
+  const pairs = await AsyncStorage.multiGet(keys);
+  const now = Date.now();
+  const stale = [];
+  const fresh = [];
+  pairs.forEach(([key, value]) => {
+    let savedAt = null;
+    try {
+      savedAt = value ? JSON.parse(value)?.savedAt : null;
+    } catch (error) {
+      savedAt = null;
+    }
+    if (isExpired({ savedAt }, ttlMs, now)) {
+      stale.push(key);
+    } else {
+      fresh.push({ key, savedAt, size: key.length + value.length });
+    }
+  });
+  let totalSize = 0;
+  fresh
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .forEach(({ key, size }) => {
+      totalSize += size;
+      if (totalSize > maxSize) {
+        stale.push(key);
+      }
+    });
+  if (stale.length) {
+    await AsyncStorage.multiRemove(stale);
+  }
+}
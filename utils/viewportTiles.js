@@ -0,0 +1,68 @@
+import { MAX_ZOOM, clampLatitude, clampLongitude } from "./mapRegion";
+
+const MIN_TILE_ZOOM = 3;
+const MAX_TILE_ZOOM = 18;
+
+// Tiles are a plain lat/lng grid whose cell size matches the viewport height at
+// the bucket zoom, so a phone-sized viewport never spans more than 2x2 tiles.
+export function computeZoomBucket(zoom) {
+  if (!Number.isFinite(zoom)) {
+    return MIN_TILE_ZOOM;
+  }
+  return Math.min(MAX_TILE_ZOOM, Math.max(MIN_TILE_ZOOM, Math.floor(zoom)));
+}
+
+// The most detailed zoom a bucket covers (the BFF reads zoom to two decimals).
+// Tiles are requested at it so every zoom inside the bucket shares the same,
+// never coarser, payload and the per-bucket cache stays consistent.
+export function computeTileRequestZoom(zoomBucket) {
+  return zoomBucket >= MAX_TILE_ZOOM ? MAX_ZOOM : zoomBucket + 0.99;
+}
+
+export function computeTileSpan(zoomBucket) {
+  return 360 / 2 ** zoomBucket;
+}
+
+export function createTileKey(zoomBucket, x, y) {
+  return `${zoomBucket}/${x}/${y}`;
+}
+
+export function computeTileBounds(zoomBucket, x, y) {
+  const span = computeTileSpan(zoomBucket);
+  return {
+    minLat: clampLatitude(y * span - 90),
+    maxLat: clampLatitude((y + 1) * span - 90),
+    minLng: clampLongitude(x * span - 180),
+    maxLng: clampLongitude((x + 1) * span - 180),
+  };
+}
+
+export function computeTilesForBounds(bounds, zoomBucket) {
+  if (!bounds) {
+    return [];
+  }
+  const span = computeTileSpan(zoomBucket);
+  const maxIndexX = Math.ceil(360 / span) - 1;
+  const maxIndexY = Math.ceil(180 / span) - 1;
+  const toIndex = (value, offset, maxIndex) =>
+    Math.min(maxIndex, Math.max(0, Math.floor((value + offset) / span)));
+
+  const minX = toIndex(bounds.minLng, 180, maxIndexX);
+  const maxX = toIndex(bounds.maxLng, 180, maxIndexX);
+  const minY = toIndex(bounds.minLat, 90, maxIndexY);
+  const maxY = toIndex(bounds.maxLat, 90, maxIndexY);
+
+  const tiles = [];
+  for (let x = minX; x <= maxX; x += 1) {
+    for (let y = minY; y <= maxY; y += 1) {
+      tiles.push({
+        key: createTileKey(zoomBucket, x, y),
+        zoomBucket,
+        x,
+        y,
+        bounds: computeTileBounds(zoomBucket, x, y),
+      });
+    }
+  }
+  return tiles;
+}